@@ -1,5 +1,55 @@
-async function main() {
-  console.log("Usage: node website-carbon-scorecard.js https://example.org/");
-}
+/**
+ * index.js
+ * 
+ * Programmatic API for the Website Carbon Scorecard.
+ * 
+ * Example:
+ * 
+ *   import { assessSite } from "website-carbon-scorecard.js";
+ *   const { summary } = await assessSite("https://example.org/", { maxPages: 10 });
+ */
 
-main();
+export { assessSite, assessUrls, assessJourneys, assessHar, processInBatches, sortAlphabetically, summariseResults } from "./lib/scorecard.js";
+export { measurePage, measureHar, describeStrategy, MEASURE_EVENTS, MEASURE_MODES } from "./lib/measure.js";
+export { processInPool, withRetries, isTransientError, createBrowserRecycler, DEFAULT_RETRY_DELAY } from "./lib/pool.js";
+export { pageBreakdown, sharedResources, contentType, isFirstParty, CONTENT_TYPES } from "./lib/breakdown.js";
+export { checkExclusions, pageIssues } from "./lib/exclusions.js";
+export { pageRecommendations, rankRecommendations, recommendationSavings, inspectPage, responseCaching, RECOMMENDATIONS } from "./lib/recommendations.js";
+export { createCarbonModel, ratingScale, CARBON_MODELS, RATINGS } from "./lib/carbon.js";
+export { evaluateBudgets, validateBudgets, readBudgetsFile, describeViolation, budgetsToJUnit } from "./lib/budgets.js";
+export {
+	discoverUrls,
+	fetchSitemapUrls,
+	fetchRobotsSitemaps,
+	crawlSiteForUrls,
+	readUrlsFromFile,
+	normaliseUrl,
+	dedupeUrls,
+	filterUrls
+} from "./lib/urls.js";
+export { greenHosting, createGreenHostingChecker, readGreenDomainsFile, DEFAULT_HOSTING_CACHE } from "./lib/hosting.js";
+export { resolveProfile, PROFILES } from "./lib/profiles.js";
+export { readJourneyFile, runJourney, validateJourney, logIn, JOURNEY_ACTIONS } from "./lib/journeys.js";
+export { readCookiesFile, parseHeaders, parseCredentials, validateSession, handleConsent, CONSENT_MODES } from "./lib/session.js";
+export { recordHar, writeHarFile, readHarFile, harFileName, harPages } from "./lib/har.js";
+export { formatBytes } from "./lib/format.js";
+export { createReport, createJourneyReport } from "./lib/report.js";
+export { createHtmlReport } from "./lib/html.js";
+export { createSpreadsheet, spreadsheetRows, sheetName, SPREADSHEET_HEADINGS } from "./lib/spreadsheet.js";
+export { sampleUrls, summariseTemplates, templateFor } from "./lib/sampling.js";
+export { aggregateRuns, describeValues, DEFAULT_UNSTABLE_THRESHOLD } from "./lib/statistics.js";
+export { perVisitResults, projectEmissions, readPageViewsFile, pageViewKey, PAGE_VIEW_PERIODS } from "./lib/visits.js";
+export { compareReports, readReportFile, measureSettings } from "./lib/compare.js";
+export { saveToHistory, readHistory, historyTrend, historyRecord, DEFAULT_HISTORY_FILE } from "./lib/history.js";
+export { openCheckpoint, defaultCheckpointFile, checkpointKey, DEFAULT_CHECKPOINT_DIR } from "./lib/checkpoint.js";
+export { createConsoleLogger, silentLogger } from "./lib/logger.js";
+export {
+	ScorecardError,
+	InvalidOptionError,
+	InvalidUrlError,
+	InputFileError,
+	NoUrlsError,
+	MeasurementError,
+	JourneyError,
+	LoginError
+} from "./lib/errors.js";
@@ -0,0 +1,209 @@
+/**
+ * breakdown.js
+ *
+ * Breaking down the weight of a page by content type and by first or third party.
+ */
+
+import { URL } from "url";
+
+// Content types used in breakdowns, in display order
+export const CONTENT_TYPES = ['documents', 'css', 'scripts', 'images', 'fonts', 'media', 'other'];
+
+// Chrome DevTools Protocol resource types (Network.ResourceType) mapped to content types
+// https://chromedevtools.github.io/devtools-protocol/tot/Network/#type-ResourceType
+const RESOURCE_TYPES = {
+	'Document': 'documents',
+	'Stylesheet': 'css',
+	'Script': 'scripts',
+	'Image': 'images',
+	'Font': 'fonts',
+	'Media': 'media'
+};
+
+// MIME type patterns, used when the resource type does not tell us the content type (e.g. fetch or XHR requests)
+const MIME_TYPES = [
+	[/^text\/html|^application\/xhtml\+xml/i, 'documents'],
+	[/^text\/css/i, 'css'],
+	[/javascript|ecmascript|^application\/wasm/i, 'scripts'],
+	[/^image\//i, 'images'],
+	[/^font\/|^application\/(x-)?font|opentype|woff/i, 'fonts'],
+	[/^(audio|video)\//i, 'media']
+];
+
+/**
+ * Determines the content type of a resource.
+ *
+ * @param {object} resource - Resource with 'type' (CDP resource type) and 'mimeType' properties.
+ * @returns {string} Content type: 'documents', 'css', 'scripts', 'images', 'fonts', 'media' or 'other'.
+ */
+export function contentType(resource) {
+	if (RESOURCE_TYPES[resource.type]) {
+		return RESOURCE_TYPES[resource.type];
+	}
+
+	const mimeType = resource.mimeType || '';
+	for (const [pattern, type] of MIME_TYPES) {
+		if (pattern.test(mimeType)) {
+			return type;
+		}
+	}
+
+	return 'other';
+}
+
+/**
+ * Determines whether a domain is a first party of a website, i.e. the site's own domain or one of its subdomains.
+ *
+ * @param {string} domain - The domain that served a resource.
+ * @param {string} siteUrl - The website being assessed.
+ * @returns {boolean} Whether the domain is a first party.
+ */
+export function isFirstParty(domain, siteUrl) {
+	if (!domain) {
+		return false;
+	}
+
+	const siteDomain = new URL(siteUrl).hostname.replace(/^www\./, '');
+	return (domain === siteDomain) || domain.endsWith(`.${siteDomain}`);
+}
+
+/**
+ * Determines whether a resource was served from green hosting, falling back to the hosting of the site for
+ * resources that were not checked.
+ */
+function isGreenResource(resource, isGreen) {
+	return (typeof resource.green === 'boolean') ? resource.green : isGreen;
+}
+
+/**
+ * Adds the bytes of a resource to a group, creating the group if needed.
+ */
+function addToGroup(groups, key, resource, isGreen) {
+	const group = groups[key] || { bytes: 0, greenBytes: 0, requests: 0 };
+	group.bytes += resource.transferSize;
+	group.greenBytes += isGreenResource(resource, isGreen) ? resource.transferSize : 0;
+	group.requests += 1;
+	groups[key] = group;
+}
+
+/**
+ * Estimates the CO2 emissions of each group of bytes, using the share of bytes served from green hosting.
+ */
+function withCO2(groups, carbon) {
+	for (const group of Object.values(groups)) {
+		group.co2 = carbon.bytesToCO2(group.bytes, (group.bytes > 0) ? group.greenBytes / group.bytes : 0).co2;
+	}
+	return groups;
+}
+
+/**
+ * Breaks down the resources of a page by content type and by first party vs each third-party domain.
+ *
+ * @param {object[]} resources - Resources recorded by measurePage().
+ * @param {object} options - Options object.
+ * @param {string} options.siteUrl - The website being assessed, used to identify first-party resources.
+ * @param {object} options.carbon - Carbon model from createCarbonModel().
+ * @param {boolean} [options.isGreen=false] - Whether the hosting is green, for resources not checked individually. Default: false.
+ * @returns {object} Breakdown with 'byType' and 'byParty' ('firstParty' and 'thirdParties', keyed by domain),
+ *   where each group has 'bytes', 'greenBytes' (served from green hosting), 'requests' and 'co2'.
+ */
+export function pageBreakdown(resources, options) {
+	const {
+		siteUrl,
+		carbon,
+		isGreen = false
+	} = options;
+
+	const byType = {};
+	const thirdParties = {};
+	const firstParty = {};
+
+	for (const resource of resources) {
+		addToGroup(byType, contentType(resource), resource, isGreen);
+
+		if (isFirstParty(resource.domain, siteUrl)) {
+			addToGroup(firstParty, 'firstParty', resource, isGreen);
+		} else {
+			addToGroup(thirdParties, resource.domain || 'unknown', resource, isGreen);
+		}
+	}
+
+	// Order content types consistently
+	const orderedTypes = {};
+	for (const type of CONTENT_TYPES) {
+		if (byType[type]) {
+			orderedTypes[type] = byType[type];
+		}
+	}
+
+	// Order third parties from heaviest to lightest
+	const orderedThirdParties = Object.fromEntries(
+		Object.entries(thirdParties).sort(([, a], [, b]) => b.bytes - a.bytes)
+	);
+
+	return {
+		byType: withCO2(orderedTypes, carbon),
+		byParty: {
+			firstParty: withCO2(firstParty, carbon).firstParty || { bytes: 0, greenBytes: 0, requests: 0, co2: 0 },
+			thirdParties: withCO2(orderedThirdParties, carbon)
+		}
+	};
+}
+
+/**
+ * Finds the heaviest resources shared across the pages of a website.
+ *
+ * @param {object[]} results - Measurement results from measurePage(), each with 'url' and 'resources'.
+ * @param {object} [options] - Options object.
+ * @param {number} [options.limit=10] - Maximum number of resources to return. Default: 10.
+ * @param {object} [options.carbon] - Carbon model from createCarbonModel(), used to estimate the CO2 emissions of 'totalBytes'.
+ * @param {boolean} [options.isGreen=false] - Whether the hosting is green, for resources not checked individually. Default: false.
+ * @returns {object[]} Shared resources with 'url', 'type', 'domain', 'green', 'transferSize', 'pages', 'totalBytes' and 'co2' (if
+ *   a carbon model is given), sorted from heaviest to lightest in total.
+ */
+export function sharedResources(results, options = {}) {
+	const {
+		limit = 10,
+		carbon = null,
+		isGreen = false
+	} = options;
+
+	const resources = new Map();
+	for (const result of results) {
+		// Count each resource once per page
+		const seen = new Set();
+		for (const resource of result.resources || []) {
+			if (!resource.url || seen.has(resource.url)) {
+				continue;
+			}
+			seen.add(resource.url);
+
+			const shared = resources.get(resource.url) || {
+				url: resource.url,
+				type: contentType(resource),
+				domain: resource.domain,
+				green: isGreenResource(resource, isGreen),
+				transferSize: 0,
+				pages: 0,
+				totalBytes: 0
+			};
+			shared.transferSize = Math.max(shared.transferSize, resource.transferSize);
+			shared.pages += 1;
+			shared.totalBytes += resource.transferSize;
+			resources.set(resource.url, shared);
+		}
+	}
+
+	const heaviest = [...resources.values()]
+		.filter(resource => resource.pages > 1)
+		.sort((a, b) => b.totalBytes - a.totalBytes)
+		.slice(0, limit);
+
+	if (carbon) {
+		for (const resource of heaviest) {
+			resource.co2 = carbon.bytesToCO2(resource.totalBytes, resource.green).co2;
+		}
+	}
+
+	return heaviest;
+}
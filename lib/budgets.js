@@ -0,0 +1,309 @@
+/**
+ * budgets.js
+ *
+ * Carbon budgets: limits on the page weight, emissions and rating of pages, checked after an assessment.
+ *
+ * Example budgets file (JSON):
+ *
+ *   {
+ *     "bytes": 2000000,
+ *     "co2": 0.5,
+ *     "rating": "C",
+ *     "types": { "images": { "bytes": 1000000 } },
+ *     "summary": { "co2": 0.3, "rating": "C" },
+ *     "paths": [
+ *       { "path": "/blog/**", "co2": 0.2, "rating": "B" }
+ *     ]
+ *   }
+ *
+ * Top-level limits apply to every page, 'paths' limits apply to pages whose URL path matches the pattern,
+ * and 'summary' limits apply to the site-wide averages. Limits are checked against first visits (cold loads).
+ */
+
+import fs from "fs";
+import { URL } from "url";
+import { CONTENT_TYPES } from "./breakdown.js";
+import { RATINGS } from "./carbon.js";
+import { InputFileError, InvalidOptionError } from "./errors.js";
+import { matchesPattern } from "./patterns.js";
+
+const METRICS = ['bytes', 'co2', 'rating'];
+
+/**
+ * Validates a set of limits (bytes, co2, rating and, optionally, content types), rejecting any other keys except
+ * those given (e.g. 'path'), so that misspelt limits are not ignored.
+ */
+function validateLimits(limits, context, allowTypes = true, otherKeys = []) {
+	if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) {
+		throw new InvalidOptionError(`Invalid budget for ${context}: expected an object`);
+	}
+
+	const keys = [...METRICS, ...(allowTypes ? ['types'] : []), ...otherKeys];
+	for (const key of Object.keys(limits)) {
+		if (!keys.includes(key)) {
+			throw new InvalidOptionError(`Invalid budget for ${context}: unknown key '${key}' (expected ${keys.join(', ')})`);
+		}
+	}
+
+	for (const metric of ['bytes', 'co2']) {
+		if (limits[metric] !== undefined && (typeof limits[metric] !== 'number' || limits[metric] < 0)) {
+			throw new InvalidOptionError(`Invalid budget for ${context}: '${metric}' must be zero or more`);
+		}
+	}
+
+	if (limits.rating !== undefined && !RATINGS.includes(limits.rating)) {
+		throw new InvalidOptionError(`Invalid budget for ${context}: 'rating' must be one of ${RATINGS.join(', ')}`);
+	}
+
+	if (limits.types !== undefined) {
+		if (!allowTypes) {
+			throw new InvalidOptionError(`Invalid budget for ${context}: content type budgets are not supported here`);
+		}
+		if (typeof limits.types !== 'object' || limits.types === null || Array.isArray(limits.types)) {
+			throw new InvalidOptionError(`Invalid budget for ${context}: 'types' must be an object of limits by content type`);
+		}
+		for (const [type, typeLimits] of Object.entries(limits.types)) {
+			if (!CONTENT_TYPES.includes(type)) {
+				throw new InvalidOptionError(`Invalid budget for ${context}: unknown content type '${type}'`);
+			}
+			validateLimits(typeLimits, `${context} (${type})`, false);
+		}
+	}
+}
+
+/**
+ * Validates budgets, throwing an error if they are invalid.
+ *
+ * @param {object} budgets - Budgets, as described at the top of this file.
+ * @param {object} [options] - Options object.
+ * @param {boolean} [options.ratings=true] - Whether pages will be rated, so that rating budgets can be checked.
+ *   Default: true.
+ * @returns {object} The budgets.
+ * @throws {InvalidOptionError} If the budgets are invalid, or have rating limits when pages will not be rated.
+ */
+export function validateBudgets(budgets, options = {}) {
+	const { ratings = true } = options;
+
+	validateLimits(budgets, 'all pages', true, ['summary', 'paths']);
+
+	if (budgets.summary !== undefined) {
+		validateLimits(budgets.summary, 'the summary', false);
+	}
+
+	if (budgets.paths !== undefined) {
+		if (!Array.isArray(budgets.paths)) {
+			throw new InvalidOptionError("Invalid budget: 'paths' must be an array");
+		}
+		for (const pathBudget of budgets.paths) {
+			if (typeof pathBudget !== 'object' || pathBudget === null || typeof pathBudget.path !== 'string') {
+				throw new InvalidOptionError("Invalid budget: each item in 'paths' must have a 'path' pattern");
+			}
+			validateLimits(pathBudget, pathBudget.path, true, ['path']);
+		}
+	}
+
+	const limitSets = [budgets, budgets.summary || {}, ...(budgets.paths || [])];
+
+	// A budget with no limits would always pass
+	const hasLimits = limitSets
+		.flatMap(limits => [limits, ...Object.values(limits.types || {})])
+		.some(limits => METRICS.some(metric => limits[metric] !== undefined));
+	if (!hasLimits) {
+		throw new InvalidOptionError(`Invalid budget: no limits are set (expected ${METRICS.join(', ')} for all pages, content types, 'paths' or the 'summary')`);
+	}
+
+	// Without ratings, rating limits could never be checked and would pass silently
+	if (!ratings && limitSets.some(limits => limits.rating !== undefined)) {
+		throw new InvalidOptionError("Rating budgets need carbon ratings, which are disabled or not supported by the carbon model");
+	}
+
+	return budgets;
+}
+
+/**
+ * Reads budgets from a JSON file.
+ *
+ * @param {string} filePath - The path to the budgets file.
+ * @returns {Promise<object>} The budgets.
+ * @throws {InputFileError} If the file cannot be read or parsed.
+ * @throws {InvalidOptionError} If the budgets are invalid.
+ */
+export async function readBudgetsFile(filePath) {
+	let budgets;
+	try {
+		budgets = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch (e) {
+		throw new InputFileError(filePath, { cause: e });
+	}
+
+	return validateBudgets(budgets);
+}
+
+/**
+ * Determines whether budgets include limits per content type, which need pages to be broken down.
+ *
+ * @param {object} budgets - Budgets.
+ * @returns {boolean} Whether any budget has content type limits.
+ */
+export function budgetsNeedBreakdown(budgets) {
+	return !!budgets.types || (budgets.paths || []).some(pathBudget => !!pathBudget.types);
+}
+
+/**
+ * Checks a set of values against a set of limits.
+ *
+ * @returns {object[]} Violations with 'metric', 'limit' and 'actual'.
+ */
+function checkLimits(values, limits) {
+	const violations = [];
+
+	for (const metric of METRICS) {
+		const limit = limits[metric];
+		const actual = values[metric];
+
+		if (limit === undefined || actual === undefined || actual === null) {
+			continue;
+		}
+
+		const exceeded = (metric === 'rating')
+			? RATINGS.indexOf(actual) > RATINGS.indexOf(limit)
+			: actual > limit;
+
+		if (exceeded) {
+			violations.push({ metric, limit, actual });
+		}
+	}
+
+	return violations;
+}
+
+/**
+ * Checks a page against a budget, including any content type limits.
+ *
+ * @returns {object[]} Violations with 'budget', 'type', 'metric', 'limit' and 'actual'.
+ */
+function checkPage(result, limits, budgetName) {
+	const violations = checkLimits(result, limits)
+		.map(violation => ({ budget: budgetName, type: null, ...violation }));
+
+	for (const [type, typeLimits] of Object.entries(limits.types || {})) {
+		const group = (result.breakdown && result.breakdown.byType[type]) || { bytes: 0, co2: 0 };
+		for (const violation of checkLimits(group, typeLimits)) {
+			violations.push({ budget: budgetName, type, ...violation });
+		}
+	}
+
+	return violations;
+}
+
+/**
+ * Evaluates the results of an assessment against budgets.
+ *
+ * @param {object} assessment - Assessment from assessUrls() or assessSite(), or an object with 'firstVisits' and 'summary'.
+ * @param {object} budgets - Budgets, as described at the top of this file.
+ * @returns {object} Evaluation with 'passed', 'pages' (each with 'url', 'path' and 'violations') and
+ *   'summary' (with 'violations' of the summary budget).
+ */
+export function evaluateBudgets(assessment, budgets) {
+	const { firstVisits, summary } = assessment;
+
+	const pages = firstVisits.map((result) => {
+		const path = new URL(result.url).pathname;
+		const violations = checkPage(result, budgets, 'all pages');
+
+		for (const pathBudget of budgets.paths || []) {
+			if (matchesPattern(path, pathBudget.path)) {
+				violations.push(...checkPage(result, pathBudget, pathBudget.path));
+			}
+		}
+
+		return { url: result.url, path, violations };
+	});
+
+	const summaryViolations = (budgets.summary && summary.pages > 0)
+		? checkLimits({ bytes: summary.avgBytes, co2: summary.avgCO2e, rating: summary.rating }, budgets.summary)
+			.map(violation => ({ budget: 'summary', type: null, ...violation }))
+		: [];
+
+	const passed = pages.every(page => page.violations.length === 0) && summaryViolations.length === 0;
+
+	return {
+		passed,
+		pages,
+		summary: { violations: summaryViolations }
+	};
+}
+
+/**
+ * Describes a budget violation in words.
+ *
+ * @param {object} violation - Violation with 'budget', 'type', 'metric', 'limit' and 'actual'.
+ * @returns {string} Description of the violation.
+ */
+export function describeViolation({ budget, type, metric, limit, actual }) {
+	const subject = type ? `${type} ${metric}` : metric;
+
+	let comparison;
+	if (metric === 'rating') {
+		comparison = `${actual} is worse than ${limit}`;
+	} else if (metric === 'co2') {
+		comparison = `${actual.toFixed(3)}g CO₂e exceeds ${limit}g`;
+	} else {
+		comparison = `${Math.round(actual)} bytes exceeds ${limit} bytes`;
+	}
+
+	return `${subject}: ${comparison} (budget: ${budget})`;
+}
+
+/**
+ * Escapes a string for use in XML.
+ */
+function escapeXml(str) {
+	return String(str)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * Creates a JUnit XML report of a budget evaluation, with a test case for each page and the summary.
+ *
+ * @param {object} evaluation - Evaluation from evaluateBudgets().
+ * @param {object} [options] - Options object.
+ * @param {string} [options.name='Carbon budgets'] - Name of the test suite. Default: 'Carbon budgets'.
+ * @returns {string} JUnit XML.
+ */
+export function budgetsToJUnit(evaluation, options = {}) {
+	const { name = 'Carbon budgets' } = options;
+
+	const testCases = [
+		...evaluation.pages.map(page => ({ name: page.url, violations: page.violations })),
+		{ name: 'Site-wide summary', violations: evaluation.summary.violations }
+	];
+	const failures = testCases.filter(testCase => testCase.violations.length > 0).length;
+
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<testsuites name="${escapeXml(name)}" tests="${testCases.length}" failures="${failures}">`,
+		`  <testsuite name="${escapeXml(name)}" tests="${testCases.length}" failures="${failures}">`
+	];
+
+	for (const testCase of testCases) {
+		if (testCase.violations.length === 0) {
+			lines.push(`    <testcase classname="budgets" name="${escapeXml(testCase.name)}"/>`);
+			continue;
+		}
+
+		const messages = testCase.violations.map(describeViolation);
+		lines.push(`    <testcase classname="budgets" name="${escapeXml(testCase.name)}">`);
+		lines.push(`      <failure message="${escapeXml(`${messages.length} budget(s) exceeded`)}">${escapeXml(messages.join("\n"))}</failure>`);
+		lines.push(`    </testcase>`);
+	}
+
+	lines.push('  </testsuite>');
+	lines.push('</testsuites>');
+
+	return lines.join("\n") + "\n";
+}
@@ -0,0 +1,312 @@
+/**
+ * carbon.js
+ *
+ * Digital carbon models and ratings, using the @tgwf/co2 library (CO2.js).
+ */
+
+import { averageIntensity, co2 } from "@tgwf/co2";
+import { InvalidOptionError } from "./errors.js";
+
+// Constants
+const SWDM3_RATINGS = {
+	fifthPercentile: 0.095,
+	tenthPercentile: 0.186,
+	twentiethPercentile: 0.341,
+	thirtiethPercentile: 0.493,
+	fortiethPercentile: 0.656,
+	fiftiethPercentile: 0.846,
+};
+const SWDM4_RATINGS = {
+	fifthPercentile: 0.04,
+	tenthPercentile: 0.079,
+	twentiethPercentile: 0.145,
+	thirtiethPercentile: 0.209,
+	fortiethPercentile: 0.278,
+	fiftiethPercentile: 0.359,
+};
+
+// Digital Carbon Ratings, from best to worst
+export const RATINGS = ['A+', 'A', 'B', 'C', 'D', 'E', 'F'];
+
+// Supported carbon models: swd (latest, default), swd3, swd4, 1byte
+export const CARBON_MODELS = {
+	'swd': { model: "swd", version: 4, label: "Sustainable Web Design Model v4 (latest)" },
+	'swd4': { model: "swd", version: 4, label: "Sustainable Web Design Model v4 (latest)" },
+	'swd3': { model: "swd", version: 3, label: "Sustainable Web Design Model v3" },
+	'1byte': { model: "1byte", version: null, label: "1byte" }
+};
+
+/**
+ * Determines the Digital Carbon Rating based on estimated CO2 emissions.
+ *
+ * @param {number} co2e - The estimated CO2 emissions of a website in grams.
+ * @param {number} [version=4] - The version of the Sustainable Web Design Model to rate against. Default: 4.
+ * @returns {string} The Digital Carbon Rating, ranging from "A+" (best) to "F" (worst).
+ */
+// https://sustainablewebdesign.org/digital-carbon-ratings/
+// https://github.com/thegreenwebfoundation/co2.js/blob/7adac52a77c886d281286f2a8926c61e6faba4fb/src/sustainable-web-design-v4.js#L337
+// https://github.com/thegreenwebfoundation/developer-docs/issues/64
+// Note: We emulate the ratingScale() function here to allow us to estimate an overall
+// carbon rating for a website based on average CO2e. The carbon rating of individual pages
+// is returned by the CO2.js library when using the SWD model with ratings enabled.
+export function ratingScale(co2e, version = 4) {
+	const {
+		fifthPercentile,
+		tenthPercentile,
+		twentiethPercentile,
+		thirtiethPercentile,
+		fortiethPercentile,
+		fiftiethPercentile,
+	} = (version === 3) ? SWDM3_RATINGS : SWDM4_RATINGS;
+
+	const lessThanEqualTo = (num, limit) => num <= limit;
+
+	if (lessThanEqualTo(co2e, fifthPercentile)) {
+		return "A+";
+	} else if (lessThanEqualTo(co2e, tenthPercentile)) {
+		return "A";
+	} else if (lessThanEqualTo(co2e, twentiethPercentile)) {
+		return "B";
+	} else if (lessThanEqualTo(co2e, thirtiethPercentile)) {
+		return "C";
+	} else if (lessThanEqualTo(co2e, fortiethPercentile)) {
+		return "D";
+	} else if (lessThanEqualTo(co2e, fiftiethPercentile)) {
+		return "E";
+	} else {
+		return "F";
+	}
+}
+
+// System segments that grid intensity can be set for
+export const SEGMENTS = ['device', 'network', 'dataCenter'];
+
+/**
+ * Normalises a grid intensity option for CO2.js.
+ *
+ * @param {number|string} value - Grid intensity in grams of CO2e per kWh, or a country code (ISO 3166-1 alpha-3, e.g. 'GBR')
+ *   or region name (e.g. 'EUROPE') to use the annual average grid intensity of.
+ * @param {string} segment - The segment the grid intensity is for, used in error messages.
+ * @returns {number|object} Grid intensity as a number, or an object with 'country'.
+ * @throws {InvalidOptionError} If the value is not a positive number or a known country or region.
+ */
+function normaliseIntensity(value, segment) {
+	if (typeof value === 'number') {
+		if (!Number.isFinite(value) || value < 0) {
+			throw new InvalidOptionError(`Invalid ${segment} grid intensity: ${value}`);
+		}
+		return value;
+	}
+
+	const country = String(value).trim().toUpperCase();
+	if (averageIntensity.data[country] === undefined) {
+		throw new InvalidOptionError(`Unknown country or region for ${segment} grid intensity: ${value}`);
+	}
+	return { country };
+}
+
+/**
+ * Normalises segment results from CO2.js, which differ between versions of the Sustainable Web Design Model.
+ *
+ * @param {object} data - Segmented results from CO2.js.
+ * @param {number} version - The version of the Sustainable Web Design Model.
+ * @param {number} [greenShare=0] - The share of bytes (0 to 1) served from green hosting. Default: 0.
+ * @returns {object} Segments with 'operational', 'embodied', 'dataCenter', 'network' and 'device' (grams of CO2e).
+ */
+function normaliseSegments(data, version, greenShare = 0) {
+	if (version === 3) {
+		// SWD v3 reports production (embodied) emissions as a segment of its own
+		return {
+			operational: data.total - data.productionCO2,
+			embodied: data.productionCO2,
+			dataCenter: data.dataCenterCO2,
+			network: data.networkCO2,
+			device: data.consumerDeviceCO2,
+			production: data.productionCO2
+		};
+	}
+
+	// SWD v4 applies the green hosting factor to the total only, so remove the green share of data centre operational
+	// emissions from the segments too, so that they add up to the total
+	const greenDataCenter = data.dataCenterOperationalCO2e * greenShare;
+	return {
+		operational: data.totalOperationalCO2e - greenDataCenter,
+		embodied: data.totalEmbodiedCO2e,
+		dataCenter: data.dataCenterCO2e - greenDataCenter,
+		network: data.networkCO2e,
+		device: data.consumerDeviceCO2e
+	};
+}
+
+/**
+ * Creates a carbon model for converting bytes transferred to estimated CO2 emissions.
+ *
+ * @param {object} [options] - Options object.
+ * @param {string} [options.model='swd'] - Carbon model: 'swd' (latest), 'swd3', 'swd4' or '1byte'. Default: 'swd'.
+ * @param {boolean} [options.ratings=true] - Whether to include carbon ratings, when supported by the model. Default: true.
+ * @param {number|string|object} [options.gridIntensity] - Grid intensity for all segments, or an object with 'device',
+ *   'network' and/or 'dataCenter'. Each is grams of CO2e per kWh, or a country code or region name. Default: global average.
+ * @param {boolean} [options.segments=false] - Whether to include segmented results (operational vs embodied emissions,
+ *   and per segment). Default: false.
+ * @returns {object} Carbon model with 'name', 'label', 'version', 'supportsRating', 'ratings', 'segments', 'intensity',
+ *   'bytesToCO2()' and 'carbonRating()'.
+ * @throws {InvalidOptionError} If the carbon model is not supported, or the model does not support the options.
+ */
+export function createCarbonModel(options = {}) {
+	const {
+		model: name = 'swd',
+		ratings = true,
+		gridIntensity = null,
+		segments = false
+	} = options;
+
+	const definition = CARBON_MODELS[name];
+	if (!definition) {
+		throw new InvalidOptionError(`Unsupported carbon model: ${name}`);
+	}
+
+	// Grid intensity and segmented results are only supported by the Sustainable Web Design Model
+	const isSWD = (definition.model === "swd");
+	if (!isSWD && (gridIntensity !== null || segments)) {
+		throw new InvalidOptionError("Grid intensity and segmented results are only available with the Sustainable Web Design Model");
+	}
+
+	const supportsRating = isSWD;
+	const model = isSWD
+		? new co2({ model: definition.model, version: definition.version, rating: true, results: segments ? "segment" : undefined })
+		: new co2({ model: definition.model });
+
+	// Options passed to CO2.js, with grid intensity for each segment
+	const traceOptions = {};
+	if (gridIntensity !== null) {
+		const intensities = (typeof gridIntensity === 'object')
+			? gridIntensity
+			: Object.fromEntries(SEGMENTS.map(segment => [segment, gridIntensity]));
+
+		traceOptions.gridIntensity = {};
+		for (const [segment, value] of Object.entries(intensities)) {
+			if (!SEGMENTS.includes(segment)) {
+				throw new InvalidOptionError(`Unknown segment for grid intensity: ${segment}`);
+			}
+			if (value !== undefined && value !== null) {
+				traceOptions.gridIntensity[segment] = normaliseIntensity(value, segment);
+			}
+		}
+	}
+
+	// Record the grid intensity assumptions used (in grams of CO2e per kWh)
+	let intensity = null;
+	if (isSWD) {
+		const { description, ...used } = model.perByteTrace(1, false, traceOptions).variables.gridIntensity;
+		intensity = used;
+	}
+
+	/**
+	 * Converts bytes transferred to estimated CO2 emissions.
+	 *
+	 * @param {number} bytes - The number of bytes transferred.
+	 * @param {boolean|number} [isGreen=false] - Whether the hosting is green (affects calculation), or the share of
+	 *   bytes (0 to 1) served from green hosting. Default: false.
+	 * @returns {object} Estimated CO2 emissions in grams ('co2') and the carbon rating ('rating'), if enabled.
+	 */
+	function bytesToCO2(bytes, isGreen = false) {
+		if (bytes === 0) {
+			const zero = {
+				co2: 0,
+				rating: (supportsRating && ratings) ? "A+" : null
+			};
+			if (segments) {
+				zero.segments = { operational: 0, embodied: 0, dataCenter: 0, network: 0, device: 0 };
+			}
+			return zero;
+		}
+
+		// A share of green bytes is applied as a partial green hosting factor (0 = none green, 1 = all green)
+		const greenShare = (typeof isGreen === 'number') ? Math.min(Math.max(isGreen, 0), 1) : (isGreen ? 1 : 0);
+		const partlyGreen = (greenShare > 0 && greenShare < 1);
+
+		// If hosting is green, green hosting factor = 1 (handled in CO2.js)
+		// https://sustainablewebdesign.org/estimating-digital-emissions/#faq-question-1713777503222
+		// perByteTrace() passes grid intensity options through to the model's perByte()
+		var data;
+		if (!isSWD) {
+			// The OneByte model only distinguishes green and grey hosting, so weight the two by the share of green bytes
+			data = partlyGreen
+				? model.perByte(bytes, true) * greenShare + model.perByte(bytes, false) * (1 - greenShare)
+				: model.perByte(bytes, greenShare === 1);
+		} else if (definition.version === 3) {
+			// SWD v3
+			// perByte(
+			// 	bytes,
+			// 	carbonIntensity = false,
+			// 	segmentResults = false,
+			// 	ratingResults = false,
+			// 	options = {}
+			// )
+			// SWD v3 has no green hosting factor, so weight green and grey results by the share of green bytes
+			if (partlyGreen) {
+				const green = model.perByteTrace(bytes, true, traceOptions).co2;
+				const grey = model.perByteTrace(bytes, false, traceOptions).co2;
+				data = Object.fromEntries(Object.entries(grey).map(([key, value]) => [
+					key,
+					(typeof value === 'number') ? green[key] * greenShare + value * (1 - greenShare) : value
+				]));
+				data.rating = ratingScale(data.total, definition.version);
+			} else {
+				data = model.perByteTrace(bytes, greenShare === 1, traceOptions).co2;
+			}
+		} else if (partlyGreen) {
+			// SWD v4, with the green hosting factor set to the share of green bytes
+			data = model.perByteTrace(bytes, false, { ...traceOptions, greenHostingFactor: greenShare }).co2;
+		} else {
+			// SWD v4
+			// perByte(
+			// 	bytes,
+			// 	green = false,
+			// 	segmented = false,
+			// 	ratingResults = false,
+			// 	options = {}
+			// )
+			data = model.perByteTrace(bytes, greenShare === 1, traceOptions).co2;
+		}
+
+		// The OneByte model returns a number; SWD returns an object when ratings are enabled
+		const total = (typeof data === 'number') ? data : data.total;
+
+		const result = {
+			co2: total, // in grams of CO2e
+			rating: (supportsRating && ratings) ? data.rating : null
+		};
+		if (segments) {
+			result.segments = normaliseSegments(data, definition.version, greenShare);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Determines the Digital Carbon Rating based on estimated CO2 emissions.
+	 *
+	 * @param {number} co2e - The estimated CO2 emissions in grams.
+	 * @returns {string|null} The Digital Carbon Rating, or null when ratings are not supported or disabled.
+	 */
+	function carbonRating(co2e) {
+		if (!supportsRating || !ratings) {
+			return null;
+		}
+
+		return ratingScale(co2e, definition.version);
+	}
+
+	return {
+		name,
+		label: definition.label,
+		version: definition.version,
+		supportsRating,
+		ratings: supportsRating && ratings,
+		segments,
+		intensity,
+		bytesToCO2,
+		carbonRating
+	};
+}
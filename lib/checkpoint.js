@@ -0,0 +1,149 @@
+/**
+ * checkpoint.js
+ *
+ * Checkpoints of the measurements of a run, so that an interrupted run can be resumed.
+ *
+ * Each measurement is written to a JSON lines file as soon as it completes. The first line records the settings of
+ * the run, and measurements are only reused when a run is resumed with the same settings.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { URL } from "url";
+import { ScorecardError } from "./errors.js";
+import { silentLogger } from "./logger.js";
+
+// Default directory of checkpoint files, which are named after the host of the website
+export const DEFAULT_CHECKPOINT_DIR = path.join(os.homedir(), '.cache', 'website-carbon-scorecard', 'checkpoints');
+
+/**
+ * Gets the default path of the checkpoint file of a website.
+ *
+ * @param {string} siteUrl - The website being assessed.
+ * @returns {string} Path to the checkpoint file.
+ */
+export function defaultCheckpointFile(siteUrl) {
+	const { hostname, port } = new URL(siteUrl);
+	return path.join(DEFAULT_CHECKPOINT_DIR, `${hostname}${port ? `-${port}` : ''}.jsonl`);
+}
+
+/**
+ * Gets the key of the settings that affect measurements: the carbon model and how pages are measured.
+ *
+ * The URLs chosen (e.g. 'maxPages' and sampling) do not affect measurements, so are not part of the key.
+ *
+ * @param {object} run - Run metadata, as passed to the 'onStart' callback of assessUrls().
+ * @returns {string} Settings key.
+ */
+export function checkpointKey(run) {
+	const { ratings, segments, event, waitForSelector, scroll, observe, mode, profiles, runs, unstableThreshold, breakdown, recommendations, session } = run.settings;
+	return JSON.stringify({
+		siteUrl: run.siteUrl,
+		model: run.model,
+		settings: { ratings, segments, event, waitForSelector, scroll, observe, mode, profiles, runs, unstableThreshold, breakdown, recommendations, session }
+	});
+}
+
+/**
+ * Gets the key of a measurement in a checkpoint.
+ */
+function measurementKey(url, visit, profile) {
+	return `${profile} ${visit} ${url}`;
+}
+
+/**
+ * Reads the measurements in a checkpoint file, if it was made with the same settings.
+ */
+function readCheckpoint(filePath, key, logger) {
+	if (!fs.existsSync(filePath)) {
+		return null;
+	}
+
+	try {
+		const lines = fs.readFileSync(filePath, 'utf8').split("\n");
+		const header = JSON.parse(lines[0]);
+		if (header.type !== 'checkpoint' || header.key !== key) {
+			logger.warn(`⚠️  The checkpoint ${filePath} was made with different settings, so pages will be measured again.`);
+			return null;
+		}
+
+		const measurements = new Map();
+		for (const line of lines.slice(1)) {
+			// A line cut short by a crash is ignored, and the page measured again
+			let record;
+			try {
+				record = JSON.parse(line);
+			} catch (e) {
+				continue;
+			}
+			measurements.set(measurementKey(record.result.url, record.visit, record.profile), record.result);
+		}
+		return { header, measurements };
+	} catch (e) {
+		logger.warn(`⚠️  Could not read checkpoint ${filePath}: ${e.message}`);
+		return null;
+	}
+}
+
+/**
+ * Opens a checkpoint file for a run, starting a new checkpoint or, when resuming, reusing the measurements in it.
+ *
+ * @param {string} filePath - Path to the checkpoint file (JSON lines).
+ * @param {object} run - Run metadata, as passed to the 'onStart' callback of assessUrls().
+ * @param {object} [options] - Options object.
+ * @param {boolean} [options.resume=false] - Whether to reuse measurements from a checkpoint made with the same settings.
+ *   Default: false (any existing checkpoint is replaced).
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @returns {object} Checkpoint with 'restored' (the number of measurements reused), 'get(url, visit, profile)' (a reused
+ *   measurement, or undefined), 'save(result, visit, profile)' (writes a measurement) and 'remove()' (deletes the file).
+ * @throws {ScorecardError} If the checkpoint file cannot be written.
+ */
+export function openCheckpoint(filePath, run, options = {}) {
+	const {
+		resume = false,
+		logger = silentLogger
+	} = options;
+
+	const key = checkpointKey(run);
+	const previous = resume ? readCheckpoint(filePath, key, logger) : null;
+	const measurements = previous ? previous.measurements : new Map();
+
+	try {
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		if (!previous) {
+			fs.writeFileSync(filePath, JSON.stringify({ type: 'checkpoint', key, startedAt: run.startedAt }) + "\n");
+		} else {
+			// Start any line cut short by a crash afresh
+			const contents = fs.readFileSync(filePath, 'utf8');
+			if (!contents.endsWith("\n")) {
+				fs.appendFileSync(filePath, "\n");
+			}
+		}
+	} catch (e) {
+		throw new ScorecardError(`Could not write checkpoint ${filePath}: ${e.message}`, { cause: e });
+	}
+
+	if (previous) {
+		logger.info(`♻️  Resuming from ${filePath} (${measurements.size} measurements from ${previous.header.startedAt})`);
+	}
+
+	return {
+		restored: measurements.size,
+		get: (url, visit, profile) => measurements.get(measurementKey(url, visit, profile)),
+		save(result, visit, profile) {
+			try {
+				fs.appendFileSync(filePath, JSON.stringify({ visit, profile, result }) + "\n");
+			} catch (e) {
+				logger.warn(`⚠️  Could not write checkpoint ${filePath}: ${e.message}`);
+			}
+		},
+		remove() {
+			try {
+				fs.rmSync(filePath, { force: true });
+			} catch (e) {
+				logger.warn(`⚠️  Could not remove checkpoint ${filePath}: ${e.message}`);
+			}
+		}
+	};
+}
@@ -0,0 +1,200 @@
+/**
+ * compare.js
+ *
+ * Comparing an assessment against a previous run, to report regressions and improvements.
+ *
+ * Runs are compared using their JSON reports (see report.js), so the results of a previous run can be
+ * saved with '--output=json' and compared later. Pages are compared on first visits (cold loads).
+ */
+
+import fs from "fs";
+import { RATINGS } from "./carbon.js";
+import { InputFileError } from "./errors.js";
+
+/**
+ * Reads a JSON report of a previous run.
+ *
+ * @param {string} filePath - The path to the JSON report.
+ * @returns {Promise<object>} The report.
+ * @throws {InputFileError} If the file cannot be read, parsed or is not a scorecard report.
+ */
+export async function readReportFile(filePath) {
+	let report;
+	try {
+		report = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch (e) {
+		throw new InputFileError(filePath, { cause: e });
+	}
+
+	if (!report || !Array.isArray(report.pages) || !report.summary) {
+		throw new InputFileError(filePath, { cause: new Error("not a JSON report from --output=json") });
+	}
+
+	return report;
+}
+
+/**
+ * Gets the measurement settings of a report, so that runs measured in different ways can be told apart.
+ *
+ * Older reports do not record every setting, so the defaults at the time are used for those that are missing.
+ *
+ * @param {object} report - Report from createReport().
+ * @returns {object|null} Measurement settings ('event', 'waitForSelector', 'scroll', 'observe', 'mode', 'profile'
+ *   and 'runs'), or null if the report does not record its run.
+ */
+export function measureSettings(report) {
+	if (!report.run) {
+		return null;
+	}
+
+	const { event, waitForSelector = null, scroll = false, observe = 0, mode, profile = 'desktop', runs = 1, consent = 'none' } = report.run.measure;
+	return { event, waitForSelector, scroll, observe, mode, profile, runs, consent };
+}
+
+/**
+ * Calculates the change between two values as a percentage of the first.
+ */
+function percentChange(previous, current) {
+	if (previous === 0) {
+		return (current === 0) ? 0 : null;
+	}
+	return ((current - previous) / previous) * 100;
+}
+
+/**
+ * Calculates the change in rating, in steps on the rating scale (positive is worse).
+ */
+function ratingChange(previous, current) {
+	if (!previous || !current) {
+		return null;
+	}
+	return RATINGS.indexOf(current) - RATINGS.indexOf(previous);
+}
+
+/**
+ * Compares two sets of values, classifying the change as a regression, an improvement or unchanged.
+ *
+ * @param {object} previous - Previous values with 'bytes', 'co2' and 'rating'.
+ * @param {object} current - Current values with 'bytes', 'co2' and 'rating'.
+ * @param {number} threshold - Percentage change in CO2e beyond which a change is significant.
+ * @returns {object} Comparison with 'delta' and 'change' ('regression', 'improvement' or 'unchanged').
+ */
+function compareValues(previous, current, threshold) {
+	const delta = {
+		bytes: current.bytes - previous.bytes,
+		bytesPercent: percentChange(previous.bytes, current.bytes),
+		co2: current.co2 - previous.co2,
+		co2Percent: percentChange(previous.co2, current.co2),
+		rating: ratingChange(previous.rating, current.rating)
+	};
+
+	// A page that has gone from no emissions to some emissions has no percentage change, but has regressed
+	const co2Percent = (delta.co2Percent === null) ? Infinity : delta.co2Percent;
+
+	let change = 'unchanged';
+	if (co2Percent > threshold || delta.rating > 0) {
+		change = 'regression';
+	} else if (co2Percent < -threshold || delta.rating < 0) {
+		change = 'improvement';
+	}
+
+	return { delta, change };
+}
+
+/**
+ * Picks the values compared from a visit record.
+ */
+function visitValues(visit) {
+	return {
+		bytes: visit.bytes,
+		co2: visit.co2,
+		rating: visit.rating
+	};
+}
+
+/**
+ * Compares a report against the report of a previous run.
+ *
+ * @param {object} previous - Report of the previous run, from createReport().
+ * @param {object} current - Report of the current run, from createReport().
+ * @param {object} [options] - Options object.
+ * @param {number} [options.threshold=10] - Percentage change in CO2e beyond which a change counts as a regression
+ *   or improvement. Any change in rating also counts. Default: 10.
+ * @returns {object} Comparison with 'threshold', 'previousRun', 'warnings', 'pages' (each with 'url', 'status'
+ *   ('compared', 'added' or 'removed'), 'previous', 'current', 'delta' and 'change'), 'regressions', 'improvements',
+ *   'added', 'removed' (lists of URLs) and 'summary' (site-wide 'previous', 'current', 'delta' and 'change').
+ */
+export function compareReports(previous, current, options = {}) {
+	const { threshold = 10 } = options;
+
+	// Warn when runs were made with different settings, as their results are not directly comparable
+	const warnings = [];
+	const previousModel = previous.run && previous.run.model ? previous.run.model.name : null;
+	const currentModel = current.run && current.run.model ? current.run.model.name : null;
+	if (previousModel !== currentModel) {
+		warnings.push(`Runs used different carbon models: ${previousModel} (previous) and ${currentModel} (current)`);
+	}
+	const previousMeasure = JSON.stringify(measureSettings(previous));
+	const currentMeasure = JSON.stringify(measureSettings(current));
+	if (previousMeasure !== currentMeasure) {
+		warnings.push("Runs used different measurement settings");
+	}
+
+	const previousPages = new Map(
+		previous.pages.filter(page => page.firstVisit).map(page => [page.url, page.firstVisit])
+	);
+	const currentPages = new Map(
+		current.pages.filter(page => page.firstVisit).map(page => [page.url, page.firstVisit])
+	);
+
+	const pages = [];
+	for (const [url, visit] of currentPages) {
+		if (!previousPages.has(url)) {
+			pages.push({ url, status: 'added', previous: null, current: visitValues(visit), delta: null, change: null });
+			continue;
+		}
+
+		const previousValues = visitValues(previousPages.get(url));
+		const currentValues = visitValues(visit);
+		pages.push({
+			url,
+			status: 'compared',
+			previous: previousValues,
+			current: currentValues,
+			...compareValues(previousValues, currentValues, threshold)
+		});
+	}
+	for (const [url, visit] of previousPages) {
+		if (!currentPages.has(url)) {
+			pages.push({ url, status: 'removed', previous: visitValues(visit), current: null, delta: null, change: null });
+		}
+	}
+
+	// Compare site-wide averages, recomputing the change in overall rating
+	const summaryValues = (summary) => ({
+		bytes: summary.avgBytes,
+		co2: summary.avgCO2e,
+		rating: summary.carbonRating
+	});
+	const summary = (previous.summary.pages > 0 && current.summary.pages > 0)
+		? {
+			previous: summaryValues(previous.summary),
+			current: summaryValues(current.summary),
+			...compareValues(summaryValues(previous.summary), summaryValues(current.summary), threshold)
+		}
+		: null;
+
+	const urlsWith = (predicate) => pages.filter(predicate).map(page => page.url);
+
+	return {
+		threshold,
+		previousRun: previous.run ? previous.run.startedAt : null,
+		warnings,
+		pages,
+		regressions: urlsWith(page => page.change === 'regression'),
+		improvements: urlsWith(page => page.change === 'improvement'),
+		added: urlsWith(page => page.status === 'added'),
+		removed: urlsWith(page => page.status === 'removed'),
+		summary
+	};
+}
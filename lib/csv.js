@@ -0,0 +1,54 @@
+/**
+ * csv.js
+ *
+ * Reading simple CSV files, such as page views exported from analytics or lists of green domains.
+ */
+
+/**
+ * Splits a line of CSV into fields, handling quoted fields.
+ *
+ * @param {string} line - A line of CSV.
+ * @returns {string[]} The fields, trimmed of whitespace.
+ */
+export function parseCsvLine(line) {
+	const fields = [];
+	let field = '';
+	let quoted = false;
+
+	for (let i = 0; i < line.length; i++) {
+		const char = line[i];
+
+		if (quoted) {
+			if (char === '"' && line[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			fields.push(field.trim());
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+	fields.push(field.trim());
+
+	return fields;
+}
+
+/**
+ * Parses CSV into rows of fields, skipping empty lines and comments (lines starting with '#').
+ *
+ * @param {string} text - CSV text.
+ * @returns {string[][]} Rows of fields.
+ */
+export function parseCsv(text) {
+	return text.split(/\r?\n/)
+		.filter(line => line.trim().length > 0 && !line.startsWith('#'))
+		.map(parseCsvLine);
+}
@@ -0,0 +1,98 @@
+/**
+ * errors.js
+ * 
+ * Typed errors thrown by the Website Carbon Scorecard API.
+ */
+
+/**
+ * Base class for all errors thrown by the scorecard.
+ * 
+ * @param {string} message - Human-readable description of the error.
+ * @param {object} [options] - Options object.
+ * @param {string} [options.code='SCORECARD_ERROR'] - Machine-readable error code.
+ * @param {Error} [options.cause] - The underlying error, if any.
+ */
+export class ScorecardError extends Error {
+	constructor(message, options = {}) {
+		super(message, { cause: options.cause });
+		this.name = this.constructor.name;
+		this.code = options.code || 'SCORECARD_ERROR';
+	}
+}
+
+/**
+ * Thrown when an option has an unsupported or invalid value (e.g. an unknown carbon model).
+ */
+export class InvalidOptionError extends ScorecardError {
+	constructor(message, options = {}) {
+		super(message, { code: 'INVALID_OPTION', ...options });
+	}
+}
+
+/**
+ * Thrown when a URL to assess cannot be parsed.
+ */
+export class InvalidUrlError extends ScorecardError {
+	constructor(url, options = {}) {
+		super(`Invalid URL: ${url}`, { code: 'INVALID_URL', ...options });
+		this.url = url;
+	}
+}
+
+/**
+ * Thrown when an input file (e.g. a list of URLs, budgets or a HAR file) cannot be read.
+ */
+export class InputFileError extends ScorecardError {
+	constructor(filePath, options = {}) {
+		const reason = options.cause ? `: ${options.cause.message}` : '';
+		super(`Error reading file ${filePath}${reason}`, { code: 'INPUT_FILE', ...options });
+		this.filePath = filePath;
+	}
+}
+
+/**
+ * Thrown when no URLs could be found to assess.
+ */
+export class NoUrlsError extends ScorecardError {
+	constructor(message = "No valid URLs found to assess", options = {}) {
+		super(message, { code: 'NO_URLS', ...options });
+	}
+}
+
+/**
+ * Thrown when a page could not be measured (e.g. it failed to load).
+ */
+export class MeasurementError extends ScorecardError {
+	constructor(url, options = {}) {
+		const reason = options.cause ? `: ${options.cause.message}` : '';
+		super(`Failed to measure ${url}${reason}`, { code: 'MEASUREMENT_FAILED', ...options });
+		this.url = url;
+	}
+}
+
+/**
+ * Thrown when a user journey could not be completed (e.g. an element to click was not found).
+ */
+export class JourneyError extends ScorecardError {
+	constructor(journey, options = {}) {
+		const { step = null, ...rest } = options;
+		const at = step ? ` at step ${step.index} (${step.name})` : '';
+		const reason = rest.cause ? `: ${rest.cause.message}` : '';
+		super(`Journey "${journey}" failed${at}${reason}`, { code: 'JOURNEY_FAILED', ...rest });
+		this.journey = journey;
+		this.step = step;
+	}
+}
+
+/**
+ * Thrown when the login journey run before measuring could not be completed (e.g. a form field was not found).
+ */
+export class LoginError extends ScorecardError {
+	constructor(options = {}) {
+		const { step = null, ...rest } = options;
+		const at = step ? ` at step ${step.index} (${step.name})` : '';
+		const reason = rest.cause ? `: ${rest.cause.message}` : '';
+		super(`Login failed${at}${reason}`, { code: 'LOGIN_FAILED', ...rest });
+		this.step = step;
+	}
+}
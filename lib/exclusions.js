@@ -0,0 +1,72 @@
+/**
+ * exclusions.js
+ *
+ * Pages that should not count towards averages and ratings: error pages, files that are not HTML (e.g. PDFs) and
+ * pages that redirect to another website.
+ *
+ * Each page is checked against the main document of its measurement: its HTTP status, content type and final URL
+ * after any redirects.
+ */
+
+import { URL } from "url";
+import { isFirstParty } from "./breakdown.js";
+
+// Content types of HTML pages
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+/**
+ * Finds the issues with a measured page that may make it unsuitable for averages and ratings.
+ *
+ * @param {object} result - Measurement result from measurePage(), with 'status', 'contentType' and 'finalUrl'.
+ * @param {string} siteUrl - The website being assessed.
+ * @returns {object[]} Issues, each with 'type' ('error', 'non-html' or 'off-site') and 'reason' (a description).
+ */
+export function pageIssues(result, siteUrl) {
+	const { status = null, contentType = null, finalUrl = null } = result;
+	const issues = [];
+
+	if (status !== null && (status < 200 || status > 299)) {
+		issues.push({ type: 'error', reason: `HTTP status ${status}` });
+	}
+	if (contentType && !HTML_TYPES.includes(contentType.toLowerCase())) {
+		issues.push({ type: 'non-html', reason: `not HTML (${contentType})` });
+	}
+	if (finalUrl && !isFirstParty(new URL(finalUrl).hostname, siteUrl)) {
+		issues.push({ type: 'off-site', reason: `redirected off-site to ${finalUrl}` });
+	}
+
+	return issues;
+}
+
+/**
+ * Decides whether a measured page is excluded from averages and ratings.
+ *
+ * @param {object} result - Measurement result from measurePage().
+ * @param {object} options - Options object.
+ * @param {string} options.siteUrl - The website being assessed.
+ * @param {boolean} [options.excludeErrors=false] - Whether to exclude pages with a status other than 2xx. Default: false.
+ * @param {boolean} [options.excludeNonHtml=false] - Whether to exclude pages that are not HTML. Default: false.
+ * @param {boolean} [options.excludeOffSite=false] - Whether to exclude pages that redirect to another website. Default: false.
+ * @returns {object} Decision with 'excluded' (the reasons the page is excluded) and 'included' (the reasons it might have
+ *   been excluded, for issues that are not excluded).
+ */
+export function checkExclusions(result, options) {
+	const {
+		siteUrl,
+		excludeErrors = false,
+		excludeNonHtml = false,
+		excludeOffSite = false
+	} = options;
+
+	const excludedTypes = {
+		'error': excludeErrors,
+		'non-html': excludeNonHtml,
+		'off-site': excludeOffSite
+	};
+
+	const issues = pageIssues(result, siteUrl);
+	return {
+		excluded: issues.filter(issue => excludedTypes[issue.type]).map(issue => issue.reason),
+		included: issues.filter(issue => !excludedTypes[issue.type]).map(issue => issue.reason)
+	};
+}
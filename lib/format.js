@@ -0,0 +1,53 @@
+/**
+ * format.js
+ * 
+ * Helpers for formatting measurements for display.
+ */
+
+/**
+ * Formats bytes as a human-readable string.
+ *
+ * @param {number} bytes - Number of bytes to format.
+ * @param {object} [options] - Options object.
+ * @param {number} [options.decimals=2] - Number of decimals to display. Default: 2.
+ * @param {boolean} [options.outputUnit=true] - Whether to include the unit in the output. Default: true.
+ * @param {string} [options.unit] - Force output in a specific unit (e.g., 'KB', 'MB').
+ * @returns {string} Bytes as a formatted string.
+ */
+// Based on: https://stackoverflow.com/a/18650828
+// Retrieved 2025-11-14, License - CC BY-SA 4.0
+export function formatBytes(bytes, options = {}) {
+	if (!+bytes) return '0 Bytes';
+
+	const decimals = options.decimals || 2;
+	let unit = options.unit || null;
+	const outputUnit = (options.outputUnit === false) ? false : true;
+
+	const k = 1024;
+	const dm = decimals < 0 ? 0 : decimals;
+	const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+
+	let i = 0;
+
+	if (unit !== null) {
+		const unitIndex = sizes.indexOf(unit);
+
+		if (unitIndex === -1) {
+			 console.warn(`Unsupported unit: ${options.unit}. Using defaults.`);
+			 unit = null;
+		} else {
+			i = unitIndex;
+		}
+	}
+
+	if (unit === null) {
+		i = Math.floor(Math.log(bytes) / Math.log(k));
+	}
+
+	let unitString = '';
+	if (outputUnit === true) {
+		unitString = ` ${sizes[i]}`;
+	}
+
+	return `${parseFloat((bytes / Math.pow(k, i)).toFixed(dm))}${unitString}`;
+}
@@ -0,0 +1,394 @@
+/**
+ * har.js
+ *
+ * HTTP Archive (HAR) files: exporting the requests of each measurement, and reading HAR files so that pages can be
+ * measured without a browser or network (see measureHar() in measure.js).
+ *
+ * Exported HAR files record the requests a page made, with the bytes transferred as counted by the measurement, so
+ * that measurements can be audited, and reproduced later. HAR files from browser developer tools and other tools can
+ * be measured in the same way, with the same byte counting, breakdown and carbon estimates as live measurements.
+ *
+ * Transfer sizes are read from Chrome's '_transferSize' when a HAR file has it, or else from the response's
+ * 'headersSize' and 'bodySize'.
+ *
+ * HAR 1.2 specification: http://www.softwareishard.com/blog/har-12-spec/
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import { URL } from "url";
+import { InputFileError } from "./errors.js";
+import { responseCaching } from "./recommendations.js";
+import { TOOL_NAME, TOOL_VERSION } from "./version.js";
+
+// Headers whose values are not written to HAR files, as they may contain credentials
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+// Resource types in HAR files (as written by Chrome) that are not capitalised like CDP resource types
+const HAR_RESOURCE_TYPES = {
+	'xhr': 'XHR',
+	'texttrack': 'TextTrack',
+	'eventsource': 'EventSource',
+	'websocket': 'WebSocket',
+	'cspviolationreport': 'CSPViolationReport',
+	'signedexchange': 'SignedExchange'
+};
+
+// Maximum length of the part of HAR file names taken from the URL
+const MAX_NAME_LENGTH = 100;
+
+// Maximum number of redirects to follow to the main document of a page (as Chrome does)
+const MAX_REDIRECTS = 20;
+
+/**
+ * Converts CDP headers to HAR headers, leaving out the values of headers that may contain credentials.
+ */
+function harHeaders(headers = {}, redact = []) {
+	return Object.entries(headers).flatMap(([name, value]) => String(value).split("\n").map(line => ({
+		name,
+		value: (REDACTED_HEADERS.includes(name.toLowerCase()) || redact.includes(name.toLowerCase())) ? '[redacted]' : line
+	})));
+}
+
+/**
+ * Converts CDP resource timing to HAR timings, in milliseconds.
+ */
+function harTimings(timing, time) {
+	if (!timing) {
+		return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: Math.max(time, 0) };
+	}
+
+	const span = (start, end) => (start >= 0 && end >= start) ? end - start : -1;
+	const send = Math.max(timing.sendEnd - timing.sendStart, 0);
+	const wait = Math.max(timing.receiveHeadersEnd - timing.sendEnd, 0);
+	return {
+		blocked: -1,
+		dns: span(timing.dnsStart, timing.dnsEnd),
+		connect: span(timing.connectStart, timing.connectEnd),
+		ssl: span(timing.sslStart, timing.sslEnd),
+		send,
+		wait,
+		receive: Math.max(time - Math.max(timing.receiveHeadersEnd, 0), 0)
+	};
+}
+
+/**
+ * Gets the HAR resource type of a CDP resource type, e.g. 'Image' is 'image'.
+ */
+function harResourceType(type) {
+	return (type || 'Other').toLowerCase();
+}
+
+/**
+ * Gets the CDP resource type of a HAR resource type, e.g. 'xhr' is 'XHR'.
+ */
+function cdpResourceType(type) {
+	if (!type) {
+		return 'Other';
+	}
+	const lower = type.toLowerCase();
+	return HAR_RESOURCE_TYPES[lower] || (lower.charAt(0).toUpperCase() + lower.slice(1));
+}
+
+/**
+ * Records the requests made by a page as HAR entries, until stopped.
+ *
+ * @param {object} client - CDP session for the page, with network tracking enabled.
+ * @param {object} [options] - Options object.
+ * @param {string[]} [options.redact=[]] - Names of headers whose values are not recorded, in addition to headers that
+ *   may contain credentials (e.g. 'Authorization' and 'Cookie'). Default: none.
+ * @returns {object} Recorder with 'har(page)' (which returns a HAR log of the requests recorded, for a page with 'url',
+ *   'visit', 'profile', 'measuredAt' and 'duration') and 'stop()' (which removes its event listeners).
+ */
+export function recordHar(client, options = {}) {
+	const redact = (options.redact || []).map(name => name.toLowerCase());
+	const requests = new Map();
+	const entries = [];
+
+	// Complete an entry with its response, once it has finished loading, failed or been redirected
+	const finish = (request, { timestamp, transferSize = 0, headersSize = -1, error = null }) => {
+		const { response = null } = request;
+		const time = (Number.isFinite(timestamp) && Number.isFinite(request.timestamp)) ? Math.max((timestamp - request.timestamp) * 1000, 0) : 0;
+		const decodedSize = request.decodedSize;
+		const url = new URL(request.url);
+		const entry = {
+			startedDateTime: new Date(request.wallTime * 1000).toISOString(),
+			time,
+			request: {
+				method: request.method,
+				url: request.url,
+				httpVersion: (response && response.protocol) || 'HTTP/1.1',
+				cookies: [],
+				headers: harHeaders(request.headers, redact),
+				queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+				headersSize: -1,
+				bodySize: request.postData ? Buffer.byteLength(request.postData) : 0
+			},
+			response: {
+				status: response ? response.status : 0,
+				statusText: response ? (response.statusText || '') : '',
+				httpVersion: (response && response.protocol) || 'HTTP/1.1',
+				cookies: [],
+				headers: response ? harHeaders(response.headers, redact) : [],
+				content: {
+					size: decodedSize,
+					mimeType: (response && response.mimeType) || 'x-unknown'
+				},
+				redirectURL: request.redirectUrl || '',
+				headersSize,
+				bodySize: -1,
+				_transferSize: transferSize
+			},
+			cache: {},
+			timings: harTimings(response ? response.timing : null, time),
+			_resourceType: harResourceType(request.type)
+		};
+		if (decodedSize > transferSize && transferSize > 0) {
+			entry.response.content.compression = decodedSize - transferSize;
+		}
+		if (request.fromCache) {
+			entry._fromCache = 'disk';
+		}
+		if (response && response.remoteIPAddress) {
+			entry.serverIPAddress = response.remoteIPAddress;
+		}
+		if (error) {
+			entry.response._error = error;
+		}
+		entries.push(entry);
+	};
+
+	const listeners = {
+		'Network.requestWillBeSent': (data) => {
+			// A redirect continues the same request, so the response redirecting to it is recorded first. Measurements
+			// do not count redirect responses, so their size is recorded as the size of the headers, not as transferred.
+			const previous = requests.get(data.requestId);
+			if (previous && data.redirectResponse) {
+				previous.response = data.redirectResponse;
+				previous.redirectUrl = data.request.url;
+				finish(previous, { timestamp: data.timestamp, headersSize: data.redirectResponse.encodedDataLength || -1 });
+			}
+			requests.set(data.requestId, {
+				url: data.request.url,
+				method: data.request.method || 'GET',
+				headers: data.request.headers,
+				postData: data.request.postData || null,
+				type: data.type,
+				wallTime: Number.isFinite(data.wallTime) ? data.wallTime : Date.now() / 1000,
+				timestamp: data.timestamp,
+				response: null,
+				decodedSize: 0,
+				fromCache: false
+			});
+		},
+		'Network.responseReceived': (data) => {
+			const request = requests.get(data.requestId);
+			if (request) {
+				request.response = data.response;
+				request.type = data.type || request.type;
+				request.fromCache = request.fromCache || !!data.response.fromDiskCache || !!data.response.fromServiceWorker;
+			}
+		},
+		'Network.requestServedFromCache': (data) => {
+			const request = requests.get(data.requestId);
+			if (request) {
+				request.fromCache = true;
+			}
+		},
+		'Network.dataReceived': (data) => {
+			const request = requests.get(data.requestId);
+			if (request) {
+				request.decodedSize += data.dataLength;
+			}
+		},
+		'Network.loadingFinished': (data) => {
+			const request = requests.get(data.requestId);
+			if (request) {
+				requests.delete(data.requestId);
+				finish(request, { timestamp: data.timestamp, transferSize: Math.max(data.encodedDataLength, 0) });
+			}
+		},
+		'Network.loadingFailed': (data) => {
+			const request = requests.get(data.requestId);
+			if (request) {
+				requests.delete(data.requestId);
+				finish(request, { timestamp: data.timestamp, error: data.errorText });
+			}
+		}
+	};
+	for (const [eventName, listener] of Object.entries(listeners)) {
+		client.on(eventName, listener);
+	}
+
+	return {
+		har({ url, visit, profile, measuredAt, duration = null }) {
+			return {
+				log: {
+					version: '1.2',
+					creator: { name: TOOL_NAME, version: TOOL_VERSION },
+					pages: [{
+						startedDateTime: measuredAt,
+						id: 'page_1',
+						title: url,
+						pageTimings: { onContentLoad: -1, onLoad: (duration !== null) ? duration : -1 },
+						_visit: visit,
+						_profile: profile
+					}],
+					entries: entries
+						.map(entry => ({ pageref: 'page_1', ...entry }))
+						.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime))
+				}
+			};
+		},
+		stop() {
+			for (const [eventName, listener] of Object.entries(listeners)) {
+				client.off(eventName, listener);
+			}
+		}
+	};
+}
+
+/**
+ * Writes a HAR file.
+ *
+ * @param {string} filePath - Path to the HAR file.
+ * @param {object} har - HAR, from the recorder of recordHar().
+ */
+export function writeHarFile(filePath, har) {
+	fs.writeFileSync(filePath, JSON.stringify(har, null, 2));
+}
+
+/**
+ * Gets the name of the HAR file of a measurement, e.g. 'example.org_blog_post--desktop--first.har'.
+ *
+ * @param {string} url - The URL of the page.
+ * @param {object} options - Options object.
+ * @param {string} options.visit - Visit type: 'first' or 'return'.
+ * @param {string} options.profile - The name of the measurement profile.
+ * @param {number} [options.run] - The number of the run, when measuring several runs. Default: none.
+ * @returns {string} File name.
+ */
+export function harFileName(url, { visit, profile, run = null }) {
+	const { host, pathname, search } = new URL(url);
+	let name = `${host}${pathname}${search}`.replace(/[^A-Za-z0-9.-]+/g, '_').replace(/_+$/, '');
+	if (name.length > MAX_NAME_LENGTH) {
+		// Keep long names unique by ending them with a hash of the URL
+		name = `${name.slice(0, MAX_NAME_LENGTH)}_${crypto.createHash('sha1').update(url).digest('hex').slice(0, 8)}`;
+	}
+	return `${name}--${profile}--${visit}${(run !== null) ? `--run-${run}` : ''}.har`;
+}
+
+/**
+ * Reads a HAR file.
+ *
+ * @param {string} filePath - The path to the HAR file.
+ * @returns {Promise<object>} HAR, with 'log' and its 'entries'.
+ * @throws {InputFileError} If the file cannot be read or parsed, or is not a HAR file.
+ */
+export async function readHarFile(filePath) {
+	try {
+		const har = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		if (!har || !har.log || !Array.isArray(har.log.entries)) {
+			throw new Error("not a HAR file (no 'log.entries')");
+		}
+		return har;
+	} catch (e) {
+		throw new InputFileError(filePath, { cause: e });
+	}
+}
+
+/**
+ * Gets the bytes transferred for a HAR entry.
+ */
+function entryTransferSize({ response }) {
+	if (Number.isFinite(response._transferSize) && response._transferSize >= 0) {
+		return response._transferSize;
+	}
+	const headersSize = (response.headersSize > 0) ? response.headersSize : 0;
+	const bodySize = (response.bodySize > 0) ? response.bodySize : 0;
+	return headersSize + bodySize;
+}
+
+/**
+ * Gets the MIME type of the content of a HAR entry, without any parameters such as the character set.
+ */
+function entryMimeType({ response }) {
+	return (response.content && response.content.mimeType) ? response.content.mimeType.split(';')[0].trim() || null : null;
+}
+
+/**
+ * Gets the encoding and cache lifetime of a HAR entry from its response headers, if they were recorded.
+ */
+function entryCaching({ response }) {
+	if (!Array.isArray(response.headers) || response.headers.length === 0) {
+		return {};
+	}
+	return responseCaching(Object.fromEntries(response.headers.map(({ name, value }) => [name, value])));
+}
+
+/**
+ * Reads the pages in a HAR file, with the requests each page made. Entries of a HAR file without pages all belong to
+ * one page.
+ *
+ * Each page is the URL of its first request, and its main document is found by following any redirects from there.
+ * HAR files exported by the scorecard record the URL, visit type and profile of the measurement.
+ *
+ * @param {object} har - HAR, e.g. from readHarFile().
+ * @returns {object[]} Pages, each with 'url', 'visit' ('first' or 'return', which is 'first' unless recorded),
+ *   'profile' (the name of the profile recorded, or null), 'startedAt', 'onLoad' (milliseconds, or null), 'document'
+ *   (with 'status', 'finalUrl', 'redirects' and 'contentType') and 'requests' (each with 'url', 'type' (the CDP
+ *   resource type), 'mimeType', 'fromCache', 'transferSize' and 'decodedSize', and 'encoding' and 'cacheLifetime' when
+ *   response headers were recorded).
+ */
+export function harPages(har) {
+	const entries = [...har.log.entries].sort((a, b) => String(a.startedDateTime).localeCompare(String(b.startedDateTime)));
+	const pages = (Array.isArray(har.log.pages) && har.log.pages.length > 0) ? har.log.pages : [{}];
+
+	const pageEntries = (page) => entries.filter(entry => (pages.length === 1 && !entry.pageref) || (entry.pageref === page.id));
+
+	return pages
+		.map(page => ({ page, entries: pageEntries(page) }))
+		.filter(({ entries }) => entries.length > 0)
+		.map(({ page, entries }) => {
+			// Follow the redirects of the first request to the main document, each to a later entry, so that a redirect
+			// back to an earlier URL (e.g. to set a cookie) does not go round in circles
+			const redirects = [];
+			const visited = new Set();
+			let document = entries[0];
+			while (document.response.redirectURL && redirects.length < MAX_REDIRECTS) {
+				visited.add(document);
+				redirects.push({ url: document.request.url, status: document.response.status || null });
+				const target = new URL(document.response.redirectURL, document.request.url).href;
+				const next = entries.slice(entries.indexOf(document) + 1).find(entry => !visited.has(entry) && entry.request.url === target);
+				if (!next) {
+					break;
+				}
+				document = next;
+			}
+
+			const onLoad = page.pageTimings ? page.pageTimings.onLoad : -1;
+			return {
+				url: (page._visit && page.title) ? page.title : entries[0].request.url,
+				visit: (page._visit === 'return') ? 'return' : 'first',
+				profile: page._profile || null,
+				startedAt: page.startedDateTime || entries[0].startedDateTime,
+				onLoad: (Number.isFinite(onLoad) && onLoad >= 0) ? Math.round(onLoad) : null,
+				document: {
+					status: document.response.status || null,
+					finalUrl: document.request.url,
+					redirects,
+					contentType: entryMimeType(document)
+				},
+				// A redirected request continues as the request it redirects to, as in measurements
+				requests: entries.filter(entry => !entry.response.redirectURL).map(entry => ({
+					url: entry.request.url,
+					type: cdpResourceType(entry._resourceType),
+					mimeType: entryMimeType(entry),
+					fromCache: !!entry._fromCache,
+					transferSize: entryTransferSize(entry),
+					decodedSize: (entry.response.content && entry.response.content.size > 0) ? entry.response.content.size : 0,
+					...entryCaching(entry)
+				}))
+			};
+		});
+}
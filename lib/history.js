@@ -0,0 +1,276 @@
+/**
+ * history.js
+ *
+ * A local history of runs, and trends in the results of a website over time.
+ *
+ * Runs are saved to a JSON lines file, with one run per line, keyed by site, date and settings. Trends are
+ * only reported for runs made with the same carbon model and measurement settings, unless mixed settings are
+ * allowed, as their results are not directly comparable.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { URL } from "url";
+import { RATINGS } from "./carbon.js";
+import { measureSettings } from "./compare.js";
+import { InputFileError, InvalidOptionError, ScorecardError } from "./errors.js";
+import { silentLogger } from "./logger.js";
+
+// Default location of the history file
+export const DEFAULT_HISTORY_FILE = path.join(os.homedir(), '.cache', 'website-carbon-scorecard', 'history.jsonl');
+
+// Minimum number of runs a page must be measured in to count as steadily growing
+const MIN_GROWTH_RUNS = 3;
+
+/**
+ * Gets the key of the settings of a report: its carbon model and measurement settings.
+ *
+ * @param {object} report - Report from createReport().
+ * @returns {string} Settings key.
+ */
+export function settingsKey(report) {
+	const { name, version } = report.run.model;
+	return JSON.stringify({ model: { name, version }, measure: measureSettings(report) });
+}
+
+/**
+ * Gets the site that a URL belongs to, for keying history: its origin.
+ */
+function siteKey(url) {
+	return new URL(url).origin;
+}
+
+/**
+ * Converts a report into a history record.
+ *
+ * @param {object} report - Report from createReport().
+ * @returns {object} History record with 'site', 'date' (YYYY-MM-DD), 'startedAt', 'finishedAt', 'settingsKey', 'model',
+ *   'measure', 'summary', 'perVisitSummary' and 'pages' (each with 'url', and 'firstVisit' and 'returnVisit' with 'bytes',
+ *   'co2' and 'rating').
+ */
+export function historyRecord(report) {
+	const { run, summary, perVisitSummary, pages } = report;
+	const visitValues = (visit) => visit ? { bytes: visit.bytes, co2: visit.co2, rating: visit.rating } : null;
+
+	return {
+		site: siteKey(run.siteUrl),
+		date: run.startedAt.slice(0, 10),
+		startedAt: run.startedAt,
+		finishedAt: run.finishedAt,
+		settingsKey: settingsKey(report),
+		tool: run.tool,
+		model: run.model,
+		measure: run.measure,
+		summary,
+		perVisitSummary,
+		pages: pages.map(({ url, firstVisit, returnVisit }) => ({
+			url,
+			firstVisit: visitValues(firstVisit),
+			returnVisit: visitValues(returnVisit)
+		}))
+	};
+}
+
+/**
+ * Saves a run to a history file, creating the file if needed.
+ *
+ * @param {string} filePath - Path to the history file (JSON lines).
+ * @param {object} report - Report from createReport().
+ * @returns {object} The history record saved.
+ * @throws {ScorecardError} If the history file cannot be written.
+ */
+export function saveToHistory(filePath, report) {
+	const record = historyRecord(report);
+
+	try {
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.appendFileSync(filePath, JSON.stringify(record) + "\n");
+	} catch (e) {
+		throw new ScorecardError(`Could not write history file ${filePath}: ${e.message}`, { cause: e });
+	}
+
+	return record;
+}
+
+/**
+ * Reads the runs in a history file, oldest first.
+ *
+ * @param {string} filePath - Path to the history file (JSON lines).
+ * @param {object} [options] - Options object.
+ * @param {string} [options.site] - Only read runs of the website with this URL (matched by origin). Default: all runs.
+ * @param {object} [options.logger] - Logger for warnings about lines that are skipped. Default: silent.
+ * @returns {Promise<object[]>} History records, sorted by the time each run started. An empty list if the file does not exist.
+ * @throws {InputFileError} If the file cannot be read.
+ */
+export async function readHistory(filePath, options = {}) {
+	const {
+		site = null,
+		logger = silentLogger
+	} = options;
+
+	if (!fs.existsSync(filePath)) {
+		return [];
+	}
+
+	let lines;
+	try {
+		lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+	} catch (e) {
+		throw new InputFileError(filePath, { cause: e });
+	}
+
+	const records = [];
+	for (const [index, line] of lines.entries()) {
+		if (line.trim() === '') {
+			continue;
+		}
+
+		// A line cut short (e.g. by a crash while saving a run) is skipped, so the other runs can still be read
+		let record;
+		try {
+			record = JSON.parse(line);
+		} catch (e) {
+			logger.warn(`⚠️  Skipping line ${index + 1} of ${filePath}: not valid JSON`);
+			continue;
+		}
+		if (!record || !record.site || !record.startedAt || !Array.isArray(record.pages)) {
+			logger.warn(`⚠️  Skipping line ${index + 1} of ${filePath}: not a history record`);
+			continue;
+		}
+
+		records.push(record);
+	}
+
+	const siteFilter = (site !== null) ? siteKey(site) : null;
+	return records
+		.filter(record => siteFilter === null || record.site === siteFilter)
+		.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+/**
+ * Describes the settings of a run, for messages.
+ */
+function describeSettings(record) {
+	const { model, measure } = record;
+	return `${model.label || model.name}, ${measure.event || 'HAR files'}${(measure.runs > 1) ? `, ${measure.runs} runs` : ''}${measure.profile ? `, ${measure.profile}` : ''}`;
+}
+
+/**
+ * Calculates the change between two values as a percentage of the first.
+ */
+function percentChange(first, last) {
+	if (first === 0) {
+		return (last === 0) ? 0 : null;
+	}
+	return ((last - first) / first) * 100;
+}
+
+/**
+ * Describes the change in a series of values: first, latest and the change between them.
+ */
+function seriesChange(series) {
+	const first = series[0];
+	const last = series[series.length - 1];
+	return {
+		first,
+		last,
+		bytesPercent: percentChange(first.bytes, last.bytes),
+		co2Percent: percentChange(first.co2, last.co2),
+		rating: (first.rating && last.rating) ? RATINGS.indexOf(last.rating) - RATINGS.indexOf(first.rating) : null
+	};
+}
+
+/**
+ * Reports trends in the results of a website over its past runs.
+ *
+ * Pages are tracked on first visits (cold loads). A page has steadily grown heavier when it was measured in at least
+ * 3 runs, its size did not fall from one run to the next, and it grew by more than the growth threshold overall.
+ *
+ * @param {object[]} records - History records of a website, from readHistory(), oldest first.
+ * @param {object} [options] - Options object.
+ * @param {number} [options.last] - Only include the most recent runs. Default: all runs.
+ * @param {boolean} [options.allowMixedSettings=false] - Whether to include runs made with different carbon models or
+ *   measurement settings. Default: false.
+ * @param {number} [options.growthThreshold=10] - Percentage growth in bytes beyond which a page that has grown in every
+ *   run is reported as steadily growing. Default: 10.
+ * @returns {object} Trend with 'site', 'runs' (each with 'startedAt', 'date', 'settings' and the site-wide 'pages',
+ *   'bytes', 'co2' and 'rating'), 'mixedSettings', 'summary' (the change in site-wide values from the first to the latest
+ *   run, or null), 'pages' (each with 'url', 'series' (the 'startedAt', 'bytes', 'co2' and 'rating' of each run the page
+ *   was measured in), 'change' and 'growing') and 'growing' (the URLs of pages that have steadily grown heavier).
+ * @throws {InvalidOptionError} If there are no runs, or runs were made with different settings and mixed settings are
+ *   not allowed.
+ */
+export function historyTrend(records, options = {}) {
+	const {
+		last = null,
+		allowMixedSettings = false,
+		growthThreshold = 10
+	} = options;
+
+	if (last !== null && (!Number.isInteger(last) || last < 1)) {
+		throw new InvalidOptionError(`Invalid number of runs: ${last}`);
+	}
+
+	const runs = (last !== null) ? records.slice(-last) : records;
+	if (runs.length === 0) {
+		throw new InvalidOptionError("No runs in the history to report trends for");
+	}
+
+	// Refuse to mix runs that are not directly comparable, unless told to
+	const keys = new Set(runs.map(record => record.settingsKey));
+	if (keys.size > 1 && !allowMixedSettings) {
+		const settings = [...new Set(runs.map(describeSettings))];
+		throw new InvalidOptionError(`Runs of ${runs[0].site} were made with different carbon models or measurement settings (${settings.join('; ')}). ` +
+			"Use --allow-mixed-settings to include them anyway");
+	}
+
+	const siteSeries = runs
+		.filter(record => record.summary.pages > 0)
+		.map(record => ({
+			startedAt: record.startedAt,
+			bytes: record.summary.avgBytes,
+			co2: record.summary.avgCO2e,
+			rating: record.summary.carbonRating
+		}));
+
+	// Follow each page through the runs it was measured in
+	const pageSeries = new Map();
+	for (const record of runs) {
+		for (const { url, firstVisit } of record.pages) {
+			if (!firstVisit) {
+				continue;
+			}
+			if (!pageSeries.has(url)) {
+				pageSeries.set(url, []);
+			}
+			pageSeries.get(url).push({ startedAt: record.startedAt, ...firstVisit });
+		}
+	}
+
+	const pages = [...pageSeries.entries()]
+		.sort(([a], [b]) => a.localeCompare(b))
+		.map(([url, series]) => {
+			const change = seriesChange(series);
+			const neverFell = series.every((point, i) => i === 0 || point.bytes >= series[i - 1].bytes);
+			const growing = series.length >= MIN_GROWTH_RUNS && neverFell && change.bytesPercent !== null && change.bytesPercent > growthThreshold;
+			return { url, series, change, growing };
+		});
+
+	return {
+		site: runs[0].site,
+		runs: runs.map(record => ({
+			startedAt: record.startedAt,
+			date: record.date,
+			settings: describeSettings(record),
+			pages: record.summary.pages,
+			bytes: record.summary.avgBytes,
+			co2: record.summary.avgCO2e,
+			rating: record.summary.carbonRating
+		})),
+		mixedSettings: keys.size > 1,
+		summary: (siteSeries.length > 0) ? seriesChange(siteSeries) : null,
+		pages,
+		growing: pages.filter(page => page.growing).map(page => page.url)
+	};
+}
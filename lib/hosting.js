@@ -0,0 +1,337 @@
+/**
+ * hosting.js
+ *
+ * Green hosting lookups using The Green Web Foundation's Green Web Dataset.
+ *
+ * Lookups are made for each domain that serves resources on a page, and can be cached on disk. A local list
+ * of green domains (JSON or CSV) can be used instead of the Green Web Foundation API, so that runs can work
+ * offline and be repeated with the same results.
+ */
+
+import { hosting } from "@tgwf/co2";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { URL } from "url";
+import { parseCsv } from "./csv.js";
+import { InputFileError } from "./errors.js";
+import { silentLogger } from "./logger.js";
+
+const USER_AGENT_IDENTIFIER = 'sustainability-auditor-cli';
+
+// Default location of the green hosting cache
+export const DEFAULT_HOSTING_CACHE = path.join(os.homedir(), '.cache', 'website-carbon-scorecard', 'green-hosting.json');
+
+// Cached lookups are used for 30 days by default
+const DEFAULT_CACHE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+// Number of domains looked up in each request to the Green Web Foundation API
+const LOOKUP_BATCH_SIZE = 20;
+
+/**
+ * Checks whether a website is hosted green.
+ *
+ * @param {string} siteUrl - A URL on the website to check.
+ * @param {object} [options] - Options object.
+ * @param {boolean} [options.verbose=false] - Whether to request the verbose lookup result. Default: false.
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @returns {Promise<boolean|object>} Whether the hosting is green, or the verbose lookup result.
+ */
+// https://developers.thegreenwebfoundation.org/co2js/tutorials/check-hosting/
+export async function greenHosting(siteUrl, options = {}) {
+	const {
+		verbose = false,
+		logger = silentLogger
+	} = options;
+
+	// Must send a host domain to the hosting.check() method
+	const hostDomain = new URL(siteUrl).hostname;
+
+	// Note: hosting.check() isn't a thing in ESM version; use hosting()
+	// FIXME: Update when @tgwf/co2 library is fixed (https://github.com/thegreenwebfoundation/co2.js/issues/266)
+	const response = await hosting(hostDomain, {
+		verbose: verbose,
+		userAgentIdentifier: USER_AGENT_IDENTIFIER
+	});
+
+	logger.debug("\n-----------------------------------");
+	logger.debug(`🌿 Green hosting lookup result:`);
+	logger.debug(response);
+	logger.debug("-----------------------------------\n");
+
+	return verbose ? response.green : response;
+}
+
+/**
+ * Normalises a domain (or a URL) for lookups: the lower-case hostname.
+ */
+function normaliseDomain(domain) {
+	const value = String(domain).trim();
+	if (value.includes('://')) {
+		try {
+			return new URL(value).hostname;
+		} catch {} // Fall through to treat the value as a domain
+	}
+	return value.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Determines whether a value in a list of green domains means "green".
+ */
+function isTruthy(value) {
+	if (typeof value === 'boolean') {
+		return value;
+	}
+	return ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Reads a list of green domains from a JSON or CSV file.
+ *
+ * JSON files can be an array of domains (e.g. ["example.org"]), an array of lookup results (e.g.
+ * [{ "url": "example.org", "green": true }]), or an object keyed by domain (e.g. { "example.org": true }),
+ * as returned by the Green Web Foundation API. CSV files list a domain on each row; if the first row is a
+ * header, the columns are found by name (e.g. 'domain' and 'green'), otherwise the first column is used and
+ * an optional second column says whether the domain is green.
+ *
+ * @param {string} filePath - The path to the JSON or CSV file.
+ * @returns {Promise<Set<string>>} The green domains.
+ * @throws {InputFileError} If the file cannot be read or parsed, or lists no domains.
+ */
+export async function readGreenDomainsFile(filePath) {
+	let fileContents;
+	try {
+		fileContents = fs.readFileSync(filePath, 'utf8');
+	} catch (e) {
+		throw new InputFileError(filePath, { cause: e });
+	}
+
+	// Each entry is a domain and whether it is green
+	const entries = [];
+
+	const trimmed = fileContents.trim();
+	if (path.extname(filePath).toLowerCase() === '.json' || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+		let data;
+		try {
+			data = JSON.parse(trimmed);
+		} catch (e) {
+			throw new InputFileError(filePath, { cause: e });
+		}
+
+		const items = Array.isArray(data)
+			? data
+			: Object.entries(data).map(([domain, value]) => (typeof value === 'object' && value !== null)
+				? { url: domain, ...value }
+				: { url: domain, green: value });
+
+		for (const item of items) {
+			if (typeof item === 'string') {
+				entries.push([item, true]);
+			} else if (item && (item.url || item.domain || item.hostname)) {
+				entries.push([item.url || item.domain || item.hostname, (item.green === undefined) ? true : isTruthy(item.green)]);
+			}
+		}
+	} else {
+		const rows = parseCsv(fileContents);
+
+		// Find the columns from a header row (e.g. 'domain,green'), if there is one
+		let domainColumn = 0;
+		let greenColumn = 1;
+		if (rows.length > 0 && rows[0].some(name => /^(domain|hostname|host|url|site|green)\b/i.test(name) && !name.includes('.'))) {
+			const header = rows.shift().map(name => name.toLowerCase());
+			const foundDomain = header.findIndex(name => /domain|host|url|site/.test(name));
+			const foundGreen = header.findIndex(name => /green/.test(name));
+			domainColumn = (foundDomain !== -1) ? foundDomain : 0;
+			greenColumn = foundGreen;
+		}
+
+		for (const row of rows) {
+			if (!row[domainColumn]) {
+				continue;
+			}
+			const greenValue = (greenColumn !== -1) ? row[greenColumn] : undefined;
+			entries.push([row[domainColumn], (greenValue === undefined || greenValue === '') ? true : isTruthy(greenValue)]);
+		}
+	}
+
+	if (entries.length === 0) {
+		throw new InputFileError(filePath, { cause: new Error("no domains found") });
+	}
+
+	return new Set(entries.filter(([, green]) => green).map(([domain]) => normaliseDomain(domain)));
+}
+
+/**
+ * Reads cached lookups from disk, discarding any that have expired.
+ */
+function readCache(cacheFile, maxAge, logger) {
+	if (!cacheFile || !fs.existsSync(cacheFile)) {
+		return {};
+	}
+
+	try {
+		const { domains = {} } = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+		const now = Date.now();
+		return Object.fromEntries(
+			Object.entries(domains).filter(([, entry]) => now - new Date(entry.checkedAt).getTime() <= maxAge)
+		);
+	} catch (e) {
+		logger.warn(`⚠️  Could not read green hosting cache ${cacheFile}: ${e.message}`);
+		return {};
+	}
+}
+
+/**
+ * Looks up domains using the Green Web Foundation API, in batches.
+ *
+ * @returns {Promise<Map<string, boolean>>} Whether each domain is green, for the domains that could be looked up.
+ */
+async function lookUpDomains(domains, logger) {
+	const found = new Map();
+
+	for (let i = 0; i < domains.length; i += LOOKUP_BATCH_SIZE) {
+		const batch = domains.slice(i, i + LOOKUP_BATCH_SIZE);
+
+		// Note: hosting() returns an empty result, rather than throwing, when looking up several domains fails
+		let response = {};
+		try {
+			response = await hosting(batch, {
+				verbose: true,
+				userAgentIdentifier: USER_AGENT_IDENTIFIER
+			});
+		} catch (e) {
+			logger.debug(`Green hosting lookup failed: ${e.message}`);
+		}
+
+		logger.debug(`🌿 Green hosting lookup result for ${batch.join(', ')}:`);
+		logger.debug(response);
+
+		for (const domain of batch) {
+			const result = response[domain];
+			if (result && typeof result.green === 'boolean') {
+				found.set(domain, result.green);
+			}
+		}
+	}
+
+	return found;
+}
+
+/**
+ * Creates a checker for the green hosting of domains, which remembers the result for each domain.
+ *
+ * @param {object} [options] - Options object.
+ * @param {Iterable<string>} [options.greenDomains] - Green domains to use instead of the Green Web Foundation API
+ *   (see readGreenDomainsFile()); any other domain is not green. Default: none (use the API).
+ * @param {string} [options.cacheFile] - Path to a JSON file to cache API lookups in. Default: none.
+ * @param {number} [options.cacheMaxAge] - Maximum age of cached lookups to use, in milliseconds. Default: 30 days.
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @returns {object} Checker with 'source' ('list' or 'api'), 'check(domain)' and 'checkDomains(domains)' (which
+ *   resolve to whether a domain is green, or a Map of whether each domain is green), 'results()' (whether each
+ *   domain checked so far is green) and 'save()' (to write new lookups to the cache).
+ */
+export function createGreenHostingChecker(options = {}) {
+	const {
+		greenDomains = null,
+		cacheFile = null,
+		cacheMaxAge = DEFAULT_CACHE_MAX_AGE,
+		logger = silentLogger
+	} = options;
+
+	const listed = (greenDomains !== null) ? new Set([...greenDomains].map(normaliseDomain)) : null;
+	const cache = (listed === null) ? readCache(cacheFile, cacheMaxAge, logger) : {};
+	let cacheChanged = false;
+
+	// Whether each domain is green, and lookups in progress
+	const results = new Map();
+	const pending = new Map();
+
+	/**
+	 * Checks whether each of a set of domains is hosted green.
+	 *
+	 * Domains that cannot be looked up are assumed not to be green.
+	 *
+	 * @param {string[]} domains - Domains (or URLs) to check. Duplicates and empty values are ignored.
+	 * @returns {Promise<Map<string, boolean>>} Whether each domain is green, keyed by normalised domain.
+	 */
+	async function checkDomains(domains) {
+		const unique = [...new Set(domains.filter(Boolean).map(normaliseDomain))];
+
+		const toLookUp = [];
+		for (const domain of unique) {
+			if (results.has(domain) || pending.has(domain)) {
+				continue;
+			}
+
+			if (listed !== null) {
+				results.set(domain, listed.has(domain));
+			} else if (cache[domain]) {
+				results.set(domain, cache[domain].green);
+				logger.debug(`🌿 Green hosting for ${domain} (cached): ${cache[domain].green}`);
+			} else {
+				toLookUp.push(domain);
+			}
+		}
+
+		if (toLookUp.length > 0) {
+			const lookup = lookUpDomains(toLookUp, logger).then((found) => {
+				const checkedAt = new Date().toISOString();
+				for (const domain of toLookUp) {
+					if (found.has(domain)) {
+						results.set(domain, found.get(domain));
+						cache[domain] = { green: found.get(domain), checkedAt };
+						cacheChanged = true;
+					} else {
+						logger.warn(`⚠️  Could not check green hosting for ${domain}; assuming it is not green`);
+						results.set(domain, false);
+					}
+					pending.delete(domain);
+				}
+			});
+			for (const domain of toLookUp) {
+				pending.set(domain, lookup);
+			}
+		}
+
+		await Promise.all(unique.filter(domain => pending.has(domain)).map(domain => pending.get(domain)));
+
+		return new Map(unique.map(domain => [domain, results.get(domain)]));
+	}
+
+	/**
+	 * Checks whether a domain is hosted green.
+	 *
+	 * @param {string} domain - The domain (or a URL) to check.
+	 * @returns {Promise<boolean>} Whether the domain is green.
+	 */
+	async function check(domain) {
+		const checked = await checkDomains([domain]);
+		return checked.get(normaliseDomain(domain)) === true;
+	}
+
+	/**
+	 * Writes new lookups to the cache file, if any.
+	 */
+	function save() {
+		if (!cacheFile || !cacheChanged) {
+			return;
+		}
+
+		try {
+			fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+			fs.writeFileSync(cacheFile, JSON.stringify({ domains: cache }, null, 2));
+			cacheChanged = false;
+			logger.debug(`Green hosting cache written to ${cacheFile}`);
+		} catch (e) {
+			logger.warn(`⚠️  Could not write green hosting cache ${cacheFile}: ${e.message}`);
+		}
+	}
+
+	return {
+		source: (listed !== null) ? 'list' : 'api',
+		check,
+		checkDomains,
+		results: () => Object.fromEntries([...results.entries()].sort(([a], [b]) => a.localeCompare(b))),
+		save
+	};
+}
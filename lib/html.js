@@ -0,0 +1,509 @@
+/**
+ * html.js
+ *
+ * A self-contained HTML report of an assessment, for sharing with people who do not use the command line.
+ *
+ * The report is a single file with inline styles and scripts, and no external assets, so it can be emailed or
+ * attached to a ticket and viewed offline.
+ */
+
+import { CONTENT_TYPES } from "./breakdown.js";
+import { RATINGS } from "./carbon.js";
+import { formatBytes } from "./format.js";
+import { describeStrategy } from "./measure.js";
+
+// Number of pages listed as the heaviest pages
+const HEAVIEST_PAGES = 10;
+
+// Colours of rating badges, from best to worst, with the text colour for each
+const RATING_COLOURS = {
+	'A+': ['#0b6e35', '#fff'],
+	'A': ['#2f8a3a', '#fff'],
+	'B': ['#7aab2e', '#fff'],
+	'C': ['#e6b422', '#1a1a1a'],
+	'D': ['#e8892b', '#1a1a1a'],
+	'E': ['#d9582b', '#fff'],
+	'F': ['#b8322b', '#fff']
+};
+
+const STYLES = `
+	body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #1a1a1a; background: #fafaf7; margin: 0; line-height: 1.5; }
+	main { max-width: 1100px; margin: 0 auto; padding: 1.5rem; }
+	h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+	h2 { font-size: 1.25rem; margin-top: 2.5rem; border-bottom: 2px solid #d8dccf; padding-bottom: 0.25rem; }
+	.meta { color: #555; margin-top: 0; }
+	table { border-collapse: collapse; width: 100%; font-size: 0.9rem; background: #fff; }
+	th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #e4e6de; vertical-align: top; }
+	th { background: #eef0e8; }
+	td.number, th.number { text-align: right; font-variant-numeric: tabular-nums; }
+	td.url { word-break: break-all; }
+	dl.settings { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+	dl.settings dt { font-weight: 600; }
+	dl.settings dd { margin: 0; }
+	.summary { display: flex; flex-wrap: wrap; gap: 1.5rem; align-items: center; }
+	.summary dl { display: grid; grid-template-columns: max-content auto; gap: 0.25rem 1rem; margin: 0; }
+	.summary dt { color: #555; }
+	.summary dd { margin: 0; font-weight: 600; }
+	.badge { display: inline-block; min-width: 1.8em; padding: 0.1em 0.35em; border-radius: 0.3em; text-align: center; font-weight: 700; }
+	.badge.large { font-size: 3rem; min-width: 2.2em; border-radius: 0.2em; }
+	.chart { display: grid; grid-template-columns: 3rem 1fr 3rem; gap: 0.3rem 0.75rem; align-items: center; max-width: 640px; }
+	.bar { height: 1.2rem; border-radius: 0.2rem; min-width: 1px; }
+	.unstable { color: #a15c00; font-weight: 600; }
+	table.sortable th button { font: inherit; font-weight: 600; background: none; border: 0; padding: 0; cursor: pointer; color: inherit; text-align: inherit; }
+	table.sortable th[aria-sort="ascending"] button::after { content: " ▲"; }
+	table.sortable th[aria-sort="descending"] button::after { content: " ▼"; }
+	footer { margin-top: 3rem; color: #555; font-size: 0.85rem; }
+`;
+
+// Sorts a table by the column whose heading is clicked, using the 'data-value' of each cell when it has one
+const SORT_SCRIPT = `
+	document.querySelectorAll('table.sortable').forEach((table) => {
+		const headings = [...table.tHead.rows[0].cells];
+		headings.forEach((heading, column) => {
+			const button = heading.querySelector('button');
+			button.addEventListener('click', () => {
+				const ascending = heading.getAttribute('aria-sort') !== 'ascending';
+				headings.forEach(other => other.removeAttribute('aria-sort'));
+				heading.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+				const value = (row) => {
+					const cell = row.cells[column];
+					return (cell.dataset.value !== undefined) ? cell.dataset.value : cell.textContent.trim();
+				};
+				const rows = [...table.tBodies[0].rows].sort((a, b) => {
+					const x = value(a);
+					const y = value(b);
+					// Pages without a value are listed last
+					if (x === '' || y === '') {
+						return (x === '') - (y === '');
+					}
+					const order = (!isNaN(x) && !isNaN(y)) ? x - y : x.localeCompare(y);
+					return ascending ? order : -order;
+				});
+				table.tBodies[0].append(...rows);
+			});
+		});
+	});
+`;
+
+/**
+ * Escapes text for HTML.
+ */
+function escapeHtml(str) {
+	return String(str)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats grams of CO2e.
+ */
+function formatGrams(grams) {
+	return `${grams.toFixed(3)} g`;
+}
+
+/**
+ * Creates the badge of a rating, or an empty string when there is no rating.
+ */
+function ratingBadge(rating, large = false) {
+	if (!rating) {
+		return '';
+	}
+	const [background, colour] = RATING_COLOURS[rating] || ['#555', '#fff'];
+	return `<span class="badge${large ? ' large' : ''}" style="background: ${background}; color: ${colour}">${escapeHtml(rating)}</span>`;
+}
+
+/**
+ * Creates the cells of a visit in the pages table: size, CO2e and rating.
+ */
+function visitCells(visit, ratings) {
+	if (!visit) {
+		return `<td class="number" data-value="">–</td><td class="number" data-value="">–</td>${ratings ? '<td data-value="">–</td>' : ''}`;
+	}
+
+	const unstable = visit.unstable ? ` <span class="unstable" title="Size varied by ±${visit.runs.variation.toFixed(1)}% between runs">unstable</span>` : '';
+	const cells = [
+		`<td class="number" data-value="${visit.bytes}">${escapeHtml(formatBytes(visit.bytes))}${unstable}</td>`,
+		`<td class="number" data-value="${visit.co2}">${formatGrams(visit.co2)}</td>`
+	];
+	if (ratings) {
+		cells.push(`<td data-value="${RATINGS.indexOf(visit.rating)}">${ratingBadge(visit.rating)}</td>`);
+	}
+	return cells.join('');
+}
+
+/**
+ * Creates the run settings section.
+ */
+function settingsSection(run) {
+	const { model, measure, profiles, sampling } = run;
+	const settings = [
+		['Website', run.siteUrl],
+		['Carbon model', model.label]
+	];
+
+	if (model.intensity) {
+		const describeIntensity = ({ country, value }) => `${value} g/kWh${country ? ` (${country})` : ''}`;
+		const { device, network, dataCenter } = model.intensity;
+		settings.push(['Grid intensity', `device ${describeIntensity(device)}, network ${describeIntensity(network)}, data centre ${describeIntensity(dataCenter)}`]);
+	}
+
+	settings.push(['Measured at', describeStrategy(measure)]);
+	settings.push(['Measurement mode', measure.mode]);
+	if (profiles) {
+		settings.push(['Profiles', profiles.map(profile => profile.label).join(', ')]);
+	}
+	if (measure.runs > 1) {
+		settings.push(['Runs', `${measure.runs} per visit (median reported; unstable above ±${run.unstableThreshold}%)`]);
+	}
+	if (run.returnRatio !== null) {
+		settings.push(['Returning visitors', `${Math.round(run.returnRatio * 100)}%`]);
+	}
+	if (sampling) {
+		settings.push(['Sampling', `${sampling.perTemplate} pages per template`]);
+	} else if (run.maxPages !== null) {
+		settings.push(['Maximum pages', run.maxPages]);
+	}
+	if (run.exclude) {
+		const excluded = [
+			run.exclude.errors && 'error pages (not 2xx)',
+			run.exclude.nonHtml && 'pages that are not HTML',
+			run.exclude.offSite && 'pages that redirect off-site'
+		].filter(Boolean);
+		if (excluded.length > 0) {
+			settings.push(['Excluded', excluded.join(', ')]);
+		}
+	}
+	if (run.session) {
+		const { headers, basicAuth, cookies, login, consent } = run.session;
+		const session = [
+			login && `logged in (${login})`,
+			basicAuth && 'basic auth',
+			cookies > 0 && `${cookies} ${cookies === 1 ? 'cookie' : 'cookies'}`,
+			headers.length > 0 && `headers (${headers.join(', ')})`,
+			consent !== 'none' && `consent banners ${consent === 'accept' ? 'accepted' : 'rejected'}`
+		].filter(Boolean);
+		if (session.length > 0) {
+			settings.push(['Session', session.join(', ')]);
+		}
+	}
+	settings.push(['Green hosting', run.greenHosting ? 'Yes' : 'No']);
+	settings.push(['Started', run.startedAt]);
+	if (run.finishedAt) {
+		settings.push(['Finished', run.interrupted ? `${run.finishedAt} (interrupted, so only some pages were measured)` : run.finishedAt]);
+	}
+	if (run.resumed > 0) {
+		settings.push(['Resumed', `${run.resumed} measurements reused from a checkpoint`]);
+	}
+
+	return [
+		`<section>`,
+		`<h2>Run settings</h2>`,
+		`<dl class="settings">`,
+		...settings.map(([name, value]) => `<dt>${escapeHtml(name)}</dt><dd>${escapeHtml(value)}</dd>`),
+		`</dl>`,
+		`</section>`
+	].join("\n");
+}
+
+/**
+ * Creates the summary section, with the overall rating badge.
+ */
+function summarySection(summary, perVisitSummary) {
+	const lines = [`<section>`, `<h2>Summary</h2>`];
+
+	if (summary.pages === 0) {
+		lines.push(`<p>No pages were measured.</p>`, `</section>`);
+		return lines.join("\n");
+	}
+
+	const pagesStr = summary.weighted ? `${summary.pages} (sampled from ${summary.urls} URLs, weighted by template)` : summary.pages;
+	const items = [
+		['Pages assessed', pagesStr],
+		['Average size', formatBytes(summary.avgBytes)],
+		['Average CO₂e', `${summary.avgCO2e.toFixed(2)} g per page`]
+	];
+	if (perVisitSummary && perVisitSummary.pages > 0) {
+		items.push(['Per visit', `${perVisitSummary.avgCO2e.toFixed(2)} g CO₂e (${formatBytes(perVisitSummary.avgBytes)})`]);
+	}
+	if (summary.unstable !== undefined) {
+		items.push(['Unstable pages', summary.unstable]);
+	}
+
+	lines.push(`<div class="summary">`);
+	if (summary.carbonRating) {
+		lines.push(`<div aria-label="Overall rating ${escapeHtml(summary.carbonRating)}">${ratingBadge(summary.carbonRating, true)}</div>`);
+	}
+	lines.push(`<dl>`);
+	lines.push(...items.map(([name, value]) => `<dt>${escapeHtml(name)}</dt><dd>${escapeHtml(value)}</dd>`));
+	lines.push(`</dl>`, `</div>`, `</section>`);
+
+	return lines.join("\n");
+}
+
+/**
+ * Creates the chart of how many pages have each rating, on first visits.
+ */
+function ratingsSection(pages) {
+	const counts = new Map(RATINGS.map(rating => [rating, 0]));
+	for (const { firstVisit } of pages) {
+		if (firstVisit && counts.has(firstVisit.rating)) {
+			counts.set(firstVisit.rating, counts.get(firstVisit.rating) + 1);
+		}
+	}
+	const max = Math.max(...counts.values(), 1);
+
+	const rows = [...counts.entries()].map(([rating, count]) => {
+		const [background] = RATING_COLOURS[rating];
+		return `<div>${ratingBadge(rating)}</div>` +
+			`<div><div class="bar" style="width: ${(count / max) * 100}%; background: ${background}"></div></div>` +
+			`<div class="number">${count}</div>`;
+	});
+
+	return [
+		`<section>`,
+		`<h2>Rating distribution</h2>`,
+		`<p>Number of pages with each rating, on first visits.</p>`,
+		`<div class="chart" role="img" aria-label="${escapeHtml([...counts.entries()].map(([rating, count]) => `${rating}: ${count}`).join(', '))}">`,
+		...rows,
+		`</div>`,
+		`</section>`
+	].join("\n");
+}
+
+/**
+ * Creates the list of the heaviest pages, on first visits.
+ */
+function heaviestSection(pages, ratings) {
+	const heaviest = pages
+		.filter(page => page.firstVisit)
+		.sort((a, b) => b.firstVisit.bytes - a.firstVisit.bytes)
+		.slice(0, HEAVIEST_PAGES);
+
+	return [
+		`<section>`,
+		`<h2>Heaviest pages</h2>`,
+		`<table>`,
+		`<thead><tr><th>Page</th><th class="number">Size</th><th class="number">CO₂e</th>${ratings ? '<th>Rating</th>' : ''}</tr></thead>`,
+		`<tbody>`,
+		...heaviest.map(({ url, firstVisit }) => `<tr><td class="url">${escapeHtml(url)}</td>${visitCells(firstVisit, ratings)}</tr>`),
+		`</tbody>`,
+		`</table>`,
+		`</section>`
+	].join("\n");
+}
+
+/**
+ * Creates the sortable table of pages, with first and return visits side by side.
+ */
+function pagesSection(pages, ratings, profiles) {
+	const heading = (label, numeric = true) => `<th${numeric ? ' class="number"' : ''}><button type="button">${escapeHtml(label)}</button></th>`;
+	const visitHeadings = (visit) => [
+		heading(`${visit} size`),
+		heading(`${visit} CO₂e`),
+		...(ratings ? [heading(`${visit} rating`, false)] : [])
+	];
+
+	const rows = pages.map(({ url, firstVisit, returnVisit, perVisit }) => {
+		const perVisitCell = perVisit
+			? `<td class="number" data-value="${perVisit.co2}">${formatGrams(perVisit.co2)}</td>`
+			: `<td class="number" data-value="">–</td>`;
+		return `<tr><td class="url">${escapeHtml(url)}</td>${visitCells(firstVisit, ratings)}${visitCells(returnVisit, ratings)}${perVisitCell}</tr>`;
+	});
+
+	return [
+		`<section>`,
+		`<h2>Pages</h2>`,
+		`<p>${(profiles && profiles.length > 1) ? `Results are for the ${escapeHtml(profiles[0].label)} profile. ` : ''}Select a column heading to sort the table.</p>`,
+		`<table class="sortable">`,
+		`<thead><tr>${heading('Page', false)}${visitHeadings('First visit').join('')}${visitHeadings('Return visit').join('')}${heading('Per visit CO₂e')}</tr></thead>`,
+		`<tbody>`,
+		...rows,
+		`</tbody>`,
+		`</table>`,
+		`</section>`
+	].join("\n");
+}
+
+/**
+ * Creates the breakdown of first visits by content type, totalled across pages, and the heaviest shared resources.
+ */
+function breakdownSection(pages, sharedResources) {
+	const totals = {};
+	for (const { firstVisit } of pages) {
+		if (!firstVisit || !firstVisit.breakdown) {
+			continue;
+		}
+		for (const [type, { bytes, requests, co2 }] of Object.entries(firstVisit.breakdown.byType)) {
+			const total = totals[type] || { bytes: 0, requests: 0, co2: 0 };
+			total.bytes += bytes;
+			total.requests += requests;
+			total.co2 += co2;
+			totals[type] = total;
+		}
+	}
+
+	const types = CONTENT_TYPES.filter(type => totals[type]);
+	const totalBytes = types.reduce((sum, type) => sum + totals[type].bytes, 0);
+
+	const lines = [
+		`<section>`,
+		`<h2>Breakdown by content type</h2>`,
+		`<p>Totals across the first visits of all pages.</p>`,
+		`<table>`,
+		`<thead><tr><th>Content type</th><th class="number">Size</th><th class="number">Share</th><th class="number">CO₂e</th><th class="number">Requests</th></tr></thead>`,
+		`<tbody>`,
+		...types.map((type) => {
+			const { bytes, requests, co2 } = totals[type];
+			const share = (totalBytes > 0) ? (bytes / totalBytes) * 100 : 0;
+			return `<tr><td>${escapeHtml(type)}</td><td class="number">${escapeHtml(formatBytes(bytes))}</td>` +
+				`<td class="number">${share.toFixed(1)}%</td><td class="number">${formatGrams(co2)}</td><td class="number">${requests}</td></tr>`;
+		}),
+		`</tbody>`,
+		`</table>`
+	];
+
+	if (sharedResources && sharedResources.length > 0) {
+		lines.push(
+			`<h3>Heaviest resources shared across pages</h3>`,
+			`<table>`,
+			`<thead><tr><th>Resource</th><th>Type</th><th class="number">Size</th><th class="number">Pages</th><th class="number">Total</th><th class="number">CO₂e</th></tr></thead>`,
+			`<tbody>`,
+			...sharedResources.map(({ url, type, transferSize, pages: count, totalBytes: total, co2 }) =>
+				`<tr><td class="url">${escapeHtml(url)}</td><td>${escapeHtml(type)}</td><td class="number">${escapeHtml(formatBytes(transferSize))}</td>` +
+				`<td class="number">${count}</td><td class="number">${escapeHtml(formatBytes(total))}</td>` +
+				`<td class="number">${(typeof co2 === 'number') ? formatGrams(co2) : '–'}</td></tr>`),
+			`</tbody>`,
+			`</table>`
+		);
+	}
+
+	lines.push(`</section>`);
+	return lines.join("\n");
+}
+
+/**
+ * Creates the list of recommendations, ranked by the CO2 they would save across pages.
+ */
+function recommendationsSection(recommendations, savings) {
+	if (recommendations.length === 0) {
+		return [
+			`<section>`,
+			`<h2>Recommendations</h2>`,
+			`<p>None: no savings were found.</p>`,
+			`</section>`
+		].join("\n");
+	}
+
+	return [
+		`<section>`,
+		`<h2>Recommendations</h2>`,
+		`<p>Ways to reduce the weight of pages, ranked by the CO₂e they would save in total across pages. Savings are estimates, and caching saves bytes on return visits.</p>`,
+		...(savings ? [
+			`<p>Potential saving across pages, from ${savings.recommendations === 1 ? 'the recommendation' : `all ${savings.recommendations} recommendations`}: ` +
+				['first', 'return'].filter(visit => savings[visit].bytes > 0)
+					.map(visit => `${escapeHtml(formatBytes(savings[visit].bytes))} (${formatGrams(savings[visit].co2)} CO₂e) on ${visit} visits`)
+					.join(' and ') + `.</p>`
+		] : []),
+		`<table>`,
+		`<thead><tr><th>Recommendation</th><th>Resource</th><th>Detail</th><th class="number">Pages</th><th class="number">Saving</th><th class="number">CO₂e</th></tr></thead>`,
+		`<tbody>`,
+		...recommendations.map(({ label, url, detail, pages: count, bytes, co2 }) =>
+			`<tr><td>${escapeHtml(label)}</td><td class="url">${escapeHtml(url)}</td><td>${escapeHtml(detail)}</td>` +
+			`<td class="number">${count}</td><td class="number">${escapeHtml(formatBytes(bytes))}</td><td class="number">${formatGrams(co2)}</td></tr>`),
+		`</tbody>`,
+		`</table>`,
+		`</section>`
+	].join("\n");
+}
+
+/**
+ * Creates the list of pages left out of the results: those that could not be measured and those excluded.
+ */
+function failuresSection(failures, exclusions) {
+	const rows = [
+		...failures.map(({ url, visit, profile, error }) => ({ url, visit, profile, reason: error })),
+		...exclusions.map(({ url, visit, profile, reason }) => ({ url, visit, profile, reason: `Excluded: ${reason}` }))
+	];
+	if (rows.length === 0) {
+		return [
+			`<section>`,
+			`<h2>Failures and exclusions</h2>`,
+			`<p>None: every page was measured and included.</p>`,
+			`</section>`
+		].join("\n");
+	}
+
+	return [
+		`<section>`,
+		`<h2>Failures and exclusions</h2>`,
+		`<table>`,
+		`<thead><tr><th>Page</th><th>Visit</th><th>Reason</th></tr></thead>`,
+		`<tbody>`,
+		...rows.map(({ url, visit, profile, reason }) =>
+			`<tr><td class="url">${escapeHtml(url)}</td><td>${escapeHtml(visit)}${profile ? ` (${escapeHtml(profile)})` : ''}</td><td>${escapeHtml(reason)}</td></tr>`),
+		`</tbody>`,
+		`</table>`,
+		`</section>`
+	].join("\n");
+}
+
+/**
+ * Creates a self-contained HTML report of an assessment, with no external assets.
+ *
+ * The report includes the run settings, a summary with the overall rating, the distribution of ratings, the
+ * heaviest pages, a sortable table of first and return visits to each page, when pages were broken down, the
+ * breakdown by content type and the heaviest shared resources, when recommendations were found, the recommendations
+ * ranked by CO2 saving, and the pages left out as failures or exclusions.
+ *
+ * @param {object} report - Report from createReport().
+ * @param {object} [options] - Options object.
+ * @param {string} [options.title] - Title of the report. Default: 'Website carbon scorecard' and the website assessed.
+ * @returns {string} HTML document.
+ */
+export function createHtmlReport(report, options = {}) {
+	const { run, summary, perVisitSummary, pages, failures, exclusions = [], sharedResources, recommendations = null, recommendationSavings = null } = report;
+	const title = options.title || `Website carbon scorecard: ${run.siteUrl}`;
+	const ratings = !!run.ratings;
+	const broken = pages.some(page => page.firstVisit && page.firstVisit.breakdown);
+
+	const sections = [
+		settingsSection(run),
+		summarySection(summary, perVisitSummary)
+	];
+	if (ratings) {
+		sections.push(ratingsSection(pages));
+	}
+	sections.push(heaviestSection(pages, ratings));
+	sections.push(pagesSection(pages, ratings, run.profiles));
+	if (broken) {
+		sections.push(breakdownSection(pages, sharedResources));
+	}
+	if (recommendations) {
+		sections.push(recommendationsSection(recommendations, recommendationSavings));
+	}
+	sections.push(failuresSection(failures, exclusions));
+
+	return [
+		`<!DOCTYPE html>`,
+		`<html lang="en">`,
+		`<head>`,
+		`<meta charset="utf-8">`,
+		`<meta name="viewport" content="width=device-width, initial-scale=1">`,
+		`<title>${escapeHtml(title)}</title>`,
+		`<style>${STYLES}</style>`,
+		`</head>`,
+		`<body>`,
+		`<main>`,
+		`<h1>${escapeHtml(title)}</h1>`,
+		`<p class="meta">Generated by ${escapeHtml(run.tool.name)} ${escapeHtml(run.tool.version)} on ${escapeHtml(run.finishedAt || run.startedAt)}.</p>`,
+		...sections,
+		`<footer>Emissions are estimates of grams of CO₂ equivalent (CO₂e), based on the bytes transferred by each page.</footer>`,
+		`</main>`,
+		`<script>${SORT_SCRIPT}</script>`,
+		`</body>`,
+		`</html>`
+	].join("\n") + "\n";
+}
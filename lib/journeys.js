@@ -0,0 +1,420 @@
+/**
+ * journeys.js
+ *
+ * Scripted user journeys: sequences of steps (e.g. go to a page, click a menu, fill in a form) run in one
+ * continuous browser session, with the bytes and estimated CO2 emissions of each step.
+ *
+ * Journeys are read from JSON or YAML files, e.g.:
+ *
+ *   name: Search for a product
+ *   steps:
+ *     - action: goto
+ *       url: https://example.org/
+ *     - action: type
+ *       selector: "#search"
+ *       text: shoes
+ *     - action: click
+ *       selector: "#search-button"
+ *     - action: wait-for-selector
+ *       selector: .results
+ *
+ * Requests are attributed to the step that was running when they finished loading. After clicking, typing and
+ * scrolling, the journey waits briefly for network activity to settle, so that the requests a step triggers
+ * (e.g. single-page app route changes or lazy-loaded images) are attributed to it.
+ *
+ * A journey can also be run without being measured to log in before pages are measured (see logIn()).
+ */
+
+import fs from "fs";
+import yaml from "js-yaml";
+import path from "path";
+import { URL } from "url";
+import { createCarbonModel } from "./carbon.js";
+import { InputFileError, InvalidOptionError, JourneyError, LoginError } from "./errors.js";
+import { silentLogger } from "./logger.js";
+import {
+	autoScroll,
+	estimateEmissions,
+	lifecycleEvent,
+	recordNetwork,
+	settleNetwork,
+	validateMeasureOptions
+} from "./measure.js";
+import { applyProfile, resolveProfile } from "./profiles.js";
+import { applySession, browserCookies, handleConsent, validateSession } from "./session.js";
+
+// Supported step actions, and the properties each requires
+export const JOURNEY_ACTIONS = {
+	'goto': ['url'],
+	'click': ['selector'],
+	'type': ['selector', 'text'],
+	'scroll': [],
+	'wait-for-selector': ['selector'],
+	'wait-for-idle': []
+};
+
+// Actions after which network activity is left to settle
+const SETTLE_ACTIONS = ['click', 'type', 'scroll'];
+
+// How long network activity must be quiet for 'wait-for-idle' steps, in milliseconds
+const IDLE_TIME = 500;
+
+// Maximum time to wait for network activity to settle after a step, in milliseconds
+const SETTLE_TIMEOUT = 10000;
+
+/**
+ * Describes a step for progress messages and reports, e.g. 'click #menu-button'.
+ *
+ * @param {object} step - Journey step.
+ * @returns {string} Description of the step: its 'name', if it has one.
+ */
+export function describeStep(step) {
+	if (step.name) {
+		return step.name;
+	}
+
+	const target = step.url || step.selector || ((step.y !== undefined) ? `${step.y}px` : '');
+	return target ? `${step.action} ${target}` : step.action;
+}
+
+/**
+ * Validates a journey and normalises its steps.
+ *
+ * @param {object} journey - Journey with 'name' and 'steps', each with an 'action' and the properties it needs:
+ *   'goto' ('url'), 'click' ('selector'), 'type' ('selector' and 'text'), 'scroll' (optional 'selector' to scroll
+ *   into view, or 'y' to scroll by; otherwise to the bottom of the page), 'wait-for-selector' ('selector') and
+ *   'wait-for-idle'. Any step can have a 'name' and a 'timeout' (milliseconds).
+ * @param {number} [index=0] - Position of the journey in a list, used to name journeys without a name. Default: 0.
+ * @returns {object} Journey with 'name' and 'steps'.
+ * @throws {InvalidOptionError} If the journey or any of its steps is invalid.
+ */
+export function validateJourney(journey, index = 0) {
+	if (!journey || typeof journey !== 'object' || Array.isArray(journey)) {
+		throw new InvalidOptionError(`Journey ${index + 1} is not an object`);
+	}
+
+	const name = journey.name ? String(journey.name) : `Journey ${index + 1}`;
+	if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+		throw new InvalidOptionError(`Journey "${name}" has no steps`);
+	}
+
+	const steps = journey.steps.map((step, i) => {
+		const where = `Journey "${name}" step ${i + 1}`;
+		if (!step || typeof step !== 'object') {
+			throw new InvalidOptionError(`${where} is not an object`);
+		}
+
+		const action = String(step.action || '').toLowerCase();
+		if (!JOURNEY_ACTIONS[action]) {
+			throw new InvalidOptionError(`${where} has an unsupported action: ${step.action}`);
+		}
+		for (const property of JOURNEY_ACTIONS[action]) {
+			if (step[property] === undefined || step[property] === null || step[property] === '') {
+				throw new InvalidOptionError(`${where} (${action}) needs a '${property}'`);
+			}
+		}
+		if (action === 'goto') {
+			try {
+				new URL(step.url);
+			} catch {
+				throw new InvalidOptionError(`${where} has an invalid URL: ${step.url}`);
+			}
+		}
+		if (step.y !== undefined && !Number.isFinite(step.y)) {
+			throw new InvalidOptionError(`${where} has an invalid scroll distance: ${step.y}`);
+		}
+		if (step.timeout !== undefined && (!Number.isFinite(step.timeout) || step.timeout <= 0)) {
+			throw new InvalidOptionError(`${where} has an invalid timeout: ${step.timeout}`);
+		}
+
+		return { ...step, action, ...(step.text !== undefined ? { text: String(step.text) } : {}) };
+	});
+
+	if (steps[0].action !== 'goto') {
+		throw new InvalidOptionError(`Journey "${name}" must start with a 'goto' step`);
+	}
+
+	return { name, steps };
+}
+
+/**
+ * Reads user journeys from a JSON or YAML file.
+ *
+ * The file can contain a single journey, a list of journeys, or an object with a list of 'journeys'. Files
+ * ending in '.yaml' or '.yml' are read as YAML; others as JSON.
+ *
+ * @param {string} filePath - The path to the JSON or YAML file.
+ * @returns {Promise<object[]>} The journeys, each with 'name' and 'steps' (see validateJourney()).
+ * @throws {InputFileError} If the file cannot be read or parsed, or any journey is invalid.
+ */
+export async function readJourneyFile(filePath) {
+	let data;
+	try {
+		const fileContents = fs.readFileSync(filePath, 'utf8');
+		const extension = path.extname(filePath).toLowerCase();
+		data = (extension === '.yaml' || extension === '.yml') ? yaml.load(fileContents) : JSON.parse(fileContents);
+	} catch (e) {
+		// YAML errors include an extract of the file; keep just the reason and line
+		const cause = (e instanceof yaml.YAMLException && e.mark) ? new Error(`${e.reason} (line ${e.mark.line + 1})`, { cause: e }) : e;
+		throw new InputFileError(filePath, { cause });
+	}
+
+	const journeys = Array.isArray(data) ? data : (data && Array.isArray(data.journeys) ? data.journeys : [data]);
+	if (journeys.length === 0) {
+		throw new InputFileError(filePath, { cause: new Error("no journeys found") });
+	}
+
+	try {
+		return journeys.map((journey, index) => validateJourney(journey, index));
+	} catch (e) {
+		throw new InputFileError(filePath, { cause: e });
+	}
+}
+
+/**
+ * Runs a single step of a journey.
+ */
+async function runStep(page, step, { event, timeout, consent, logger }) {
+	const stepTimeout = step.timeout || timeout;
+
+	switch (step.action) {
+		case 'goto': {
+			const response = await page.goto(step.url, { waitUntil: lifecycleEvent(event), timeout: stepTimeout });
+			if (await handleConsent(page, consent, { logger })) {
+				await settleNetwork(page, Math.min(stepTimeout, SETTLE_TIMEOUT));
+			}
+			return response ? response.status() : null;
+		}
+		case 'click':
+			await page.waitForSelector(step.selector, { visible: true, timeout: stepTimeout });
+			await page.click(step.selector);
+			break;
+		case 'type':
+			await page.waitForSelector(step.selector, { visible: true, timeout: stepTimeout });
+			await page.type(step.selector, step.text);
+			break;
+		case 'scroll':
+			if (step.selector) {
+				await page.waitForSelector(step.selector, { timeout: stepTimeout });
+				await page.$eval(step.selector, element => element.scrollIntoView());
+			} else if (step.y !== undefined) {
+				await page.evaluate(y => window.scrollBy(0, y), step.y);
+			} else {
+				// Scroll gradually, so that lazy-loaded content is loaded on the way
+				await autoScroll(page);
+			}
+			break;
+		case 'wait-for-selector':
+			await page.waitForSelector(step.selector, { timeout: stepTimeout });
+			break;
+		case 'wait-for-idle':
+			await page.waitForNetworkIdle({ idleTime: IDLE_TIME, timeout: stepTimeout });
+			break;
+	}
+
+	if (SETTLE_ACTIONS.includes(step.action)) {
+		// Let requests triggered by the step finish, without failing the step if the page never goes quiet
+		await settleNetwork(page, Math.min(stepTimeout, SETTLE_TIMEOUT));
+	}
+
+	return null;
+}
+
+/**
+ * Runs a user journey in a single browser page, measuring the bytes transferred and estimated CO2 of each step.
+ *
+ * @param {object} browser - Puppeteer browser instance.
+ * @param {object} journey - Journey with 'name' and 'steps' (see validateJourney()).
+ * @param {object} [options] - Options object.
+ * @param {boolean} [options.clearCache=true] - Whether to clear the browser cache before the journey starts. Default: true.
+ * @param {boolean} [options.isGreen=false] - Whether the hosting is green, used when no green hosting checker is given. Default: false.
+ * @param {object} [options.hosting] - Green hosting checker from createGreenHostingChecker(). Default: none.
+ * @param {string} [options.event='idle'] - When 'goto' steps finish (see MEASURE_EVENTS). Default: 'idle'.
+ * @param {string} [options.mode='cdp'] - How to measure size: 'cdp' (Chrome DevTools Protocol) or 'buffer'. Default: 'cdp'.
+ * @param {string|object} [options.profile='desktop'] - Measurement profile (see resolveProfile()). Default: 'desktop'.
+ * @param {number} [options.timeout] - Maximum time for each step, in milliseconds, unless the step sets its own. Default: the
+ *   profile's navigation timeout (45000 for unthrottled profiles).
+ * @param {object} [options.session] - Headers, basic auth, cookies and consent to run the journey with (see
+ *   validateSession()). Default: an anonymous session.
+ * @param {object} [options.carbon] - Carbon model from createCarbonModel(). Default: latest Sustainable Web Design Model.
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @returns {Promise<object>} Journey result with 'name', 'profile' (the name of the profile), 'url' (where the journey
+ *   starts), 'bytes', 'co2', 'rating', 'greenShare', 'measuredAt', 'duration' and 'steps' (each with 'index', 'action',
+ *   'name', 'url' (the page URL after the step), 'status' (for 'goto' steps), 'bytes', 'co2', 'rating', 'greenShare',
+ *   'duration' and 'resources'), plus 'segments' when the carbon model has segmented results enabled.
+ * @throws {InvalidOptionError} If the journey, measurement event, mode, profile or session is not valid.
+ * @throws {JourneyError} If a step could not be completed.
+ */
+export async function runJourney(browser, journey, options = {}) {
+	const {
+		clearCache = true,
+		isGreen = false,
+		hosting = null,
+		event = 'idle',
+		mode = 'cdp',
+		carbon = createCarbonModel(),
+		logger = silentLogger
+	} = options;
+
+	validateMeasureOptions({ event, mode });
+	const profile = resolveProfile(options.profile || 'desktop');
+	const timeout = options.timeout || profile.timeout;
+	const session = validateSession(options.session);
+
+	const { name, steps } = validateJourney(journey);
+	const measuredAt = new Date().toISOString();
+	const startTime = Date.now();
+
+	let page = null;
+	let client = null;
+	let recorder = null;
+	const recorded = [];
+
+	try {
+		page = await browser.newPage();
+		await applyProfile(page, profile);
+
+		client = await page.target().createCDPSession();
+		await client.send('Network.enable');
+		if (clearCache) {
+			await client.send('Network.clearBrowserCache');
+		}
+		await applySession(page, client, session, steps[0].url);
+
+		recorder = recordNetwork(page, client, mode);
+
+		for (const [i, step] of steps.entries()) {
+			const stepInfo = { index: i + 1, action: step.action, name: describeStep(step) };
+			logger.debug(`🧭 ${name}: step ${stepInfo.index} (${stepInfo.name})`);
+
+			const stepStart = Date.now();
+			let status;
+			try {
+				status = await runStep(page, step, { event, timeout, consent: session.consent, logger });
+			} catch (e) {
+				throw new JourneyError(name, { step: stepInfo, cause: e });
+			}
+
+			recorded.push({
+				...stepInfo,
+				url: page.url(),
+				status,
+				duration: Date.now() - stepStart,
+				...recorder.take()
+			});
+		}
+	} catch (e) {
+		throw (e instanceof JourneyError) ? e : new JourneyError(name, { cause: e });
+	} finally {
+		if (recorder) {
+			recorder.stop();
+		}
+		if (client) {
+			await client.detach().catch(() => {});
+		}
+		if (page) {
+			await page.close().catch(() => {});
+		}
+	}
+
+	// Estimate emissions for each step, then for the journey as a whole
+	const stepResults = [];
+	for (const { bytes, resources, ...step } of recorded) {
+		const { co2, rating, greenShare, segments } = await estimateEmissions(resources, bytes, { carbon, hosting, isGreen });
+		const result = { ...step, bytes, co2, rating, greenShare, resources };
+		if (segments) {
+			result.segments = segments;
+		}
+		stepResults.push(result);
+	}
+
+	const bytes = stepResults.reduce((sum, step) => sum + step.bytes, 0);
+	const allResources = stepResults.flatMap(step => step.resources);
+	const { co2, rating, greenShare, segments } = await estimateEmissions(allResources, bytes, { carbon, hosting, isGreen });
+
+	const result = {
+		name,
+		profile: profile.name,
+		url: steps[0].url,
+		bytes,
+		co2,
+		rating,
+		greenShare,
+		measuredAt,
+		duration: Date.now() - startTime,
+		steps: stepResults
+	};
+	if (segments) {
+		result.segments = segments;
+	}
+
+	return result;
+}
+
+/**
+ * Logs in by running a journey without measuring it, e.g. filling in and submitting a login form, and gets the
+ * cookies of the session, so that pages can be measured as a signed-in visitor.
+ *
+ * End the journey with a step that only succeeds once logged in (e.g. 'wait-for-selector' for an account menu), so
+ * that a failed login is caught before any pages are measured.
+ *
+ * @param {object} browser - Puppeteer browser instance.
+ * @param {object} journey - Login journey with 'name' and 'steps' (see validateJourney()).
+ * @param {object} [options] - Options object.
+ * @param {object} [options.session] - Headers, basic auth and cookies to log in with (see validateSession()); consent
+ *   banners are left for the journey to deal with. Default: an anonymous session.
+ * @param {string} [options.event='idle'] - When 'goto' steps finish (see MEASURE_EVENTS). Default: 'idle'.
+ * @param {string|object} [options.profile='desktop'] - Profile to log in with (see resolveProfile()). Default: 'desktop'.
+ * @param {number} [options.timeout] - Maximum time for each step, in milliseconds, unless the step sets its own. Default: the
+ *   profile's navigation timeout (45000 for unthrottled profiles).
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @returns {Promise<object[]>} The cookies of the browser once logged in (see readCookiesFile()).
+ * @throws {InvalidOptionError} If the journey, event, profile or session is not valid.
+ * @throws {LoginError} If a step could not be completed.
+ */
+export async function logIn(browser, journey, options = {}) {
+	const {
+		event = 'idle',
+		logger = silentLogger
+	} = options;
+
+	validateMeasureOptions({ event });
+	const profile = resolveProfile(options.profile || 'desktop');
+	const timeout = options.timeout || profile.timeout;
+	const session = { ...validateSession(options.session), consent: 'none' };
+	const { name, steps } = validateJourney(journey);
+
+	logger.info(`🔑 Logging in (${name})...`);
+
+	let page = null;
+	let client = null;
+	try {
+		page = await browser.newPage();
+		await applyProfile(page, profile);
+
+		client = await page.target().createCDPSession();
+		await client.send('Network.enable');
+		await applySession(page, client, session, steps[0].url);
+
+		for (const [i, step] of steps.entries()) {
+			const stepInfo = { index: i + 1, action: step.action, name: describeStep(step) };
+			logger.debug(`🔑 Login: step ${stepInfo.index} (${stepInfo.name})`);
+			try {
+				await runStep(page, step, { event, timeout, consent: 'none', logger });
+			} catch (e) {
+				throw new LoginError({ step: stepInfo, cause: e });
+			}
+		}
+
+		return await browserCookies(client);
+	} catch (e) {
+		throw (e instanceof LoginError) ? e : new LoginError({ cause: e });
+	} finally {
+		if (client) {
+			await client.detach().catch(() => {});
+		}
+		if (page) {
+			await page.close().catch(() => {});
+		}
+	}
+}
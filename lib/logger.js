@@ -0,0 +1,49 @@
+/**
+ * logger.js
+ * 
+ * Loggers used to report progress and diagnostics.
+ * 
+ * API functions accept a 'logger' option with 'info', 'warn', 'error', 'debug' and 'progress'
+ * methods. By default, the API is silent; the command-line tool uses the console logger.
+ */
+
+const noop = () => {};
+
+/**
+ * A logger that discards all messages.
+ */
+export const silentLogger = {
+	info: noop,
+	warn: noop,
+	error: noop,
+	debug: noop,
+	progress: noop
+};
+
+// Log levels, from least to most output
+export const LOG_LEVELS = ['quiet', 'normal', 'verbose'];
+
+/**
+ * Creates a logger that writes to the console.
+ * 
+ * All messages are written to stderr, keeping stdout free for results.
+ * 
+ * @param {object} [options] - Options object.
+ * @param {string} [options.level='normal'] - Log level: 'quiet' (errors only), 'normal' or 'verbose' (includes debug messages). Default: 'normal'.
+ * @returns {object} Logger.
+ */
+export function createConsoleLogger(options = {}) {
+	const { level = 'normal' } = options;
+
+	const quiet = (level === 'quiet');
+	const verbose = (level === 'verbose');
+	const log = (...args) => console.error(...args);
+
+	return {
+		info: quiet ? noop : log,
+		warn: quiet ? noop : (...args) => console.warn(...args),
+		error: log,
+		debug: verbose ? log : noop,
+		progress: quiet ? noop : (message) => process.stderr.write(message)
+	};
+}
@@ -0,0 +1,567 @@
+/**
+ * measure.js
+ *
+ * Measuring the transfer size of a web page using Puppeteer.
+ */
+
+import { URL } from "url";
+import { createCarbonModel } from "./carbon.js";
+import { InvalidOptionError, MeasurementError } from "./errors.js";
+import { harPages, recordHar, writeHarFile } from "./har.js";
+import { silentLogger } from "./logger.js";
+import { applyProfile, resolveProfile } from "./profiles.js";
+import { inspectPage, responseCaching } from "./recommendations.js";
+import { applySession, handleConsent, validateSession } from "./session.js";
+
+// Measurement events, mapped to Puppeteer's life cycle events
+// https://pptr.dev/api/puppeteer.puppeteerlifecycleevent
+// https://www.ashjohns.dev/blog/measuring-page-weight
+const LIFECYCLE_EVENTS = {
+	'idle': 'networkidle2', // No more than 2 network connections for at least 500 ms
+	'idle0': 'networkidle0', // No network connections for at least 500 ms
+	'idle2': 'networkidle2',
+	'load': 'load',
+	'domcontentloaded': 'domcontentloaded'
+};
+
+export const MEASURE_EVENTS = Object.keys(LIFECYCLE_EVENTS);
+export const MEASURE_MODES = ['cdp', 'buffer'];
+
+// How long network activity must be quiet for the page to be idle, in milliseconds
+const IDLE_TIME = 500;
+
+// Maximum time to wait for network activity to settle after scrolling, in milliseconds
+const SETTLE_TIMEOUT = 10000;
+
+// Maximum number of times to scroll down a page, so that infinite scrolling comes to an end
+const MAX_SCROLLS = 50;
+
+// Puppeteer resource types mapped to Chrome DevTools Protocol resource types
+const resourceTypes = {
+	'document': 'Document',
+	'stylesheet': 'Stylesheet',
+	'image': 'Image',
+	'media': 'Media',
+	'font': 'Font',
+	'script': 'Script',
+	'xhr': 'XHR',
+	'fetch': 'Fetch'
+};
+
+/**
+ * Creates a record of a single request made by a page.
+ *
+ * @param {string} url - The URL of the request.
+ * @param {string} [type] - The CDP resource type (e.g. 'Image').
+ * @returns {object} Resource with 'url', 'type', 'mimeType', 'domain', 'transferSize', 'decodedSize', 'fromCache' and
+ *   'green' (whether the domain is hosted green).
+ */
+function createResource(url, type = 'Other') {
+	return {
+		url,
+		type: type || 'Other',
+		mimeType: null,
+		domain: hostname(url),
+		transferSize: 0,
+		decodedSize: 0,
+		fromCache: false,
+		green: false
+	};
+}
+
+/**
+ * Gets the hostname of a URL, or null if it has none (e.g. data: URLs).
+ */
+function hostname(url) {
+	try {
+		return new URL(url).hostname || null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Validates the measurement event, mode and post-load behaviour.
+ *
+ * @param {object} options - Options object.
+ * @param {string} [options.event='idle'] - Measurement event (see MEASURE_EVENTS). Default: 'idle'.
+ * @param {string} [options.mode='cdp'] - Measurement mode (see MEASURE_MODES). Default: 'cdp'.
+ * @param {number} [options.observe=0] - Observation window after the event, in milliseconds. Default: 0.
+ * @throws {InvalidOptionError} If the measurement event or mode is not supported, or the observation window is invalid.
+ */
+export function validateMeasureOptions({ event = 'idle', mode = 'cdp', observe = 0 }) {
+	if (!MEASURE_EVENTS.includes(event)) {
+		throw new InvalidOptionError(`Unsupported measurement event: ${event}`);
+	}
+	if (!MEASURE_MODES.includes(mode)) {
+		throw new InvalidOptionError(`Unsupported measurement mode: ${mode}`);
+	}
+	if (!Number.isFinite(observe) || observe < 0) {
+		throw new InvalidOptionError(`Invalid observation window: ${observe}`);
+	}
+}
+
+/**
+ * Gets the Puppeteer life cycle event to wait for when navigating, for a measurement event.
+ *
+ * @param {string} event - Measurement event (see MEASURE_EVENTS).
+ * @returns {string} Puppeteer life cycle event, e.g. 'networkidle2'.
+ */
+export function lifecycleEvent(event) {
+	return LIFECYCLE_EVENTS[event];
+}
+
+/**
+ * Waits for network activity to settle, without failing if the page never goes quiet.
+ *
+ * @param {object} page - Puppeteer page.
+ * @param {number} [timeout=10000] - Maximum time to wait, in milliseconds. Default: 10000.
+ */
+export async function settleNetwork(page, timeout = SETTLE_TIMEOUT) {
+	try {
+		await page.waitForNetworkIdle({ idleTime: IDLE_TIME, timeout });
+	} catch {} // Carry on regardless
+}
+
+/**
+ * Scrolls gradually to the bottom of a page, so that lazy-loaded images and iframes are loaded, then waits for
+ * network activity to settle.
+ *
+ * @param {object} page - Puppeteer page.
+ */
+export async function autoScroll(page) {
+	await page.evaluate(async (maxScrolls) => {
+		for (let i = 0; i < maxScrolls; i++) {
+			const before = window.scrollY;
+			window.scrollBy(0, window.innerHeight);
+			await new Promise(resolve => setTimeout(resolve, 200));
+			if (window.scrollY === before) {
+				break;
+			}
+		}
+	}, MAX_SCROLLS);
+
+	await settleNetwork(page);
+}
+
+/**
+ * Describes a measurement strategy, e.g. 'network idle (networkidle2), then scrolling to the bottom'.
+ *
+ * @param {object} options - Options object, with 'event', 'scroll', 'observe' and 'waitForSelector' (see measurePage()).
+ *   An 'event' of null describes pages measured from HAR files.
+ * @returns {string} Description of the strategy.
+ */
+export function describeStrategy({ event = 'idle', scroll = false, observe = 0, waitForSelector = null }) {
+	if (event === null) {
+		return "as recorded in HAR files";
+	}
+
+	const waitUntil = lifecycleEvent(event);
+	const parts = [(waitUntil === event) ? event : `${event} (${waitUntil})`];
+	if (waitForSelector) {
+		parts.push(`waiting for '${waitForSelector}'`);
+	}
+	if (scroll) {
+		parts.push("scrolling to the bottom");
+	}
+	if (observe > 0) {
+		parts.push(`observing for ${observe} ms`);
+	}
+	return parts.join(', then ');
+}
+
+/**
+ * Records the requests made by a page and the bytes transferred, until stopped.
+ *
+ * Resources are recorded as they finish loading, so a recording can be split into parts (e.g. the steps of a
+ * user journey) by taking the resources recorded so far.
+ *
+ * @param {object} page - Puppeteer page.
+ * @param {object} client - CDP session for the page, with network tracking enabled.
+ * @param {string} [mode='cdp'] - How to measure size: 'cdp' (Chrome DevTools Protocol) or 'buffer'. Default: 'cdp'.
+ * @returns {object} Recorder with 'take()' (which returns the 'bytes' and 'resources' recorded since it was last
+ *   called) and 'stop()' (which removes its event listeners). Resources whose response headers were received also
+ *   have 'encoding' and 'cacheLifetime' (see responseCaching()).
+ */
+export function recordNetwork(page, client, mode = 'cdp') {
+	const requests = new Map();
+	let resources = [];
+	let totalBytes = 0;
+
+	// Handle different measurement modes
+	// TODO - Try using 'content-length' header (https://github.com/puppeteer/puppeteer/issues/3372)
+	const cdpListeners = {};
+	let onResponse = null;
+	if (mode === 'cdp') {
+		// Approach 1: Listen for CDP's network events and record each request. Summing 'encodedDataLength'
+		// from 'Network.loadingFinished' gives us the total transfer size (compressed size) of the page.
+		// TODO - Extend this approach, which does not seem to capture all data transferred
+		// See:
+		// https://stackoverflow.com/questions/55429613/chrome-devtools-protocol-page-stats
+		// https://chromedevtools.github.io/devtools-protocol/tot/Network/
+		cdpListeners['Network.requestWillBeSent'] = (data) => {
+			const resource = requests.get(data.requestId) || createResource(data.request.url, data.type);
+			resource.url = data.request.url;
+			resource.domain = hostname(data.request.url);
+			requests.set(data.requestId, resource);
+		};
+		cdpListeners['Network.responseReceived'] = (data) => {
+			const resource = requests.get(data.requestId) || createResource(data.response.url, data.type);
+			resource.type = data.type || resource.type;
+			resource.mimeType = data.response.mimeType || null;
+			resource.fromCache = resource.fromCache || !!data.response.fromDiskCache || !!data.response.fromServiceWorker;
+			if (data.response.headers && Object.keys(data.response.headers).length > 0) {
+				Object.assign(resource, responseCaching(data.response.headers));
+			}
+			requests.set(data.requestId, resource);
+		};
+		cdpListeners['Network.requestServedFromCache'] = (data) => {
+			const resource = requests.get(data.requestId);
+			if (resource) {
+				resource.fromCache = true;
+			}
+		};
+		cdpListeners['Network.dataReceived'] = (data) => {
+			const resource = requests.get(data.requestId);
+			if (resource) {
+				resource.decodedSize += data.dataLength;
+			}
+		};
+		cdpListeners['Network.loadingFinished'] = (data) => {
+			if (data.encodedDataLength >= 0) {
+				totalBytes += data.encodedDataLength;
+
+				const resource = requests.get(data.requestId);
+				if (resource) {
+					resource.transferSize = data.encodedDataLength;
+					resources.push(resource);
+					requests.delete(data.requestId);
+				}
+			}
+		};
+		for (const [eventName, listener] of Object.entries(cdpListeners)) {
+			client.on(eventName, listener);
+		}
+	} else if (mode === 'buffer') {
+		// Approach 2: Listen for the page's 'response' events and sum the length of the response buffer.
+		// This gives us the total size of buffer (uncompressed size) and is generally not recommended.
+		onResponse = async (response) => {
+			try {
+				const buffer = await response.buffer();
+				totalBytes += buffer.length;
+
+				const resource = createResource(response.url(), resourceTypes[response.request().resourceType()]);
+				resource.mimeType = (response.headers()['content-type'] || '').split(';')[0] || null;
+				resource.fromCache = response.fromCache();
+				Object.assign(resource, responseCaching(response.headers()));
+				resource.transferSize = buffer.length;
+				resource.decodedSize = buffer.length;
+				resources.push(resource);
+			} catch {} // Skip failed responses
+		};
+		page.on('response', onResponse);
+	}
+
+	return {
+		take() {
+			const taken = { bytes: totalBytes, resources };
+			totalBytes = 0;
+			resources = [];
+			return taken;
+		},
+		stop() {
+			for (const [eventName, listener] of Object.entries(cdpListeners)) {
+				client.off(eventName, listener);
+			}
+			if (onResponse) {
+				page.off('response', onResponse);
+			}
+		}
+	};
+}
+
+/**
+ * Estimates the CO2 emissions of a set of resources, checking the green hosting of each domain that served them.
+ *
+ * Sets 'green' on each resource.
+ *
+ * @param {object[]} resources - Resources recorded by recordNetwork().
+ * @param {number} bytes - Total bytes transferred.
+ * @param {object} options - Options object.
+ * @param {object} options.carbon - Carbon model from createCarbonModel().
+ * @param {object} [options.hosting] - Green hosting checker from createGreenHostingChecker(). Default: none.
+ * @param {boolean} [options.isGreen=false] - Whether the hosting is green, used when no green hosting checker is given. Default: false.
+ * @returns {Promise<object>} Estimate with 'co2', 'rating', 'greenShare' and, for segmented results, 'segments'.
+ */
+export async function estimateEmissions(resources, bytes, options) {
+	const {
+		carbon,
+		hosting = null,
+		isGreen = false
+	} = options;
+
+	// Check the hosting of each domain that served resources, or assume all are hosted like the site
+	let greenShare = isGreen ? 1 : 0;
+	if (hosting) {
+		const greenDomains = await hosting.checkDomains(resources.map(resource => resource.domain));
+		for (const resource of resources) {
+			resource.green = !!resource.domain && greenDomains.get(resource.domain) === true;
+		}
+		const greenBytes = resources.reduce((sum, resource) => sum + (resource.green ? resource.transferSize : 0), 0);
+		greenShare = (bytes > 0) ? Math.min(greenBytes / bytes, 1) : 0;
+	} else {
+		for (const resource of resources) {
+			resource.green = isGreen;
+		}
+	}
+
+	// Estimate CO2 based on total bytes transferred and the share of bytes served from green hosting
+	const { co2, rating, segments } = carbon.bytesToCO2(bytes, greenShare);
+
+	const estimate = { co2, rating, greenShare };
+	if (segments) {
+		estimate.segments = segments;
+	}
+
+	return estimate;
+}
+
+/**
+ * Measures the total transfer size (in bytes) and estimated CO2 for a single page load.
+ *
+ * @param {object} browser - Puppeteer browser instance.
+ * @param {string} url - The URL of the page to measure.
+ * @param {object} [options] - Options object.
+ * @param {boolean} [options.clearCache=false] - Whether to clear the browser cache before loading the page. Default: false.
+ * @param {boolean} [options.isGreen=false] - Whether the hosting is green (affects calculation), used when no green
+ *   hosting checker is given. Default: false.
+ * @param {object} [options.hosting] - Green hosting checker from createGreenHostingChecker(), used to check each domain
+ *   that serves resources on the page. Default: none.
+ * @param {string} [options.event='idle'] - When to measure page size: 'idle' (no more than 2 network connections, as
+ *   'idle2'), 'idle0' (no network connections), 'load' or 'domcontentloaded'. Default: 'idle'.
+ * @param {string} [options.waitForSelector] - CSS selector of an element to wait for after the event. Default: none.
+ * @param {boolean} [options.scroll=false] - Whether to scroll to the bottom of the page after the event, so that lazy-loaded
+ *   images and iframes are counted. Default: false.
+ * @param {number} [options.observe=0] - How long to keep recording after the event (and any waiting or scrolling), in
+ *   milliseconds, so that late requests such as beacons and polling are counted. Default: 0.
+ * @param {string} [options.mode='cdp'] - How to measure page size: 'cdp' (Chrome DevTools Protocol) or 'buffer'. Default: 'cdp'.
+ * @param {string|object} [options.profile='desktop'] - Measurement profile: the name of a built-in profile or a custom
+ *   profile (see resolveProfile()). Default: 'desktop'.
+ * @param {number} [options.timeout] - Maximum time to load the page and wait for 'waitForSelector', in milliseconds.
+ *   Default: the profile's navigation timeout (45000 for unthrottled profiles).
+ * @param {object} [options.session] - Headers, basic auth and cookies to load the page with, and whether to accept or
+ *   reject consent banners once it has loaded (see validateSession()). Default: an anonymous session.
+ * @param {string} [options.harFile] - Path to write a HAR file of the requests the page made to (see recordHar()). Default: none.
+ * @param {boolean} [options.inspect=false] - Whether to find the size images are displayed at and the fonts used once
+ *   the page has loaded, for recommendations (see inspectPage()). Default: false.
+ * @param {object} [options.carbon] - Carbon model from createCarbonModel(). Default: latest Sustainable Web Design Model.
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @returns {Promise<object>} Measurement result with 'url', 'profile' (the name of the profile), 'bytes', 'co2', 'rating',
+ *   'status' (HTTP status of the page), 'finalUrl' (the URL of the page after any redirects), 'redirects' (each redirect
+ *   followed, with 'url' and 'status'), 'contentType' (the MIME type of the page), 'measuredAt' (ISO 8601 timestamp), 'duration' (time taken to reach the
+ *   measurement event, in milliseconds) and 'resources' (each request, with 'url', 'type', 'mimeType', 'domain',
+ *   'transferSize', 'decodedSize', 'fromCache' and 'green') and 'greenShare' (the share of bytes served from green
+ *   hosting), plus 'segments' when the carbon model has segmented results enabled and 'rendered' when the page was
+ *   inspected.
+ * @throws {InvalidOptionError} If the measurement event, mode, profile or session is not supported.
+ * @throws {MeasurementError} If the page could not be measured.
+ */
+export async function measurePage(browser, url, options = {}) {
+	const {
+		clearCache = false,
+		isGreen = false,
+		hosting = null,
+		event = 'idle',
+		waitForSelector = null,
+		scroll = false,
+		observe = 0,
+		mode = 'cdp',
+		harFile = null,
+		inspect = false,
+		carbon = createCarbonModel(),
+		logger = silentLogger
+	} = options;
+
+	validateMeasureOptions({ event, mode, observe });
+	const profile = resolveProfile(options.profile || 'desktop');
+	const timeout = options.timeout || profile.timeout;
+	const session = validateSession(options.session);
+
+	let client = null;
+	let page = null;
+	let status = null;
+	let finalUrl = url;
+	let redirects = [];
+	let contentType = null;
+	let duration = null;
+	let rendered = null;
+	const measuredAt = new Date().toISOString();
+
+	try {
+		// Set up session, emulating the device and network conditions of the profile
+		page = await browser.newPage();
+		let recorder = null;
+		let harRecorder = null;
+		try {
+			await applyProfile(page, profile);
+
+			// Enable network tracking to capture transfer sizes
+			client = await page.target().createCDPSession();
+			await client.send('Network.enable');
+
+			// Handle cache clearing
+			if (clearCache) {
+				// CDP command to clear all browser caches (disk and memory)
+				await client.send('Network.clearBrowserCache');
+				logger.debug(`Cache cleared for ${url}.`);
+			} else {
+				logger.debug(`Cache not cleared.`);
+			}
+
+			// Load the page as the visitor of the session (e.g. signed in)
+			await applySession(page, client, session, url);
+
+			recorder = recordNetwork(page, client, mode);
+			harRecorder = (harFile !== null) ? recordHar(client, { redact: Object.keys(session.headers) }) : null;
+
+			// Navigate to the page and wait for the specified event
+			const startTime = Date.now();
+			const response = await page.goto(url, { waitUntil: lifecycleEvent(event), timeout });
+			duration = Date.now() - startTime;
+
+			// Describe the main document, which may have been reached by redirects
+			if (response) {
+				status = response.status();
+				finalUrl = response.url();
+				redirects = response.request().redirectChain().map(request => ({
+					url: request.url(),
+					status: request.response() ? request.response().status() : null
+				}));
+				contentType = (response.headers()['content-type'] || '').split(';')[0].trim() || null;
+			}
+
+			// Accept or reject cookies, counting the requests (e.g. third-party tags) that follow
+			if (await handleConsent(page, session.consent, { logger })) {
+				await settleNetwork(page);
+			}
+
+			// Post-load behaviour, to count content loaded after the event
+			if (waitForSelector) {
+				await page.waitForSelector(waitForSelector, { timeout });
+			}
+			if (scroll) {
+				await autoScroll(page);
+			}
+			if (observe > 0) {
+				await new Promise(resolve => setTimeout(resolve, observe));
+			}
+
+			// Inspect the page as loaded, without failing the measurement if it cannot be inspected
+			if (inspect) {
+				rendered = await inspectPage(page).catch((e) => {
+					logger.debug(`Could not inspect ${url}: ${e.message}`);
+					return null;
+				});
+			}
+		} finally {
+			// Remove event listeners and close the CDP session and the page, even if setting up the page failed. Cleanup
+			// errors (e.g. after a crash) are ignored, so that they do not hide the error that ended the measurement
+			if (recorder) {
+				recorder.stop();
+			}
+			if (harRecorder) {
+				harRecorder.stop();
+			}
+			if (client) {
+				await client.detach().catch(() => {});
+			}
+			await page.close().catch(() => {});
+		}
+
+		const { bytes, resources } = recorder.take();
+		const { co2, rating, greenShare, segments } = await estimateEmissions(resources, bytes, { carbon, hosting, isGreen });
+
+		const result = {
+			url,
+			profile: profile.name,
+			bytes,
+			co2,
+			rating,
+			status,
+			finalUrl,
+			redirects,
+			contentType,
+			measuredAt,
+			duration,
+			resources,
+			greenShare
+		};
+		if (segments) {
+			result.segments = segments;
+		}
+		if (rendered) {
+			result.rendered = rendered;
+		}
+
+		if (harRecorder) {
+			try {
+				const visit = clearCache ? 'first' : 'return';
+				writeHarFile(harFile, harRecorder.har({ url, visit, profile: profile.name, measuredAt, duration }));
+			} catch (e) {
+				logger.warn(`⚠️  Could not write HAR file ${harFile}: ${e.message}`);
+			}
+		}
+
+		return result;
+	} catch (e) {
+		throw new MeasurementError(url, { cause: e });
+	}
+}
+
+/**
+ * Measures the pages in a HAR file, with the same byte counting and estimates as measurePage() but no browser or network
+ * (other than to check green hosting, unless green domains are given).
+ *
+ * @param {object} har - HAR, e.g. from readHarFile().
+ * @param {object} [options] - Options object.
+ * @param {boolean} [options.isGreen=false] - Whether the hosting is green, used when no green hosting checker is given. Default: false.
+ * @param {object} [options.hosting] - Green hosting checker from createGreenHostingChecker(). Default: none.
+ * @param {object} [options.carbon] - Carbon model from createCarbonModel(). Default: latest Sustainable Web Design Model.
+ * @returns {Promise<object[]>} Measured pages, each with 'visit' ('first' or 'return', as recorded in HAR files
+ *   exported by measurePage(), and otherwise 'first') and 'result' (as from measurePage(), with the 'profile' recorded,
+ *   or 'recorded').
+ */
+export async function measureHar(har, options = {}) {
+	const {
+		isGreen = false,
+		hosting = null,
+		carbon = createCarbonModel()
+	} = options;
+
+	const measured = [];
+	for (const { url, visit, profile, startedAt, onLoad, document, requests } of harPages(har)) {
+		const resources = requests.map(({ url, type, ...details }) => Object.assign(createResource(url, type), details));
+		const bytes = resources.reduce((sum, resource) => sum + resource.transferSize, 0);
+		const { co2, rating, greenShare, segments } = await estimateEmissions(resources, bytes, { carbon, hosting, isGreen });
+
+		const result = {
+			url,
+			profile: profile || 'recorded',
+			bytes,
+			co2,
+			rating,
+			...document,
+			measuredAt: startedAt,
+			duration: onLoad,
+			resources,
+			greenShare
+		};
+		if (segments) {
+			result.segments = segments;
+		}
+
+		measured.push({ visit, result });
+	}
+
+	return measured;
+}
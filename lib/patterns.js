@@ -0,0 +1,57 @@
+/**
+ * patterns.js
+ * 
+ * Matching URL paths against glob-style patterns (e.g. '/blog/**').
+ */
+
+/**
+ * Converts a glob-style pattern into a regular expression.
+ * 
+ * '**' matches any characters (including '/'), '*' matches any characters except '/', and '?' matches a single
+ * character other than '/'. Patterns are matched against the whole path.
+ * 
+ * @param {string} pattern - The glob-style pattern, e.g. '/blog/**'.
+ * @returns {RegExp} The regular expression.
+ */
+export function globToRegExp(pattern) {
+	let source = '';
+
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+
+		if (char === '*' && pattern[i + 1] === '*') {
+			source += '.*';
+			i++;
+		} else if (char === '*') {
+			source += '[^/]*';
+		} else if (char === '?') {
+			source += '[^/]';
+		} else {
+			source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+		}
+	}
+
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Determines whether a path matches a glob-style pattern.
+ * 
+ * @param {string} path - The path to test, e.g. '/blog/2025/hello/'.
+ * @param {string} pattern - The glob-style pattern, e.g. '/blog/**'.
+ * @returns {boolean} Whether the path matches.
+ */
+export function matchesPattern(path, pattern) {
+	return globToRegExp(pattern).test(path);
+}
+
+/**
+ * Determines whether a path matches any of a list of glob-style patterns.
+ * 
+ * @param {string} path - The path to test.
+ * @param {string[]} patterns - The glob-style patterns.
+ * @returns {boolean} Whether the path matches any of the patterns.
+ */
+export function matchesAnyPattern(path, patterns) {
+	return patterns.some(pattern => matchesPattern(path, pattern));
+}
@@ -0,0 +1,237 @@
+/**
+ * pool.js
+ *
+ * Measuring pages in a bounded pool of workers, retrying transient failures and recycling the browser.
+ *
+ * A pool keeps a set number of tasks in flight, starting the next task as soon as any finishes, so that one slow
+ * page does not hold up others. Long runs can relaunch the browser every so often to keep its memory in check,
+ * and a browser that has crashed is relaunched before the next measurement.
+ */
+
+import { InvalidOptionError } from "./errors.js";
+import { silentLogger } from "./logger.js";
+
+// Default delay before retrying a failed task, in milliseconds; it doubles with each retry
+export const DEFAULT_RETRY_DELAY = 1000;
+
+// Errors that are likely to succeed if tried again: timeouts, dropped connections and a browser that crashed
+const TRANSIENT_ERRORS = [
+	/timeout|timed out/i,
+	/net::ERR_(CONNECTION_(RESET|CLOSED|REFUSED|ABORTED|TIMED_OUT)|TIMED_OUT|NETWORK_CHANGED|EMPTY_RESPONSE|INTERNET_DISCONNECTED|HTTP2_PROTOCOL_ERROR|ABORTED)/,
+	/Target closed|Session closed|Connection closed|Protocol error|frame was detached/i
+];
+
+/**
+ * Validates the options of a pool of workers.
+ *
+ * @param {object} options - Options object.
+ * @param {number} options.concurrency - Number of tasks to keep in flight.
+ * @param {number} options.retries - Number of times to retry a task that fails with a transient error.
+ * @param {number} options.retryDelay - Delay before the first retry, in milliseconds.
+ * @param {number} options.recycleAfter - Number of measurements after which to relaunch the browser (0 for never).
+ * @param {number|null} [options.timeout] - Timeout for each page, in milliseconds, or null for the profile's default.
+ * @throws {InvalidOptionError} If an option is invalid.
+ */
+export function validatePoolOptions({ concurrency, retries, retryDelay, recycleAfter, timeout = null }) {
+	if (!Number.isInteger(concurrency) || concurrency < 1) {
+		throw new InvalidOptionError(`Invalid concurrency: ${concurrency}`);
+	}
+	if (!Number.isInteger(retries) || retries < 0) {
+		throw new InvalidOptionError(`Invalid number of retries: ${retries}`);
+	}
+	if (!Number.isFinite(retryDelay) || retryDelay < 0) {
+		throw new InvalidOptionError(`Invalid retry delay: ${retryDelay}`);
+	}
+	if (!Number.isInteger(recycleAfter) || recycleAfter < 0) {
+		throw new InvalidOptionError(`Invalid number of measurements to recycle the browser after: ${recycleAfter}`);
+	}
+	if (timeout !== null && (!Number.isFinite(timeout) || timeout <= 0)) {
+		throw new InvalidOptionError(`Invalid timeout: ${timeout}`);
+	}
+}
+
+/**
+ * Processes an array of items in a pool of workers, keeping up to 'concurrency' items in flight.
+ *
+ * @param {Array} items - The items to process.
+ * @param {number} concurrency - How many to process at once.
+ * @param {Function} taskFn - The async function to run for each item. Results of null are left out.
+ * @param {object} [options] - Options object.
+ * @param {object} [options.logger] - Logger used to report progress. Default: silent.
+ * @param {AbortSignal} [options.signal] - Signal to stop processing; items already started are finished. Default: none.
+ * @returns {Promise<Array>} The results, in the order of the items.
+ */
+export async function processInPool(items, concurrency, taskFn, options = {}) {
+	const {
+		logger = silentLogger,
+		signal = null
+	} = options;
+
+	const results = new Array(items.length).fill(null);
+	let next = 0;
+	let done = 0;
+
+	const worker = async () => {
+		while (next < items.length && !(signal && signal.aborted)) {
+			const index = next++;
+			results[index] = await taskFn(items[index]);
+			done++;
+			logger.progress(`> Processing ${done}/${items.length}...\r`);
+		}
+	};
+
+	await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+	return results.filter(result => result !== null);
+}
+
+/**
+ * Checks whether an error is likely to be transient, such as a timeout, a dropped connection or a browser crash,
+ * looking through the errors that caused it.
+ *
+ * @param {Error} error - The error.
+ * @returns {boolean} Whether the error is transient.
+ */
+export function isTransientError(error) {
+	for (let e = error; e; e = e.cause) {
+		if (e.name === 'TimeoutError' || TRANSIENT_ERRORS.some(pattern => pattern.test(e.message || ''))) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Runs a task, retrying it with exponential backoff if it fails with a transient error.
+ *
+ * @param {Function} taskFn - The async function to run, called with the attempt number (starting at 1).
+ * @param {object} [options] - Options object.
+ * @param {number} [options.retries=1] - Number of times to retry. Default: 1.
+ * @param {number} [options.retryDelay=1000] - Delay before the first retry, in milliseconds, doubling with each retry. Default: 1000.
+ * @param {Function} [options.isRetryable] - Decides whether an error is worth retrying. Default: isTransientError().
+ * @param {Function} [options.onRetry] - Called with the error, the next attempt number and the delay before it.
+ * @returns {Promise<*>} The result of the task.
+ * @throws {Error} The error of the last attempt, if every attempt fails.
+ */
+export async function withRetries(taskFn, options = {}) {
+	const {
+		retries = 1,
+		retryDelay = DEFAULT_RETRY_DELAY,
+		isRetryable = isTransientError,
+		onRetry = null
+	} = options;
+
+	for (let attempt = 1; ; attempt++) {
+		try {
+			return await taskFn(attempt);
+		} catch (e) {
+			if (attempt > retries || !isRetryable(e)) {
+				throw e;
+			}
+			const delay = retryDelay * 2 ** (attempt - 1);
+			if (typeof onRetry === 'function') {
+				onRetry(e, attempt + 1, delay);
+			}
+			await new Promise(resolve => setTimeout(resolve, delay));
+		}
+	}
+}
+
+/**
+ * Creates a browser that is launched when first needed, and relaunched after a number of measurements or if it has
+ * disconnected (e.g. it crashed). A browser being replaced is closed once the measurements using it have finished.
+ *
+ * @param {Function} launch - Async function that launches a browser.
+ * @param {object} [options] - Options object.
+ * @param {number} [options.recycleAfter=0] - Number of measurements after which to relaunch the browser. Default: 0 (never).
+ * @param {boolean} [options.close=true] - Whether to close browsers when they are replaced or no longer needed; false for
+ *   a browser provided by the caller. Default: true.
+ * @param {object} [options.logger] - Logger for diagnostics. Default: silent.
+ * @returns {object} Browser recycler with 'ready()' (which launches the browser, if it has not been), 'acquire()' (which
+ *   resolves to a lease with 'browser', 'generation' (which increases each time the browser is relaunched) and 'release()',
+ *   to be called when the measurement has finished) and 'close()'.
+ */
+export function createBrowserRecycler(launch, options = {}) {
+	const {
+		recycleAfter = 0,
+		close = true,
+		logger = silentLogger
+	} = options;
+
+	let current = null;
+	let generation = 0;
+
+	// Launch a browser if there is none, trying again next time if it fails to launch
+	const ensure = () => {
+		if (current === null) {
+			const instance = { generation: ++generation, uses: 0, active: 0, retired: false };
+			const launching = launch().then(browser => Object.assign(instance, { browser }));
+			launching.catch(() => {
+				if (current === launching) {
+					current = null;
+				}
+			});
+			current = launching;
+		}
+		return current;
+	};
+
+	const closeInstance = async (instance) => {
+		if (close) {
+			try {
+				await instance.browser.close();
+			} catch (e) {
+				logger.debug(`Could not close browser: ${e.message}`);
+			}
+		}
+	};
+
+	const retire = (instance) => {
+		instance.retired = true;
+		if (instance.active === 0) {
+			return closeInstance(instance);
+		}
+	};
+
+	return {
+		async ready() {
+			await ensure();
+		},
+		async acquire() {
+			for (;;) {
+				const instance = await ensure();
+				if (instance.retired) {
+					continue;
+				}
+
+				const crashed = instance.browser.connected === false;
+				if (crashed || (recycleAfter > 0 && instance.uses >= recycleAfter)) {
+					logger.debug(crashed ? "Browser disconnected, so relaunching it." : `Relaunching browser after ${instance.uses} measurements.`);
+					retire(instance);
+					current = null;
+					continue;
+				}
+
+				instance.uses++;
+				instance.active++;
+				return {
+					browser: instance.browser,
+					generation: instance.generation,
+					release() {
+						instance.active--;
+						if (instance.retired && instance.active === 0) {
+							closeInstance(instance);
+						}
+					}
+				};
+			}
+		},
+		async close() {
+			if (current !== null) {
+				const instance = await current;
+				current = null;
+				await retire(instance);
+			}
+		}
+	};
+}
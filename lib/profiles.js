@@ -0,0 +1,150 @@
+/**
+ * profiles.js
+ *
+ * Measurement profiles: the device, viewport and network conditions pages are measured with.
+ *
+ * Responsive images and adaptive loading mean that mobile visitors can download very different bytes to
+ * desktop visitors, so pages can be measured with several profiles and the results compared side by side.
+ */
+
+import { KnownDevices, PredefinedNetworkConditions } from "puppeteer";
+import { InvalidOptionError } from "./errors.js";
+
+// Default navigation timeout, in milliseconds
+const DEFAULT_TIMEOUT = 45000;
+
+// The mobile device emulated by mobile profiles
+const MOBILE_DEVICE = KnownDevices['Pixel 5'];
+
+// Built-in profiles
+// Network conditions are names of Puppeteer's predefined network conditions (e.g. 'Slow 3G'), and CPU throttling
+// is a slowdown factor (e.g. 4 means four times slower). Throttled profiles allow longer for pages to load.
+export const PROFILES = {
+	'desktop': {
+		label: "Desktop",
+		viewport: { width: 1900, height: 1000, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+		userAgent: null,
+		network: null,
+		cpuThrottling: 1
+	},
+	'mobile': {
+		label: "Mobile (Pixel 5)",
+		viewport: MOBILE_DEVICE.viewport,
+		userAgent: MOBILE_DEVICE.userAgent,
+		network: null,
+		cpuThrottling: 1
+	},
+	'fast-3g': {
+		label: "Mobile on fast 3G",
+		viewport: MOBILE_DEVICE.viewport,
+		userAgent: MOBILE_DEVICE.userAgent,
+		network: 'Fast 3G',
+		cpuThrottling: 4,
+		timeout: 90000
+	},
+	'slow-3g': {
+		label: "Mobile on slow 3G",
+		viewport: MOBILE_DEVICE.viewport,
+		userAgent: MOBILE_DEVICE.userAgent,
+		network: 'Slow 3G',
+		cpuThrottling: 4,
+		timeout: 180000
+	}
+};
+
+/**
+ * Resolves a measurement profile by name, or validates a custom profile.
+ *
+ * @param {string|object} profile - The name of a built-in profile (see PROFILES), or a custom profile with 'name' and,
+ *   optionally, 'label', 'viewport' (as for Puppeteer's setViewport()), 'userAgent', 'network' (the name of one of
+ *   Puppeteer's predefined network conditions, or an object with 'download' and 'upload' (bytes per second) and
+ *   'latency' (milliseconds)), 'cpuThrottling' (slowdown factor) and 'timeout' (navigation timeout in milliseconds).
+ *   Custom profiles default to the desktop profile's settings.
+ * @returns {object} Profile with 'name', 'label', 'viewport', 'userAgent', 'network', 'cpuThrottling' and 'timeout'.
+ * @throws {InvalidOptionError} If the profile is unknown or invalid.
+ */
+export function resolveProfile(profile) {
+	const definition = (typeof profile === 'string') ? PROFILES[profile] : profile;
+	if (!definition || typeof definition !== 'object') {
+		throw new InvalidOptionError(`Unknown measurement profile: ${profile}`);
+	}
+
+	const name = (typeof profile === 'string') ? profile : definition.name;
+	if (!name) {
+		throw new InvalidOptionError("Custom measurement profiles need a 'name'");
+	}
+
+	const resolved = {
+		...PROFILES.desktop,
+		timeout: DEFAULT_TIMEOUT,
+		...definition,
+		name,
+		label: definition.label || name
+	};
+
+	if (typeof resolved.network === 'string' && !PredefinedNetworkConditions[resolved.network]) {
+		throw new InvalidOptionError(`Unknown network conditions for profile ${name}: ${resolved.network}`);
+	}
+	if (!Number.isFinite(resolved.cpuThrottling) || resolved.cpuThrottling < 1) {
+		throw new InvalidOptionError(`Invalid CPU throttling for profile ${name}: ${resolved.cpuThrottling}`);
+	}
+
+	return resolved;
+}
+
+/**
+ * Resolves a list of measurement profiles.
+ *
+ * @param {Array<string|object>} profiles - Profile names or custom profiles (see resolveProfile()).
+ * @returns {object[]} The profiles.
+ * @throws {InvalidOptionError} If there are no profiles, or any profile is unknown, invalid or given twice.
+ */
+export function resolveProfiles(profiles) {
+	if (!Array.isArray(profiles) || profiles.length === 0) {
+		throw new InvalidOptionError("No measurement profiles given");
+	}
+
+	const resolved = profiles.map(resolveProfile);
+	const names = new Set();
+	for (const { name } of resolved) {
+		if (names.has(name)) {
+			throw new InvalidOptionError(`Measurement profile given more than once: ${name}`);
+		}
+		names.add(name);
+	}
+
+	return resolved;
+}
+
+/**
+ * Applies a measurement profile to a page: its viewport, user agent, and network and CPU throttling.
+ *
+ * @param {object} page - Puppeteer page.
+ * @param {object} profile - Profile from resolveProfile().
+ */
+export async function applyProfile(page, profile) {
+	await page.setViewport(profile.viewport);
+
+	if (profile.userAgent) {
+		await page.setUserAgent(profile.userAgent);
+	}
+
+	if (profile.network) {
+		const conditions = (typeof profile.network === 'string') ? PredefinedNetworkConditions[profile.network] : profile.network;
+		await page.emulateNetworkConditions(conditions);
+	}
+
+	if (profile.cpuThrottling > 1) {
+		await page.emulateCPUThrottling(profile.cpuThrottling);
+	}
+}
+
+/**
+ * Describes a measurement profile for reports.
+ *
+ * @param {object} profile - Profile from resolveProfile().
+ * @returns {object} Profile record with 'name', 'label', 'viewport', 'userAgent', 'network' and 'cpuThrottling'.
+ */
+export function profileRecord({ name, label, viewport, userAgent, network, cpuThrottling }) {
+	return { name, label, viewport, userAgent, network, cpuThrottling };
+}
@@ -0,0 +1,381 @@
+/**
+ * recommendations.js
+ *
+ * Finding ways to reduce the weight of a page, with the bytes and CO2 each would save.
+ */
+
+import { URL } from "url";
+import { contentType } from "./breakdown.js";
+
+// Types of recommendation, with what to do about each
+export const RECOMMENDATIONS = {
+	'compression': "Compress text responses (e.g. with Brotli or gzip)",
+	'image-size': "Resize images to the size they are displayed at",
+	'image-format': "Serve images in modern formats (WebP or AVIF)",
+	'caching': "Cache static resources for longer",
+	'unused-font': "Remove unused web fonts",
+	'duplicate-library': "Load each library only once"
+};
+
+// Savings smaller than this are not worth recommending, in bytes
+const MIN_SAVING = 1024;
+
+// Typical size of compressed text, as a share of its size uncompressed (Brotli and gzip usually compress text by 70–80%)
+const TEXT_COMPRESSION_RATIO = 0.3;
+
+// Text responses smaller than this are not worth compressing, in bytes (about the size of a TCP packet)
+const MIN_COMPRESSIBLE_SIZE = 1400;
+
+// MIME types of responses that compress well
+const TEXT_MIME_TYPES = /^text\/|javascript|ecmascript|json|xml|^image\/svg/i;
+
+// Typical saving of WebP or AVIF images over images in older formats of the same quality, as a share of their size
+const MODERN_FORMAT_SAVING = 0.3;
+
+// MIME types of images in older formats, with better alternatives
+const LEGACY_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/bmp', 'image/tiff'];
+
+// Raster images are too large when they have at least twice as many pixels as they are displayed with
+const OVERSIZED_IMAGE_RATIO = 0.5;
+
+// Static resources should be cached for at least this long, in seconds (7 days)
+const MIN_CACHE_LIFETIME = 7 * 24 * 60 * 60;
+
+// Content types of static resources, which can be cached
+const CACHEABLE_TYPES = ['css', 'scripts', 'images', 'fonts', 'media'];
+
+// Common libraries, recognised by the file names they are usually served with (e.g. 'jquery-3.7.1.min.js')
+const LIBRARIES = [
+	'jquery', 'jquery-ui', 'jquery-migrate', 'lodash', 'underscore', 'moment', 'react', 'react-dom',
+	'vue', 'angular', 'bootstrap', 'popper', 'swiper', 'slick', 'gsap', 'd3', 'chart', 'three', 'axios', 'hammer',
+	'modernizr', 'core-js', 'polyfill', 'alpine', 'htmx'
+];
+
+// Parts of the file names of libraries after their name, e.g. versions and builds such as '.min' and '.production'
+const LIBRARY_SUFFIX = /^(?:[.@-]v?\d+(?:\.\d+)*(?:-[a-z0-9.]+)?|[.-](?:min|slim|prod|production|dev|development|umd|esm|module|bundle|full|global|runtime))*\.(?:m?js)$/i;
+
+/**
+ * Gets a response header, whatever the case of its name.
+ */
+function headerValue(headers, name) {
+	const entry = Object.entries(headers).find(([key]) => key.toLowerCase() === name);
+	return entry ? String(entry[1]) : null;
+}
+
+/**
+ * Reads how a response was encoded and how long it can be cached from its headers.
+ *
+ * @param {object} headers - Response headers, keyed by name.
+ * @returns {object} Details with 'encoding' (the content encoding, e.g. 'br', or 'identity' if not encoded) and
+ *   'cacheLifetime' (how long the response can be reused without asking the server, in seconds, 0 if it cannot be
+ *   cached, or null if the headers do not say).
+ */
+export function responseCaching(headers) {
+	const encoding = (headerValue(headers, 'content-encoding') || 'identity').trim().toLowerCase() || 'identity';
+
+	let cacheLifetime = null;
+	const cacheControl = (headerValue(headers, 'cache-control') || '').toLowerCase();
+	const maxAge = cacheControl.match(/(?:^|[,\s])max-age\s*=\s*"?(\d+)/);
+	if (/(?:^|[,\s])(no-store|no-cache)(?:$|[,\s=])/.test(cacheControl)) {
+		cacheLifetime = 0;
+	} else if (maxAge) {
+		cacheLifetime = parseInt(maxAge[1], 10);
+	} else if (headerValue(headers, 'expires') !== null) {
+		// Expires is relative to the date of the response, and invalid dates mean the response has already expired
+		const expires = Date.parse(headerValue(headers, 'expires'));
+		const date = Date.parse(headerValue(headers, 'date') || '') || Date.now();
+		cacheLifetime = Number.isNaN(expires) ? 0 : Math.max(Math.round((expires - date) / 1000), 0);
+	}
+
+	return { encoding, cacheLifetime };
+}
+
+/**
+ * Finds the images on a page and the size they are displayed at, and the fonts used by its text, so that
+ * pageRecommendations() can find oversized images and unused fonts.
+ *
+ * Fonts are only matched to their files through the '@font-face' rules of style sheets the page can read, so fonts
+ * from cross-origin style sheets (e.g. Google Fonts) are not checked.
+ *
+ * @param {object} page - Puppeteer page, once it has loaded.
+ * @returns {Promise<object>} Details with 'images' (each with 'url', 'naturalWidth', 'naturalHeight' and the 'width' and
+ *   'height' it is displayed at, in device pixels) and 'fonts' (with 'used', the font families of the page's text,
+ *   and 'faces', each with the 'family' and 'urls' of a '@font-face' rule).
+ */
+export async function inspectPage(page) {
+	return page.evaluate(() => {
+		const normalise = (family) => family.trim().replace(/^["']|["']$/g, '').toLowerCase();
+
+		// Largest size each image is displayed at, in device pixels
+		const images = new Map();
+		const scale = window.devicePixelRatio || 1;
+		for (const img of document.images) {
+			const url = img.currentSrc || img.src;
+			if (!url || !img.complete || img.naturalWidth === 0) {
+				continue;
+			}
+			const { width, height } = img.getBoundingClientRect();
+			const image = images.get(url) || { url, naturalWidth: img.naturalWidth, naturalHeight: img.naturalHeight, width: 0, height: 0 };
+			image.width = Math.max(image.width, Math.round(width * scale));
+			image.height = Math.max(image.height, Math.round(height * scale));
+			images.set(url, image);
+		}
+
+		// Font families of elements with text, including generated content such as icons
+		const used = new Set();
+		const addFamilies = (style) => style.fontFamily.split(',').forEach(family => used.add(normalise(family)));
+		for (const element of document.querySelectorAll('body, body *')) {
+			const hasText = [...element.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim())
+				|| element.matches('input, textarea, select, button');
+			if (hasText) {
+				addFamilies(getComputedStyle(element));
+			}
+			for (const pseudo of ['::before', '::after']) {
+				const style = getComputedStyle(element, pseudo);
+				if (style.content && !['none', 'normal', '""', "''"].includes(style.content)) {
+					addFamilies(style);
+				}
+			}
+		}
+
+		// Font files declared by '@font-face' rules, in style sheets the page can read
+		const faces = [];
+		const readRules = (rules, baseUrl) => {
+			for (const rule of rules) {
+				if (rule instanceof CSSFontFaceRule) {
+					const src = rule.style.getPropertyValue('src');
+					const urls = [...src.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)].map(([, , url]) => {
+						try {
+							return new URL(url, baseUrl).href;
+						} catch {
+							return url;
+						}
+					});
+					faces.push({ family: normalise(rule.style.getPropertyValue('font-family')), urls });
+				} else if (rule instanceof CSSImportRule && rule.styleSheet) {
+					readSheet(rule.styleSheet);
+				} else if (rule.cssRules) {
+					readRules(rule.cssRules, baseUrl);
+				}
+			}
+		};
+		const readSheet = (sheet) => {
+			try {
+				readRules(sheet.cssRules, sheet.href || document.baseURI);
+			} catch {} // Cross-origin style sheets cannot be read
+		};
+		for (const sheet of document.styleSheets) {
+			readSheet(sheet);
+		}
+
+		return { images: [...images.values()], fonts: { used: [...used], faces } };
+	});
+}
+
+/**
+ * Gets the name of a library from the URL of a script, or null if it is not a library recognised.
+ */
+function libraryName(url) {
+	let fileName;
+	try {
+		fileName = new URL(url).pathname.split('/').pop().toLowerCase();
+	} catch {
+		return null;
+	}
+
+	// Prefer the longest name, so that e.g. 'jquery-ui.min.js' is not taken for jQuery
+	const name = LIBRARIES
+		.filter(library => fileName.startsWith(library) && LIBRARY_SUFFIX.test(fileName.slice(library.length)))
+		.sort((a, b) => b.length - a.length)[0];
+	return name || null;
+}
+
+/**
+ * Describes how long a response can be cached for, e.g. '2 hours'.
+ */
+function describeLifetime(seconds) {
+	const units = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+	const [unit, size] = units.find(([, size]) => seconds >= size) || units[units.length - 1];
+	const count = Math.floor(seconds / size);
+	return `${count} ${unit}${(count === 1) ? '' : 's'}`;
+}
+
+/**
+ * Finds ways to reduce the weight of a page, estimating the bytes and CO2 each would save.
+ *
+ * Checks first visits for text responses sent without compression, raster images with at least twice as many pixels
+ * as they are displayed with, images in older formats than WebP or AVIF, web fonts that no text uses, and libraries
+ * loaded more than once (recognised by their file names, or the same file from different URLs). Static resources
+ * that can be cached for less than 7 days are checked on return visits, where the bytes they were downloaded again
+ * with would be saved (or, without a return visit, their size on the first visit).
+ *
+ * Compression and format savings are typical figures rather than measured. An image's resize saving is in
+ * proportion to its pixels, and its format saving is of what is left once resized, so the savings of a page add up.
+ * Oversized images and unused fonts are only found when the page was inspected (see inspectPage()), and compression
+ * and caching only for resources whose headers were recorded.
+ *
+ * @param {object} firstVisit - Measurement result of the first visit to the page, from measurePage() or measureHar().
+ * @param {object|null} returnVisit - Measurement result of the return visit to the page, if measured.
+ * @param {object} options - Options object.
+ * @param {object} options.carbon - Carbon model from createCarbonModel().
+ * @param {boolean} [options.isGreen=false] - Whether the hosting is green, for resources not checked individually. Default: false.
+ * @returns {object[]} Recommendations, each with 'type' (see RECOMMENDATIONS), 'url' (of the resource), 'detail',
+ *   'visit' (the visit type it would save bytes on) and the 'bytes' and 'co2' it would save, from largest to smallest saving.
+ */
+export function pageRecommendations(firstVisit, returnVisit, options) {
+	const {
+		carbon,
+		isGreen = false
+	} = options;
+
+	const recommendations = [];
+	const recommend = (type, resource, bytes, detail, visit = 'first') => {
+		const saving = Math.min(Math.round(bytes), resource.transferSize);
+		if (saving >= MIN_SAVING) {
+			const green = (typeof resource.green === 'boolean') ? resource.green : isGreen;
+			recommendations.push({ type, url: resource.url, detail, visit, bytes: saving, co2: carbon.bytesToCO2(saving, green ? 1 : 0).co2 });
+		}
+	};
+
+	const resources = firstVisit.resources.filter(resource => resource.transferSize > 0 && !resource.fromCache);
+	const rendered = firstVisit.rendered || null;
+	const mimeType = (resource) => (resource.mimeType || '').toLowerCase();
+
+	for (const resource of resources) {
+		const type = contentType(resource);
+
+		// Text sent without compression
+		if (resource.encoding === 'identity' && TEXT_MIME_TYPES.test(mimeType(resource)) && resource.decodedSize >= MIN_COMPRESSIBLE_SIZE) {
+			recommend('compression', resource, resource.transferSize - (resource.decodedSize * TEXT_COMPRESSION_RATIO),
+				`${mimeType(resource)} sent without compression`);
+		}
+
+		if (type === 'images' && !/svg/.test(mimeType(resource))) {
+			// Images with more pixels than they are displayed with
+			let resizeSaving = 0;
+			const image = rendered && rendered.images.find(image => image.url === resource.url);
+			if (image && image.width > 0 && image.height > 0) {
+				const ratio = (image.width * image.height) / (image.naturalWidth * image.naturalHeight);
+				if (ratio <= OVERSIZED_IMAGE_RATIO) {
+					resizeSaving = Math.round(resource.transferSize * (1 - ratio));
+					recommend('image-size', resource, resizeSaving,
+						`${image.naturalWidth}×${image.naturalHeight} image displayed at ${image.width}×${image.height}`);
+				}
+			}
+
+			// Images in older formats
+			if (LEGACY_IMAGE_TYPES.includes(mimeType(resource))) {
+				recommend('image-format', resource, (resource.transferSize - resizeSaving) * MODERN_FORMAT_SAVING,
+					`${mimeType(resource)} image`);
+			}
+		}
+
+		// Static resources that are soon downloaded again
+		if (CACHEABLE_TYPES.includes(type) && resource.cacheLifetime !== undefined
+			&& (resource.cacheLifetime === null || resource.cacheLifetime < MIN_CACHE_LIFETIME)) {
+			const lifetime = (resource.cacheLifetime === null) ? "no cache lifetime"
+				: (resource.cacheLifetime === 0) ? "not cached" : `cached for ${describeLifetime(resource.cacheLifetime)}`;
+			if (returnVisit) {
+				const downloaded = returnVisit.resources
+					.filter(again => again.url === resource.url && !again.fromCache)
+					.reduce((sum, again) => sum + again.transferSize, 0);
+				recommend('caching', resource, downloaded, `${lifetime}, so downloaded again on return visits`, 'return');
+			} else {
+				recommend('caching', resource, resource.transferSize, lifetime, 'return');
+			}
+		}
+
+		// Fonts whose family no text uses
+		if (type === 'fonts' && rendered) {
+			const faces = rendered.fonts.faces.filter(face => face.urls.includes(resource.url));
+			if (faces.length > 0 && !faces.some(face => rendered.fonts.used.includes(face.family))) {
+				recommend('unused-font', resource, resource.transferSize, `'${faces[0].family}' is not used by any text`);
+			}
+		}
+	}
+
+	// Libraries loaded more than once, keeping the largest copy
+	const copies = new Map();
+	for (const resource of resources.filter(resource => contentType(resource) === 'scripts')) {
+		const name = libraryName(resource.url);
+		const fileName = resource.url.split(/[?#]/)[0].split('/').pop();
+		const key = name || ((resource.decodedSize > 0) ? `${fileName} (${resource.decodedSize})` : null);
+		if (key !== null) {
+			copies.set(key, [...(copies.get(key) || []), resource]);
+		}
+	}
+	for (const [key, scripts] of copies) {
+		const urls = new Set(scripts.map(script => script.url));
+		if (urls.size < 2) {
+			continue;
+		}
+		const [kept, ...others] = [...scripts].sort((a, b) => b.transferSize - a.transferSize);
+		const name = libraryName(kept.url) || key.replace(/ \(\d+\)$/, '');
+		for (const resource of others.filter(resource => resource.url !== kept.url)) {
+			recommend('duplicate-library', resource, resource.transferSize, `${name}, also loaded from ${kept.url}`);
+		}
+	}
+
+	return recommendations.sort((a, b) => b.co2 - a.co2 || b.bytes - a.bytes);
+}
+
+/**
+ * Ranks the recommendations for the pages of a website by the CO2 they would save in total, combining the same
+ * recommendation for a resource used on several pages.
+ *
+ * @param {object[]} results - Measurement results of first visits, each with 'recommendations' from pageRecommendations().
+ * @param {object} [options] - Options object.
+ * @param {number} [options.limit=20] - Maximum number of recommendations to return. Default: 20.
+ * @returns {object[]} Recommendations, each with 'type', 'label' (what to do), 'url', 'detail', 'visit', 'pages' (the
+ *   number of pages it applies to) and the 'bytes' and 'co2' it would save across those pages, from largest to
+ *   smallest saving.
+ */
+export function rankRecommendations(results, options = {}) {
+	const {
+		limit = 20
+	} = options;
+
+	const ranked = new Map();
+	for (const result of results) {
+		for (const { type, url, detail, visit, bytes, co2 } of result.recommendations || []) {
+			const key = `${type} ${url}`;
+			const recommendation = ranked.get(key) || { type, label: RECOMMENDATIONS[type], url, detail, visit, pages: 0, bytes: 0, co2: 0 };
+			recommendation.pages += 1;
+			recommendation.bytes += bytes;
+			recommendation.co2 += co2;
+			ranked.set(key, recommendation);
+		}
+	}
+
+	return [...ranked.values()]
+		.sort((a, b) => b.co2 - a.co2 || b.bytes - a.bytes)
+		.slice(0, limit);
+}
+
+/**
+ * Totals the savings of all the recommendations for the pages of a website, separately for first and return visits,
+ * since caching only saves bytes on return visits.
+ *
+ * @param {object[]} results - Measurement results of first visits, each with 'recommendations' from pageRecommendations().
+ * @returns {object} Savings with 'recommendations' (the number of recommendations, combined across pages as by
+ *   rankRecommendations()), and the 'bytes' and 'co2' that would be saved on each 'first' and 'return' visit to the pages.
+ */
+export function recommendationSavings(results) {
+	const savings = {
+		recommendations: 0,
+		first: { bytes: 0, co2: 0 },
+		return: { bytes: 0, co2: 0 }
+	};
+
+	const keys = new Set();
+	for (const result of results) {
+		for (const { type, url, visit, bytes, co2 } of result.recommendations || []) {
+			keys.add(`${type} ${url}`);
+			savings[visit].bytes += bytes;
+			savings[visit].co2 += co2;
+		}
+	}
+	savings.recommendations = keys.size;
+
+	return savings;
+}
@@ -0,0 +1,339 @@
+/**
+ * report.js
+ *
+ * Machine-readable reports of an assessment (JSON and newline-delimited JSON).
+ */
+
+/**
+ * Converts a measurement result into a visit record for reports.
+ *
+ * @param {object|null} result - Measurement result from measurePage(), or null if the page was not measured.
+ * @returns {object|null} Visit record with 'bytes', 'co2', 'rating', 'status', 'finalUrl', 'redirects', 'contentType',
+ *   'measuredAt', 'duration', 'greenShare',
+ *   'segments', 'breakdown' and 'recommendations' (if any), and 'runs' and 'unstable' (when measured several times).
+ */
+function visitRecord(result) {
+	if (!result) {
+		return null;
+	}
+
+	const { bytes, co2, rating, segments, status, finalUrl = null, redirects = [], contentType = null, measuredAt, duration, greenShare, breakdown, recommendations, runs, unstable } = result;
+	const record = { bytes, co2, rating, status, finalUrl, redirects, contentType, measuredAt, duration, greenShare };
+
+	if (segments) {
+		record.segments = segments;
+	}
+	if (breakdown) {
+		record.breakdown = breakdown;
+	}
+	if (recommendations) {
+		record.recommendations = recommendations;
+	}
+	if (runs) {
+		record.runs = runs;
+		record.unstable = unstable;
+	}
+
+	return record;
+}
+
+/**
+ * Converts a failure into a record for reports.
+ *
+ * @param {object} failure - Failure with 'url', 'visit', 'profile' and 'error'.
+ * @returns {object} Failure record with 'url', 'visit', 'profile', 'code' and 'error' (message).
+ */
+function failureRecord({ url, visit, profile = null, error }) {
+	return {
+		url,
+		visit,
+		profile,
+		code: error.code || null,
+		error: error.message
+	};
+}
+
+/**
+ * Converts a page left out of the results into a record for reports.
+ *
+ * @param {object} exclusion - Exclusion from assessUrls().
+ * @returns {object} Exclusion record with 'url', 'visit', 'profile', 'reason', 'status', 'finalUrl' and 'contentType'.
+ */
+function exclusionRecord({ url, visit, profile = null, reason, status = null, finalUrl = null, contentType = null }) {
+	return { url, visit, profile, reason, status, finalUrl, contentType };
+}
+
+/**
+ * Creates the run metadata section of a report.
+ *
+ * @param {object} run - Run metadata, as passed to the 'onStart' callback of assessUrls().
+ * @returns {object} Run record.
+ */
+export function runRecord(run) {
+	const { tool, siteUrl, startedAt, finishedAt = null, interrupted = false, resumed = 0, model, settings, isGreen } = run;
+
+	return {
+		tool,
+		siteUrl,
+		startedAt,
+		finishedAt,
+		interrupted,
+		resumed,
+		model,
+		measure: {
+			event: settings.event,
+			waitForSelector: settings.waitForSelector || null,
+			scroll: !!settings.scroll,
+			observe: settings.observe || 0,
+			mode: settings.mode,
+			profile: settings.profiles ? settings.profiles[0].name : 'desktop',
+			runs: settings.runs || 1,
+			consent: settings.session ? settings.session.consent : 'none'
+		},
+		unstableThreshold: settings.unstableThreshold || null,
+		profiles: settings.profiles || null,
+		ratings: settings.ratings,
+		segments: settings.segments,
+		returnRatio: settings.returnRatio,
+		maxPages: settings.maxPages,
+		breakdown: settings.breakdown,
+		recommendations: !!settings.recommendations,
+		exclude: settings.exclude || null,
+		session: settings.session || null,
+		sampling: settings.sampling || null,
+		greenHosting: isGreen
+	};
+}
+
+/**
+ * Creates the summary section of a report.
+ *
+ * @param {object} summary - Summary from summariseResults().
+ * @returns {object} Summary record with 'pages', 'avgBytes', 'avgCO2e', 'carbonRating', 'avgSegments' (if any),
+ *   'urls' and 'weighted' (when averages are weighted by template), and 'unstable' (when measuring several runs).
+ */
+export function summaryRecord(summary) {
+	const record = {
+		pages: summary.pages,
+		avgBytes: summary.avgBytes,
+		avgCO2e: summary.avgCO2e,
+		carbonRating: summary.rating
+	};
+
+	if (summary.weighted) {
+		record.urls = summary.urls;
+		record.weighted = true;
+	}
+
+	if (summary.avgSegments) {
+		record.avgSegments = summary.avgSegments;
+	}
+
+	if (summary.unstable !== undefined) {
+		record.unstable = summary.unstable;
+	}
+
+	return record;
+}
+
+/**
+ * Creates the summary record of a measurement profile.
+ *
+ * @param {object} profileResult - Results of a profile, from assessUrls().
+ * @returns {object} Profile summary record with 'name', 'label', 'summary' and 'perVisitSummary'.
+ */
+export function profileSummaryRecord({ profile, summary, perVisitSummary }) {
+	return {
+		name: profile.name,
+		label: profile.label,
+		summary: summaryRecord(summary),
+		perVisitSummary: summaryRecord(perVisitSummary)
+	};
+}
+
+/**
+ * Creates a page record for a single measurement, as streamed in NDJSON output.
+ *
+ * @param {object} result - Measurement result from measurePage().
+ * @param {string} visit - Visit type: 'first' or 'return'.
+ * @returns {object} Page record.
+ */
+export function measurementRecord(result, visit) {
+	return {
+		url: result.url,
+		visit,
+		profile: result.profile,
+		...visitRecord(result)
+	};
+}
+
+/**
+ * Creates a machine-readable report of an assessment, with first and return visits of each page side by side.
+ *
+ * @param {object} assessment - Assessment from assessUrls() or assessSite().
+ * @returns {object} Report with 'run', 'summary', 'perVisitSummary', 'pages' (with first, return and per visit values,
+ *   and the values of each profile in 'profiles' when there are several profiles), 'profiles' (the summaries of each
+ *   profile), 'failures', 'exclusions' (pages left out of the results), 'sharedResources' (when breaking down pages), 'recommendations' (ranked across pages, when finding recommendations), 'recommendationSavings' (the total savings of all recommendations), 'budgets' (when budgets were evaluated), 'templates'
+ *   (averages per template, when sampling), 'projection' (when page views were given) and 'hosting' (green hosting
+ *   results for each domain).
+ */
+export function createReport(assessment) {
+	const {
+		firstVisits,
+		returnVisits,
+		failures,
+		exclusions = [],
+		summary,
+		sharedResources = null,
+		recommendations = null,
+		recommendationSavings = null,
+		budgets = null,
+		templates = null,
+		perVisit = [],
+		perVisitSummary = null,
+		profiles = null,
+		projection = null,
+		hosting = null
+	} = assessment;
+
+	// Combine first and return visits by URL, keeping the order of first visits
+	const pages = new Map();
+	for (const result of firstVisits) {
+		pages.set(result.url, { url: result.url, firstVisit: visitRecord(result), returnVisit: null });
+	}
+	for (const result of returnVisits) {
+		const page = pages.get(result.url) || { url: result.url, firstVisit: null };
+		page.returnVisit = visitRecord(result);
+		pages.set(result.url, page);
+	}
+	for (const { url, bytes, co2, rating } of perVisit) {
+		pages.get(url).perVisit = { bytes, co2, rating };
+	}
+
+	// With several profiles, add the visits of each profile to each page, side by side
+	if (profiles !== null && profiles.length > 1) {
+		for (const page of pages.values()) {
+			page.profiles = {};
+		}
+		for (const { profile, firstVisits: profileFirstVisits, returnVisits: profileReturnVisits, perVisit: profilePerVisit } of profiles) {
+			const visitsFor = (url) => {
+				if (!pages.has(url)) {
+					pages.set(url, { url, firstVisit: null, returnVisit: null, profiles: {} });
+				}
+				const page = pages.get(url);
+				page.profiles[profile.name] = page.profiles[profile.name] || { firstVisit: null, returnVisit: null, perVisit: null };
+				return page.profiles[profile.name];
+			};
+			for (const result of profileFirstVisits) {
+				visitsFor(result.url).firstVisit = visitRecord(result);
+			}
+			for (const result of profileReturnVisits) {
+				visitsFor(result.url).returnVisit = visitRecord(result);
+			}
+			for (const { url, bytes, co2, rating } of profilePerVisit) {
+				visitsFor(url).perVisit = { bytes, co2, rating };
+			}
+		}
+	}
+
+	return {
+		run: runRecord(assessment),
+		summary: summaryRecord(summary),
+		perVisitSummary: perVisitSummary ? summaryRecord(perVisitSummary) : null,
+		pages: [...pages.values()],
+		profiles: (profiles !== null) ? profiles.map(profileSummaryRecord) : null,
+		failures: failures.map(failureRecord),
+		exclusions: exclusions.map(exclusionRecord),
+		sharedResources,
+		recommendations,
+		recommendationSavings,
+		budgets,
+		templates,
+		projection,
+		hosting
+	};
+}
+
+/**
+ * Converts a journey result into a record for reports, with each step but not the resources of each step.
+ *
+ * @param {object} result - Journey result from runJourney().
+ * @returns {object} Journey record with 'name', 'profile', 'url', 'bytes', 'co2', 'rating', 'greenShare', 'measuredAt',
+ *   'duration', 'segments' (if any) and 'steps' (each with 'index', 'action', 'name', 'url', 'status', 'bytes', 'co2',
+ *   'rating', 'greenShare', 'duration', and 'segments' and 'breakdown' (if any)).
+ */
+export function journeyRecord(result) {
+	const { name, profile, url, bytes, co2, rating, greenShare, measuredAt, duration, segments, steps } = result;
+	const record = { name, profile, url, bytes, co2, rating, greenShare, measuredAt, duration };
+
+	if (segments) {
+		record.segments = segments;
+	}
+
+	record.steps = steps.map(({ resources, ...step }) => step);
+
+	return record;
+}
+
+/**
+ * Converts the failures of a journey assessment into records for reports.
+ *
+ * @param {Array} failures - Failures from assessJourneys(), each with 'journey', 'profile', 'step' and 'error'.
+ * @returns {object[]} Failure records with 'journey', 'profile', 'step' (the step that failed, if any), 'code' and 'error'
+ *   (message).
+ */
+export function journeyFailureRecords(failures) {
+	return failures.map(({ journey, profile = null, step, error }) => ({
+		journey,
+		profile,
+		step,
+		code: error.code || null,
+		error: error.message
+	}));
+}
+
+/**
+ * Creates a machine-readable report of a journey assessment.
+ *
+ * @param {object} assessment - Assessment from assessJourneys().
+ * @returns {object} Report with 'run', 'journeys', 'failures' and 'hosting'.
+ */
+export function createJourneyReport(assessment) {
+	return {
+		run: runRecord(assessment),
+		journeys: assessment.journeys.map(journeyRecord),
+		failures: journeyFailureRecords(assessment.failures),
+		hosting: assessment.hosting
+	};
+}
+
+/**
+ * Creates the records of an assessment in newline-delimited JSON, where each record has a 'type'.
+ *
+ * @param {string} type - Record type: 'run', 'page', 'journey', 'failure', 'exclusion' or 'summary'.
+ * @param {object} data - Record data.
+ * @returns {string} A single line of JSON (without a trailing newline).
+ */
+export function ndjsonRecord(type, data) {
+	return JSON.stringify({ type, ...data });
+}
+
+/**
+ * Creates the failure records of an assessment, for NDJSON output.
+ *
+ * @param {Array} failures - Failures from assessUrls().
+ * @returns {object[]} Failure records.
+ */
+export function failureRecords(failures) {
+	return failures.map(failureRecord);
+}
+
+/**
+ * Creates the exclusion records of an assessment, for NDJSON output.
+ *
+ * @param {Array} exclusions - Exclusions from assessUrls().
+ * @returns {object[]} Exclusion records.
+ */
+export function exclusionRecords(exclusions) {
+	return exclusions.map(exclusionRecord);
+}
@@ -0,0 +1,211 @@
+/**
+ * sampling.js
+ *
+ * Representative sampling of large websites by page template.
+ *
+ * URLs are grouped by template (e.g. '/products/:slug' or '/blog/:year/:slug'), a few pages of each template
+ * are measured, and site-wide averages are weighted by the number of URLs each template represents.
+ */
+
+import { URL } from "url";
+import { InvalidOptionError } from "./errors.js";
+import { matchesPattern } from "./patterns.js";
+
+/**
+ * Gets the path of a URL for grouping, without a trailing slash.
+ */
+function urlPath(url) {
+	const path = new URL(url).pathname;
+	return (path.length > 1) ? path.replace(/\/+$/, '') : path;
+}
+
+/**
+ * Converts a template (e.g. '/blog/:year/:slug') into a glob-style pattern (e.g. '/blog/*\/*').
+ */
+function templatePattern(template) {
+	const pattern = template.replace(/:[A-Za-z_]\w*/g, '*');
+	return (pattern.length > 1) ? pattern.replace(/\/+$/, '') : pattern;
+}
+
+/**
+ * Infers a placeholder for a variable path segment.
+ */
+function segmentPlaceholder(segment) {
+	if (/^(19|20)\d{2}$/.test(segment)) {
+		return ':year';
+	}
+	if (/^\d+$/.test(segment) || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) {
+		return ':id';
+	}
+	return ':slug';
+}
+
+/**
+ * Determines the template of a URL.
+ *
+ * The first template that matches the URL's path is used, where ':name' matches a single path segment and
+ * glob-style wildcards can also be used (see patterns.js). If none match, the template is inferred from the
+ * path: the first segment is kept and later segments are replaced by placeholders (e.g. '/blog/2025/hello'
+ * becomes '/blog/:year/:slug').
+ *
+ * @param {string} url - The URL.
+ * @param {string[]} [templates=[]] - Templates to match, e.g. ['/products/:slug', '/blog/:year/:slug']. Default: none.
+ * @returns {string} The template.
+ */
+export function templateFor(url, templates = []) {
+	const path = urlPath(url);
+
+	for (const template of templates) {
+		if (matchesPattern(path, templatePattern(template))) {
+			return template;
+		}
+	}
+
+	const segments = path.split('/').filter(Boolean);
+	if (segments.length <= 1) {
+		return path;
+	}
+
+	return '/' + [segments[0], ...segments.slice(1).map(segmentPlaceholder)].join('/');
+}
+
+/**
+ * Picks up to a number of items, spread evenly through a list, so that samples are repeatable.
+ */
+function spreadSample(items, count) {
+	if (items.length <= count) {
+		return [...items];
+	}
+
+	const step = items.length / count;
+	return Array.from({ length: count }, (_, i) => items[Math.floor(i * step)]);
+}
+
+/**
+ * Samples URLs by template, picking a number of pages from each template.
+ *
+ * Templates are sampled in turn, from the template with the most URLs to the least, so that when 'maxPages'
+ * limits the sample, each template is represented before any template has a second page.
+ *
+ * @param {string[]} urls - The URLs to sample.
+ * @param {object} [options] - Options object.
+ * @param {number} [options.perTemplate=3] - Number of pages to sample from each template. Default: 3.
+ * @param {string[]} [options.templates=[]] - Templates to group URLs by (see templateFor()). Default: inferred from paths.
+ * @param {number} [options.maxPages=Infinity] - Maximum number of pages to sample in total. Default: no limit.
+ * @returns {object} Sample with 'urls' (the sampled URLs) and 'templates' (each with 'template', 'urls' (the number of
+ *   URLs with the template) and 'sampled' (the sampled URLs)).
+ * @throws {InvalidOptionError} If the number of pages per template is invalid.
+ */
+export function sampleUrls(urls, options = {}) {
+	const {
+		perTemplate = 3,
+		templates = [],
+		maxPages = Infinity
+	} = options;
+
+	if (!Number.isInteger(perTemplate) || perTemplate < 1) {
+		throw new InvalidOptionError(`Invalid number of pages per template: ${perTemplate}`);
+	}
+
+	// Group URLs by template
+	const groups = new Map();
+	for (const url of urls) {
+		const template = templateFor(url, templates);
+		if (!groups.has(template)) {
+			groups.set(template, []);
+		}
+		groups.get(template).push(url);
+	}
+
+	const candidates = [...groups.entries()]
+		.map(([template, groupUrls]) => ({ template, all: groupUrls, candidates: spreadSample(groupUrls, perTemplate) }))
+		.sort((a, b) => b.all.length - a.all.length || a.template.localeCompare(b.template));
+
+	// Take one page from each template in turn
+	const sampled = new Map(candidates.map(group => [group.template, []]));
+	let total = 0;
+	for (let round = 0; round < perTemplate && total < maxPages; round++) {
+		for (const group of candidates) {
+			if (round < group.candidates.length && total < maxPages) {
+				sampled.get(group.template).push(group.candidates[round]);
+				total++;
+			}
+		}
+	}
+
+	return {
+		urls: candidates.flatMap(group => sampled.get(group.template)),
+		templates: candidates.map(group => ({
+			template: group.template,
+			urls: group.all.length,
+			sampled: sampled.get(group.template)
+		}))
+	};
+}
+
+/**
+ * Summarises results by template, weighting site-wide averages by the number of URLs each template represents.
+ *
+ * @param {object[]} results - Measurement results, each with 'url', 'bytes', 'co2' and, optionally, 'segments'.
+ * @param {object[]} templates - Templates from sampleUrls().
+ * @param {object} carbon - Carbon model from createCarbonModel(), used to rate the averages.
+ * @returns {object} Summary with 'pages', 'urls' (the number of URLs represented), 'avgBytes', 'avgCO2e', 'rating',
+ *   'weighted' (true) and, for segmented results, 'avgSegments'; and 'templates' (each with 'template', 'urls',
+ *   'pages', 'avgBytes', 'avgCO2e' and 'rating').
+ */
+export function summariseTemplates(results, templates, carbon) {
+	const resultsByUrl = new Map(results.map(result => [result.url, result]));
+	const average = (items, value) => items.reduce((sum, item) => sum + value(item), 0) / items.length;
+
+	const groups = templates.map(({ template, urls, sampled }) => ({
+		template,
+		urls,
+		measured: sampled.map(url => resultsByUrl.get(url)).filter(Boolean)
+	}));
+
+	const templateSummaries = groups.map(({ template, urls, measured }) => {
+		const pages = measured.length;
+		const avgCO2e = (pages > 0) ? average(measured, r => r.co2) : null;
+		return {
+			template,
+			urls,
+			pages,
+			avgBytes: (pages > 0) ? average(measured, r => r.bytes) : null,
+			avgCO2e,
+			rating: (pages > 0) ? carbon.carbonRating(avgCO2e) : null
+		};
+	});
+
+	// Weight the averages of each template by the number of URLs it represents
+	const measuredGroups = groups.filter(group => group.measured.length > 0);
+	const totalUrls = measuredGroups.reduce((sum, group) => sum + group.urls, 0);
+	const weightedAverage = (value) =>
+		measuredGroups.reduce((sum, group) => sum + average(group.measured, value) * group.urls, 0) / totalUrls;
+
+	if (totalUrls === 0) {
+		return {
+			summary: { pages: 0, urls: 0, avgBytes: null, avgCO2e: null, rating: null, weighted: true },
+			templates: templateSummaries
+		};
+	}
+
+	const avgCO2e = weightedAverage(r => r.co2);
+	const summary = {
+		pages: measuredGroups.reduce((sum, group) => sum + group.measured.length, 0),
+		urls: totalUrls,
+		avgBytes: weightedAverage(r => r.bytes),
+		avgCO2e,
+		rating: carbon.carbonRating(avgCO2e),
+		weighted: true
+	};
+
+	// Average each segment of segmented results
+	if (carbon.segments && measuredGroups[0].measured[0].segments) {
+		summary.avgSegments = {};
+		for (const segment of Object.keys(measuredGroups[0].measured[0].segments)) {
+			summary.avgSegments[segment] = weightedAverage(r => r.segments[segment]);
+		}
+	}
+
+	return { summary, templates: templateSummaries };
+}
@@ -0,0 +1,973 @@
+/**
+ * scorecard.js
+ *
+ * Assessing the carbon emissions of a website or a set of URLs.
+ */
+
+import fs from "fs";
+import path from "path";
+import puppeteer from "puppeteer";
+import { URL } from "url";
+import { pageBreakdown, sharedResources } from "./breakdown.js";
+import { budgetsNeedBreakdown, evaluateBudgets, validateBudgets } from "./budgets.js";
+import { createCarbonModel } from "./carbon.js";
+import { openCheckpoint } from "./checkpoint.js";
+import { InvalidOptionError, InvalidUrlError, NoUrlsError, ScorecardError } from "./errors.js";
+import { checkExclusions } from "./exclusions.js";
+import { harFileName, harPages } from "./har.js";
+import { createGreenHostingChecker } from "./hosting.js";
+import { logIn, runJourney, validateJourney } from "./journeys.js";
+import { silentLogger } from "./logger.js";
+import { measureHar, measurePage, validateMeasureOptions } from "./measure.js";
+import { createBrowserRecycler, DEFAULT_RETRY_DELAY, processInPool, validatePoolOptions, withRetries } from "./pool.js";
+import { PROFILES, profileRecord, resolveProfile, resolveProfiles } from "./profiles.js";
+import { pageRecommendations, rankRecommendations, recommendationSavings } from "./recommendations.js";
+import { sampleUrls, summariseTemplates } from "./sampling.js";
+import { sessionRecord, validateSession } from "./session.js";
+import { aggregateRuns, DEFAULT_UNSTABLE_THRESHOLD, validateRunOptions } from "./statistics.js";
+import { discoverUrls } from "./urls.js";
+import { PAGE_VIEW_PERIODS, perVisitResults, projectEmissions, validateReturnRatio } from "./visits.js";
+import { TOOL_NAME, TOOL_VERSION } from "./version.js";
+
+/**
+ * Processes an array of items, up to a number at a time.
+ *
+ * @deprecated Use processInPool(), which takes an options object for the logger.
+ * @param {Array} items - The items to process.
+ * @param {number} batchSize - How many to process at once.
+ * @param {Function} taskFn - The async function to run for each item.
+ * @param {object} [logger] - Logger used to report progress. Default: silent.
+ * @returns {Promise<Array>} The aggregated results.
+ */
+export async function processInBatches(items, batchSize, taskFn, logger = silentLogger) {
+	return processInPool(items, batchSize, taskFn, { logger });
+}
+
+/**
+ * Sorts results by URL alphabetically for clean output.
+ */
+export function sortAlphabetically(a, b) {
+	var textA = a.url.toLowerCase();
+	var textB = b.url.toLowerCase();
+	return (textA < textB) ? -1 : (textA > textB) ? 1 : 0;
+}
+
+/**
+ * Summarises a set of page measurements.
+ *
+ * @param {Array} results - Measurement results, where each item has 'bytes' and 'co2' properties.
+ * @param {object} carbon - Carbon model from createCarbonModel().
+ * @returns {object} Summary with 'pages', 'avgBytes', 'avgCO2e', 'rating' and, for segmented results, 'avgSegments'.
+ */
+export function summariseResults(results, carbon) {
+	const numResults = results.length;
+
+	if (numResults === 0) {
+		return { pages: 0, avgBytes: null, avgCO2e: null, rating: null };
+	}
+
+	const avgBytes = results.reduce((sum, r) => sum + r.bytes, 0) / numResults;
+	const avgCO2e = results.reduce((sum, r) => sum + r.co2, 0) / numResults;
+
+	const summary = {
+		pages: numResults,
+		avgBytes,
+		avgCO2e,
+		rating: carbon.carbonRating(avgCO2e)
+	};
+
+	// Average each segment of segmented results
+	if (carbon.segments && results[0].segments) {
+		summary.avgSegments = {};
+		for (const segment of Object.keys(results[0].segments)) {
+			summary.avgSegments[segment] = results.reduce((sum, r) => sum + r.segments[segment], 0) / numResults;
+		}
+	}
+
+	return summary;
+}
+
+/**
+ * Creates a function that decides whether to leave a measured page out of the results, recording it in 'exclusions'
+ * if so, and warns about first visits to other pages with issues (see checkExclusions()).
+ */
+function createExcluder({ siteUrl, excludeErrors, excludeNonHtml, excludeOffSite, exclusions, profileStr, logger }) {
+	return (result, visit, profile) => {
+		const { excluded, included } = checkExclusions(result, { siteUrl, excludeErrors, excludeNonHtml, excludeOffSite });
+		if (excluded.length > 0) {
+			if (visit === 'first') {
+				logger.warn(`⚠️  Excluding ${result.url}: ${excluded.join('; ')}${profileStr(profile)}`);
+			}
+			const { url, status, finalUrl = null, contentType = null } = result;
+			exclusions.push({ url, visit, profile: profile.name, reason: excluded.join('; '), status, finalUrl, contentType });
+			return true;
+		}
+		if (included.length > 0 && visit === 'first') {
+			logger.warn(`⚠️  ${result.url}: ${included.join('; ')}, but measured anyway${profileStr(profile)}`);
+		}
+		return false;
+	};
+}
+
+/**
+ * Creates the metadata describing a run: the tool, site, carbon model and settings. Settings that do not apply to
+ * the kind of run (e.g. scrolling, for HAR files) keep their defaults.
+ */
+function runMetadata({ siteUrl, startedAt, carbon, settings, isGreen }) {
+	return {
+		tool: {
+			name: TOOL_NAME,
+			version: TOOL_VERSION
+		},
+		siteUrl,
+		startedAt,
+		model: {
+			name: carbon.name,
+			label: carbon.label,
+			version: carbon.version,
+			intensity: carbon.intensity
+		},
+		settings: {
+			ratings: carbon.ratings,
+			segments: carbon.segments,
+			returnRatio: null,
+			event: null,
+			waitForSelector: null,
+			scroll: false,
+			observe: 0,
+			mode: null,
+			profiles: [],
+			runs: 1,
+			unstableThreshold: null,
+			maxPages: null,
+			breakdown: false,
+			recommendations: false,
+			exclude: { errors: false, nonHtml: false, offSite: false },
+			session: null,
+			sampling: null,
+			...settings
+		},
+		isGreen
+	};
+}
+
+/**
+ * Summarises the first and return visits measured with each profile into an assessment (see assessUrls()).
+ */
+function summariseAssessment(run, measured, context) {
+	const { carbon, isGreen, hosting, runs, returnRatio, sampling, breakdown, recommendations, budgets, pageViews, pageViewsPeriod, interrupted, resumed, failures, exclusions } = context;
+
+	// Compute averages of first visits (cold loads), weighted by template when sampling
+	const summarise = (results) => (sampling !== null)
+		? summariseTemplates(results, sampling.templates, carbon)
+		: { summary: summariseResults(results, carbon), templates: null };
+
+	const profileResults = measured.map(({ profile, firstVisits, returnVisits }) => {
+		if (recommendations) {
+			for (const result of firstVisits) {
+				const returnVisit = returnVisits.find(visit => visit.url === result.url) || null;
+				result.recommendations = pageRecommendations(result, returnVisit, { carbon, isGreen });
+			}
+		}
+
+		// Combine first and return visits into an average visit to each page
+		const perVisit = perVisitResults(firstVisits, returnVisits, { carbon, returnRatio, isGreen });
+		const { summary } = summarise(firstVisits);
+		if (runs > 1) {
+			// Number of pages whose size varied more than the threshold between runs
+			summary.unstable = firstVisits.filter(result => result.unstable).length;
+		}
+		return {
+			profile: { name: profile.name, label: profile.label },
+			firstVisits,
+			returnVisits,
+			summary,
+			perVisit,
+			perVisitSummary: summarise(perVisit).summary
+		};
+	});
+
+	// Results of the first profile are reported as the main results
+	const { firstVisits, returnVisits, summary, perVisit, perVisitSummary } = profileResults[0];
+	const templateSummaries = summarise(firstVisits).templates;
+
+	return {
+		...run,
+		finishedAt: new Date().toISOString(),
+		interrupted,
+		resumed,
+		firstVisits,
+		returnVisits,
+		failures,
+		exclusions,
+		summary,
+		// Heaviest resources shared across pages on first visits
+		sharedResources: breakdown ? sharedResources(firstVisits, { carbon, isGreen }) : null,
+		// Recommendations across pages on first visits, ranked by the CO2 they would save
+		recommendations: recommendations ? rankRecommendations(firstVisits) : null,
+		// Total savings of all recommendations, not only those ranked highest
+		recommendationSavings: recommendations ? recommendationSavings(firstVisits) : null,
+		budgets: (budgets !== null) ? evaluateBudgets({ firstVisits, summary }, budgets) : null,
+		templates: templateSummaries,
+		perVisit,
+		perVisitSummary,
+		profiles: profileResults,
+		projection: (pageViews !== null) ? projectEmissions(perVisit, pageViews, { period: pageViewsPeriod }) : null,
+		hosting: {
+			source: hosting.source,
+			domains: hosting.results()
+		}
+	};
+}
+
+/**
+ * Assesses a set of URLs, measuring first visits (cold loads) and return visits (warm loads).
+ *
+ * @param {string[]} urls - The URLs to assess.
+ * @param {object} [options] - Options object.
+ * @param {string} [options.siteUrl] - The website being assessed. Default: the origin of the first URL.
+ * @param {number} [options.maxPages=100] - Maximum number of pages to assess. Default: 100.
+ * @param {string} [options.model='swd'] - Carbon model: 'swd' (latest), 'swd3', 'swd4' or '1byte'. Default: 'swd'.
+ * @param {boolean} [options.ratings=true] - Whether to include carbon ratings, when supported. Default: true.
+ * @param {number|string|object} [options.gridIntensity] - Grid intensity for all segments, or per segment (see createCarbonModel()).
+ * @param {boolean} [options.segments=false] - Whether to include segmented results. Default: false.
+ * @param {string} [options.event='idle'] - When to measure page size: 'idle', 'idle0', 'idle2', 'load' or 'domcontentloaded'. Default: 'idle'.
+ * @param {string} [options.waitForSelector] - CSS selector of an element to wait for after the event. Default: none.
+ * @param {boolean} [options.scroll=false] - Whether to scroll to the bottom of each page after the event, to count lazy-loaded content. Default: false.
+ * @param {number} [options.observe=0] - How long to keep recording after the event, in milliseconds. Default: 0.
+ * @param {string} [options.mode='cdp'] - How to measure page size: 'cdp' or 'buffer'. Default: 'cdp'.
+ * @param {Array<string|object>} [options.profiles=['desktop']] - Measurement profiles to measure each page with (see
+ *   resolveProfile()), e.g. ['desktop', 'mobile']. The first profile is used for the summary, budgets, templates, per-visit
+ *   estimates and projection. Default: ['desktop'].
+ * @param {number} [options.runs=1] - Number of times to measure each page per visit type. With more than one run, results
+ *   are based on the median of the runs and include statistics (see aggregateRuns()). Default: 1.
+ * @param {number} [options.unstableThreshold=10] - Coefficient of variation of bytes between runs (percentage) above which
+ *   a page is flagged as unstable. Default: 10.
+ * @param {boolean} [options.breakdown=false] - Whether to break down each page by content type and party, and find the heaviest shared resources. Default: false.
+ * @param {boolean} [options.recommendations=false] - Whether to find ways to reduce the weight of each page, ranked
+ *   across pages by the CO2 they would save (see pageRecommendations()). Default: false.
+ * @param {boolean} [options.excludeErrors=false] - Whether to exclude pages with an HTTP status other than 2xx from
+ *   results, averages and ratings (see checkExclusions()). Default: false.
+ * @param {boolean} [options.excludeNonHtml=false] - Whether to exclude pages that are not HTML (e.g. PDFs). Default: false.
+ * @param {boolean} [options.excludeOffSite=false] - Whether to exclude pages that redirect to another website. Default: false.
+ * @param {object} [options.headers] - Extra request headers to load pages with, by name. Default: none.
+ * @param {object} [options.credentials] - Credentials for HTTP basic auth, with 'username' and 'password'. Default: none.
+ * @param {object[]} [options.cookies] - Cookies to set before loading each page (see readCookiesFile()). Default: none.
+ * @param {object} [options.login] - Journey to run once before measuring, to log in (see logIn()); the cookies of the
+ *   session are then set before loading each page. Default: none.
+ * @param {string} [options.consent='none'] - What to do with consent banners once each page has loaded: 'none' (leave
+ *   them), 'accept' or 'reject' all cookies (see handleConsent()). Default: 'none'.
+ * @param {boolean} [options.sample=false] - Whether to sample pages by template, rather than assessing the first 'maxPages'
+ *   URLs. Averages are then weighted by the number of URLs of each template. Default: false.
+ * @param {number} [options.perTemplate=3] - Number of pages to sample from each template. Default: 3.
+ * @param {string[]} [options.templates=[]] - Templates to group URLs by when sampling (e.g. '/products/:slug'); other URLs are
+ *   grouped by templates inferred from their paths (see templateFor()). Default: none.
+ * @param {number} [options.returnRatio=0.25] - Proportion of visits that are return visits, used for per-visit estimates. Default: 0.25.
+ * @param {Map|object} [options.pageViews] - Page views per URL or path, used to project site emissions. Default: none.
+ * @param {string} [options.pageViewsPeriod='month'] - The period page views were counted over: 'day', 'week', 'month' or 'year'. Default: 'month'.
+ * @param {Iterable<string>} [options.greenDomains] - Green domains to use instead of the Green Web Foundation API, for offline,
+ *   repeatable runs (see readGreenDomainsFile()). Default: none.
+ * @param {string} [options.hostingCache] - Path to a JSON file to cache green hosting lookups in. Default: none.
+ * @param {object} [options.hosting] - Green hosting checker to use, from createGreenHostingChecker(). Default: one is created
+ *   from 'greenDomains' and 'hostingCache'.
+ * @param {object} [options.budgets] - Budgets to evaluate first visits against (see budgets.js). Default: none.
+ * @param {string} [options.checkpoint] - Path to a checkpoint file to write each measurement to as it completes (see
+ *   openCheckpoint()). The file is removed once every page has been measured. Default: none.
+ * @param {boolean} [options.resume=false] - Whether to reuse measurements from the checkpoint file, if it was made with the
+ *   same settings, rather than measuring those pages again. Default: false.
+ * @param {string} [options.harDir] - Directory to write a HAR file of each measurement to, named after the page, profile
+ *   and visit type (see harFileName()). Default: none.
+ * @param {AbortSignal} [options.signal] - Signal to stop measuring. Pages being measured are finished, and the assessment
+ *   covers the pages measured so far. Default: none.
+ * @param {number} [options.concurrency=3] - Number of pages to measure in parallel; the next page is started as soon as
+ *   any finishes. Default: 3.
+ * @param {number} [options.timeout] - Maximum time to load each page, in milliseconds. Default: the profile's navigation
+ *   timeout (45000 for unthrottled profiles).
+ * @param {number} [options.retries=1] - Number of times to retry a measurement that fails with a transient error (e.g. a
+ *   timeout or dropped connection; see isTransientError()). Default: 1.
+ * @param {number} [options.retryDelay=1000] - Delay before the first retry, in milliseconds, doubling with each retry. Default: 1000.
+ * @param {number} [options.recycleAfter=0] - Number of measurements after which to relaunch the browser, to keep its
+ *   memory in check. Default: 0 (never). A browser that crashes is always relaunched.
+ * @param {object} [options.browser] - Puppeteer browser instance to use, which is not recycled. Default: a headless browser is launched.
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @param {Function} [options.onStart] - Called with the run metadata before any pages are measured.
+ * @param {Function} [options.onResult] - Called with each measurement result and its visit type ('first' or 'return') as it completes.
+ * @returns {Promise<object>} Assessment with 'tool', 'siteUrl', 'startedAt', 'finishedAt', 'interrupted' (whether measuring
+ *   was stopped by the signal), 'resumed' (the number of measurements reused from the checkpoint), 'model', 'settings', 'isGreen',
+ *   'firstVisits', 'returnVisits', 'failures', 'exclusions' (pages left out, each with 'url', 'visit', 'profile', 'reason',
+ *   'status', 'finalUrl' and 'contentType'), 'summary' (with 'unstable', the number of unstable pages, when measuring
+ *   several runs), 'profiles' (the 'profile', 'firstVisits', 'returnVisits',
+ *   'summary', 'perVisit' and 'perVisitSummary' of each profile), 'sharedResources' (when breaking down pages),
+ *   'recommendations' (from rankRecommendations(), when finding recommendations, with those of each page in its first
+ *   visit), 'recommendationSavings' (from recommendationSavings(), when finding recommendations) and
+ *   'budgets' (the evaluation from evaluateBudgets(), when budgets are given), 'templates' (averages per template, when
+ *   sampling), 'perVisit' and 'perVisitSummary'
+ *   (combining first and return visits), 'projection' (from projectEmissions(), when page views are given) and 'hosting'
+ *   (the 'source' of green hosting results and whether each domain checked is green, in 'domains').
+ * @throws {NoUrlsError} If there are no URLs to assess.
+ * @throws {InvalidUrlError} If any of the URLs is invalid.
+ * @throws {InvalidOptionError} If an option has an unsupported value.
+ * @throws {LoginError} If the login journey could not be completed.
+ */
+export async function assessUrls(urls, options = {}) {
+	const {
+		maxPages = 100,
+		model = 'swd',
+		ratings = true,
+		gridIntensity = null,
+		segments = false,
+		event = 'idle',
+		waitForSelector = null,
+		scroll = false,
+		observe = 0,
+		mode = 'cdp',
+		profiles = ['desktop'],
+		runs = 1,
+		unstableThreshold = DEFAULT_UNSTABLE_THRESHOLD,
+		excludeErrors = false,
+		excludeNonHtml = false,
+		excludeOffSite = false,
+		headers = {},
+		credentials = null,
+		cookies = [],
+		login = null,
+		consent = 'none',
+		budgets = null,
+		sample = false,
+		perTemplate = 3,
+		templates = [],
+		returnRatio = 0.25,
+		pageViews = null,
+		pageViewsPeriod = 'month',
+		greenDomains = null,
+		hostingCache = null,
+		checkpoint = null,
+		resume = false,
+		harDir = null,
+		recommendations = false,
+		signal = null,
+		concurrency = 3,
+		timeout = null,
+		retries = 1,
+		retryDelay = DEFAULT_RETRY_DELAY,
+		recycleAfter = 0,
+		logger = silentLogger,
+		onStart = null,
+		onResult = null
+	} = options;
+
+	if (!Array.isArray(urls) || urls.length === 0) {
+		throw new NoUrlsError();
+	}
+
+	for (const url of urls) {
+		try {
+			new URL(url);
+		} catch (e) {
+			throw new InvalidUrlError(url, { cause: e });
+		}
+	}
+
+	validateMeasureOptions({ event, mode, observe });
+	validateRunOptions({ runs, unstableThreshold });
+	validatePoolOptions({ concurrency, retries, retryDelay, recycleAfter, timeout });
+	let session = validateSession({ headers, credentials, cookies, consent });
+	const loginJourney = (login !== null) ? validateJourney(login) : null;
+	validateReturnRatio(returnRatio);
+	if (pageViews !== null && !PAGE_VIEW_PERIODS[pageViewsPeriod]) {
+		throw new InvalidOptionError(`Unsupported page views period: ${pageViewsPeriod}`);
+	}
+	const measureProfiles = resolveProfiles(profiles);
+
+	// Budgets for content types need pages to be broken down
+	const breakdown = !!options.breakdown || (budgets !== null && budgetsNeedBreakdown(budgets));
+
+	const carbon = createCarbonModel({ model, ratings, gridIntensity, segments });
+	if (budgets !== null) {
+		validateBudgets(budgets, { ratings: carbon.ratings });
+	}
+	const startedAt = new Date().toISOString();
+
+	// Use the origin of the first URL as the siteUrl for green hosting check
+	const siteUrl = options.siteUrl || new URL(urls[0]).origin;
+
+	// Check if hosting is green; each domain serving resources is also checked as pages are measured
+	const hosting = options.hosting || createGreenHostingChecker({ greenDomains, cacheFile: hostingCache, logger });
+	const isGreen = await hosting.check(new URL(siteUrl).hostname);
+	if (isGreen) {
+		logger.info(`🌿 Hosting for '${new URL(siteUrl).hostname}' is green!`);
+	}
+
+	// Start looping through URLs
+	let sampling = null;
+	let pageUrls;
+	if (sample) {
+		// Sample pages by template, up to maxPages
+		sampling = sampleUrls(urls, { perTemplate, templates, maxPages });
+		pageUrls = sampling.urls;
+		logger.info(`\n🌍 Assessing ${siteUrl} (sampling ${pageUrls.length} pages from ${sampling.templates.length} templates of ${urls.length} URLs)...`);
+	} else {
+		const maxPagesStr = (urls.length > maxPages) ? ` (limiting to ${maxPages} pages)` : '';
+		logger.info(`\n🌍 Assessing ${siteUrl}${maxPagesStr}...`);
+
+		// Limit to maxPages
+		pageUrls = urls.slice(0, maxPages);
+	}
+
+	// Metadata describing the run
+	const run = runMetadata({
+		siteUrl,
+		startedAt,
+		carbon,
+		settings: {
+			returnRatio,
+			event,
+			waitForSelector,
+			scroll,
+			observe,
+			mode,
+			profiles: measureProfiles.map(profileRecord),
+			runs,
+			unstableThreshold: (runs > 1) ? unstableThreshold : null,
+			maxPages,
+			breakdown,
+			recommendations,
+			exclude: { errors: excludeErrors, nonHtml: excludeNonHtml, offSite: excludeOffSite },
+			session: sessionRecord(session, loginJourney),
+			sampling: sample ? { perTemplate, templates } : null
+		},
+		isGreen
+	});
+
+	if (typeof onStart === 'function') {
+		onStart(run);
+	}
+
+	// Write each measurement to the checkpoint as it completes, reusing any made with the same settings when resuming
+	const checkpointed = (checkpoint !== null) ? openCheckpoint(checkpoint, run, { resume, logger }) : null;
+	let resumed = 0;
+
+	if (harDir !== null) {
+		try {
+			fs.mkdirSync(harDir, { recursive: true });
+		} catch (e) {
+			throw new ScorecardError(`Could not create HAR directory ${harDir}: ${e.message}`, { cause: e });
+		}
+	}
+
+	// Launch headless browser, unless one was provided, leaving interrupts to the signal when there is one
+	const browsers = options.browser
+		? createBrowserRecycler(async () => options.browser, { close: false, logger })
+		: createBrowserRecycler(() => puppeteer.launch({ headless: "new", handleSIGINT: signal === null }), { recycleAfter, logger });
+	await browsers.ready();
+
+	// Log in once, then set the cookies of the session before loading each page, so it carries over relaunched browsers
+	if (loginJourney !== null) {
+		try {
+			const lease = await browsers.acquire();
+			try {
+				const sessionCookies = await logIn(lease.browser, loginJourney, { session, event, profile: measureProfiles[0], timeout, logger });
+				session = { ...session, cookies: sessionCookies };
+			} finally {
+				lease.release();
+			}
+		} catch (e) {
+			await browsers.close();
+			throw e;
+		}
+	}
+
+	const failures = [];
+	const exclusions = [];
+	const profileStr = (profile) => (measureProfiles.length > 1) ? ` (${profile.label})` : '';
+	const pageOptions = { isGreen, hosting, event, waitForSelector, scroll, observe, mode, timeout, session, carbon, logger };
+
+	// Measure a page once, retrying transient failures. A return visit needs the cache warmed by a first visit in the
+	// same browser, so the page is loaded beforehand if it was not (e.g. the browser was relaunched since, or the first
+	// visit was restored from the checkpoint).
+	const warmedIn = new Map();
+	const measureOnce = (url, clearCache, profile, run = null) => withRetries(async () => {
+		const lease = await browsers.acquire();
+		const key = `${profile.name} ${url}`;
+		const harFile = (harDir !== null)
+			? path.join(harDir, harFileName(url, { visit: clearCache ? 'first' : 'return', profile: profile.name, run }))
+			: null;
+		try {
+			if (!clearCache && warmedIn.get(key) !== lease.generation) {
+				await measurePage(lease.browser, url, { ...pageOptions, profile }).catch(() => null);
+			}
+			const result = await measurePage(lease.browser, url, { ...pageOptions, clearCache, profile, harFile, inspect: recommendations && clearCache });
+			warmedIn.set(key, lease.generation);
+			return result;
+		} finally {
+			lease.release();
+		}
+	}, {
+		retries,
+		retryDelay,
+		onRetry: (e, attempt, delay) => logger.warn(`🔁 ${e.message}; retrying in ${delay / 1000} s (attempt ${attempt}/${retries + 1})${profileStr(profile)}`)
+	});
+
+	// Measure a page once, or several times in turn and aggregate the runs, tolerating runs that fail
+	const measureRuns = async (url, clearCache, profile) => {
+		if (runs === 1) {
+			return measureOnce(url, clearCache, profile);
+		}
+
+		const results = [];
+		let lastError = null;
+		for (let i = 1; i <= runs; i++) {
+			try {
+				results.push(await measureOnce(url, clearCache, profile, i));
+			} catch (e) {
+				logger.warn(`⚠️  ${e.message} (run ${i}/${runs})${profileStr(profile)}`);
+				lastError = e;
+			}
+		}
+		if (results.length === 0) {
+			throw lastError;
+		}
+
+		return aggregateRuns(results, { carbon, unstableThreshold, failed: runs - results.length });
+	};
+
+	// Reuse a measurement from the checkpoint, checking the domains of its resources so that hosting results are complete
+	const restore = async (url, clearCache, profile) => {
+		const result = checkpointed.get(url, clearCache ? 'first' : 'return', profile.name);
+		await hosting.checkDomains(result.resources.map(resource => resource.domain));
+		resumed++;
+		return result;
+	};
+
+	const measureOrRestore = async (url, clearCache, profile) => {
+		const visit = clearCache ? 'first' : 'return';
+		if (checkpointed === null) {
+			return measureRuns(url, clearCache, profile);
+		}
+		if (checkpointed.get(url, visit, profile.name)) {
+			return restore(url, clearCache, profile);
+		}
+
+		const result = await measureRuns(url, clearCache, profile);
+		if (breakdown) {
+			result.breakdown = pageBreakdown(result.resources, { siteUrl, carbon, isGreen });
+		}
+		checkpointed.save(result, visit, profile.name);
+		return result;
+	};
+
+	// Leave out pages that should not count towards averages, warning about first visits to other pages with issues
+	const exclude = createExcluder({ siteUrl, excludeErrors, excludeNonHtml, excludeOffSite, exclusions, profileStr, logger });
+
+	const measure = (url, clearCache, profile) => measureOrRestore(url, clearCache, profile)
+		.then((result) => {
+			if (exclude(result, clearCache ? 'first' : 'return', profile)) {
+				return null;
+			}
+			if (breakdown && !result.breakdown) {
+				result.breakdown = pageBreakdown(result.resources, { siteUrl, carbon, isGreen });
+			}
+			if (typeof onResult === 'function') {
+				onResult(result, clearCache ? 'first' : 'return');
+			}
+			return result;
+		})
+		.catch((e) => {
+			if (runs === 1) {
+				logger.warn(`⚠️  ${e.message}${profileStr(profile)}`);
+			}
+			failures.push({ url, visit: clearCache ? 'first' : 'return', profile: profile.name, error: e });
+			return null;
+		});
+
+	// Measure each page with each profile in turn, until stopped by the signal
+	const isAborted = () => !!signal && signal.aborted;
+	const runsStr = (runs > 1) ? ` (${runs} runs each)` : '';
+	const measured = [];
+	try {
+		for (const profile of measureProfiles) {
+			if (measureProfiles.length > 1) {
+				logger.info(`\n📱 Profile: ${profile.label}`);
+			}
+
+			// First visits (cold loads)
+			logger.info(`\n🔄 Measuring first visits${runsStr}...`);
+			const firstVisits = await processInPool(pageUrls, concurrency, (url) => measure(url, true, profile), { logger, signal });
+			firstVisits.sort(sortAlphabetically);
+
+			// Return visits (warm loads)
+			let returnVisits = [];
+			if (!isAborted()) {
+				logger.info(`\n💾 Measuring return visits${runsStr}...`);
+				returnVisits = await processInPool(pageUrls, concurrency, (url) => measure(url, false, profile), { logger, signal });
+				returnVisits.sort(sortAlphabetically);
+			}
+
+			measured.push({ profile, firstVisits, returnVisits });
+			if (isAborted()) {
+				break;
+			}
+		}
+	} finally {
+		await browsers.close();
+		hosting.save();
+	}
+
+	const interrupted = isAborted();
+	if (interrupted) {
+		logger.warn(`\n⏹️  Stopped early, so results only cover the pages measured so far`);
+	} else if (checkpointed !== null && failures.length === 0) {
+		// Keep the checkpoint while there are failures, so that resuming measures only the pages that failed
+		checkpointed.remove();
+	}
+
+	return summariseAssessment(run, measured, {
+		carbon,
+		isGreen,
+		hosting,
+		runs,
+		returnRatio,
+		sampling,
+		breakdown,
+		recommendations,
+		budgets,
+		pageViews,
+		pageViewsPeriod,
+		interrupted,
+		resumed,
+		failures,
+		exclusions
+	});
+}
+
+/**
+ * Assesses a website, using its site map to find URLs or falling back to crawling the site.
+ *
+ * @param {string} siteUrl - The root URL of the site to assess.
+ * @param {object} [options] - Options object. See assessUrls() and discoverUrls() for supported options.
+ * @returns {Promise<object>} Assessment. See assessUrls().
+ * @throws {InvalidUrlError} If the site URL is invalid.
+ * @throws {NoUrlsError} If no URLs could be found to assess.
+ */
+export async function assessSite(siteUrl, options = {}) {
+	try {
+		new URL(siteUrl);
+	} catch (e) {
+		throw new InvalidUrlError(siteUrl, { cause: e });
+	}
+
+	const urls = await discoverUrls(siteUrl, options);
+
+	// No URLs were found
+	if (urls.length === 0) {
+		throw new NoUrlsError();
+	}
+
+	return assessUrls(urls, { ...options, siteUrl });
+}
+
+/**
+ * Assesses pages recorded in HAR files (e.g. exported by measurePage() or browser developer tools), with the same
+ * byte counting, breakdown, carbon estimates and ratings as assessUrls() but without a browser or network.
+ *
+ * HAR files exported by the scorecard record the visit type and profile of each page; pages in other HAR files are
+ * first visits, with the 'recorded' profile. A page recorded more than once with the same profile and visit type (e.g.
+ * exported from several runs) is aggregated as several runs (see aggregateRuns()).
+ *
+ * @param {object[]} hars - HARs, e.g. from readHarFile().
+ * @param {object} [options] - Options object. Supports the options of assessUrls() that do not affect how pages are
+ *   loaded: 'model', 'ratings', 'gridIntensity', 'segments', 'unstableThreshold', 'breakdown', 'excludeErrors',
+ *   'excludeNonHtml', 'excludeOffSite', 'budgets', 'returnRatio', 'pageViews', 'pageViewsPeriod', 'greenDomains',
+ *   'hostingCache', 'hosting', 'siteUrl', 'recommendations', 'logger', 'onStart' and 'onResult'. Green hosting is
+ *   checked with the Green Web Foundation API unless 'greenDomains' or 'hosting' are given. Pages are not inspected,
+ *   so recommendations do not include oversized images or unused fonts.
+ * @returns {Promise<object>} Assessment, as from assessUrls(), with 'mode' set to 'har' and 'event' to null in its settings.
+ * @throws {NoUrlsError} If there are no pages in the HAR files.
+ * @throws {InvalidOptionError} If an option has an unsupported value.
+ */
+export async function assessHar(hars, options = {}) {
+	const {
+		model = 'swd',
+		ratings = true,
+		gridIntensity = null,
+		segments = false,
+		unstableThreshold = DEFAULT_UNSTABLE_THRESHOLD,
+		excludeErrors = false,
+		excludeNonHtml = false,
+		excludeOffSite = false,
+		budgets = null,
+		returnRatio = 0.25,
+		pageViews = null,
+		pageViewsPeriod = 'month',
+		greenDomains = null,
+		hostingCache = null,
+		recommendations = false,
+		logger = silentLogger,
+		onStart = null,
+		onResult = null
+	} = options;
+
+	const pages = Array.isArray(hars) ? hars.flatMap(har => harPages(har)) : [];
+	if (pages.length === 0) {
+		throw new NoUrlsError("No pages found in the HAR files");
+	}
+
+	validateRunOptions({ runs: 1, unstableThreshold });
+	validateReturnRatio(returnRatio);
+	if (pageViews !== null && !PAGE_VIEW_PERIODS[pageViewsPeriod]) {
+		throw new InvalidOptionError(`Unsupported page views period: ${pageViewsPeriod}`);
+	}
+	const breakdown = !!options.breakdown || (budgets !== null && budgetsNeedBreakdown(budgets));
+
+	const carbon = createCarbonModel({ model, ratings, gridIntensity, segments });
+	if (budgets !== null) {
+		validateBudgets(budgets, { ratings: carbon.ratings });
+	}
+	const startedAt = new Date().toISOString();
+
+	// Use the origin of the first page as the siteUrl for green hosting check
+	const siteUrl = options.siteUrl || new URL(pages[0].url).origin;
+
+	const hosting = options.hosting || createGreenHostingChecker({ greenDomains, cacheFile: hostingCache, logger });
+	const isGreen = await hosting.check(new URL(siteUrl).hostname);
+	if (isGreen) {
+		logger.info(`🌿 Hosting for '${new URL(siteUrl).hostname}' is green!`);
+	}
+
+	logger.info(`\n🌍 Assessing ${siteUrl} (${pages.length} ${pages.length === 1 ? 'page' : 'pages'} from ${hars.length} HAR ${hars.length === 1 ? 'file' : 'files'})...`);
+
+	// Group the measurements by profile, visit type and page, in the order they were recorded
+	const groups = new Map();
+	for (const har of hars) {
+		for (const { visit, result } of await measureHar(har, { isGreen, hosting, carbon })) {
+			const key = `${result.profile} ${visit} ${result.url}`;
+			if (!groups.has(key)) {
+				groups.set(key, { profile: result.profile, visit, results: [] });
+			}
+			groups.get(key).results.push(result);
+		}
+	}
+	const runs = Math.max(...[...groups.values()].map(group => group.results.length));
+
+	// Built-in profiles are described as they were measured; the settings of others are not known
+	const measureProfiles = [...new Set([...groups.values()].map(group => group.profile))].map(name => PROFILES[name]
+		? resolveProfile(name)
+		: { name, label: (name === 'recorded') ? "As recorded" : name, viewport: null, userAgent: null, network: null, cpuThrottling: null });
+
+	const run = runMetadata({
+		siteUrl,
+		startedAt,
+		carbon,
+		settings: {
+			returnRatio,
+			mode: 'har',
+			profiles: measureProfiles.map(profileRecord),
+			runs,
+			unstableThreshold: (runs > 1) ? unstableThreshold : null,
+			breakdown,
+			recommendations,
+			exclude: { errors: excludeErrors, nonHtml: excludeNonHtml, offSite: excludeOffSite }
+		},
+		isGreen
+	});
+
+	if (typeof onStart === 'function') {
+		onStart(run);
+	}
+
+	const exclusions = [];
+	const profileStr = (profile) => (measureProfiles.length > 1) ? ` (${profile.label})` : '';
+	const exclude = createExcluder({ siteUrl, excludeErrors, excludeNonHtml, excludeOffSite, exclusions, profileStr, logger });
+
+	const measured = measureProfiles.map(profile => ({ profile, firstVisits: [], returnVisits: [] }));
+	for (const { profile: name, visit, results } of groups.values()) {
+		const { profile, firstVisits, returnVisits } = measured.find(item => item.profile.name === name);
+		const result = (results.length > 1) ? aggregateRuns(results, { carbon, unstableThreshold, failed: 0 }) : results[0];
+		if (exclude(result, visit, profile)) {
+			continue;
+		}
+		if (breakdown) {
+			result.breakdown = pageBreakdown(result.resources, { siteUrl, carbon, isGreen });
+		}
+		if (typeof onResult === 'function') {
+			onResult(result, visit);
+		}
+		(visit === 'first' ? firstVisits : returnVisits).push(result);
+	}
+	for (const { firstVisits, returnVisits } of measured) {
+		firstVisits.sort(sortAlphabetically);
+		returnVisits.sort(sortAlphabetically);
+	}
+	hosting.save();
+
+	return summariseAssessment(run, measured, {
+		carbon,
+		isGreen,
+		hosting,
+		runs,
+		returnRatio,
+		sampling: null,
+		breakdown,
+		recommendations,
+		budgets,
+		pageViews,
+		pageViewsPeriod,
+		interrupted: false,
+		resumed: 0,
+		failures: [],
+		exclusions
+	});
+}
+
+/**
+ * Assesses user journeys, running the steps of each journey in one continuous browser session.
+ *
+ * @param {object[]} journeys - Journeys, each with 'name' and 'steps' (see validateJourney() and readJourneyFile()).
+ * @param {object} [options] - Options object.
+ * @param {string} [options.model='swd'] - Carbon model: 'swd' (latest), 'swd3', 'swd4' or '1byte'. Default: 'swd'.
+ * @param {boolean} [options.ratings=true] - Whether to include carbon ratings, when supported. Default: true.
+ * @param {number|string|object} [options.gridIntensity] - Grid intensity for all segments, or per segment (see createCarbonModel()).
+ * @param {boolean} [options.segments=false] - Whether to include segmented results. Default: false.
+ * @param {string} [options.event='idle'] - When 'goto' steps finish: 'idle', 'idle0', 'idle2', 'load' or 'domcontentloaded'. Default: 'idle'.
+ * @param {string} [options.mode='cdp'] - How to measure size: 'cdp' or 'buffer'. Default: 'cdp'.
+ * @param {Array<string|object>} [options.profiles=['desktop']] - Measurement profiles to run each journey with (see
+ *   resolveProfile()). Default: ['desktop'].
+ * @param {number} [options.timeout] - Maximum time for each step, in milliseconds, unless the step sets its own. Default:
+ *   the profile's navigation timeout (45000 for unthrottled profiles).
+ * @param {boolean} [options.breakdown=false] - Whether to break down each step by content type and party. Default: false.
+ * @param {object} [options.headers] - Extra request headers to run journeys with, by name. Default: none.
+ * @param {object} [options.credentials] - Credentials for HTTP basic auth, with 'username' and 'password'. Default: none.
+ * @param {object[]} [options.cookies] - Cookies to set before each journey (see readCookiesFile()). Default: none.
+ * @param {object} [options.login] - Journey to run once beforehand, to log in (see logIn()). Default: none.
+ * @param {string} [options.consent='none'] - What to do with consent banners after 'goto' steps: 'none', 'accept' or
+ *   'reject'. Default: 'none'.
+ * @param {Iterable<string>} [options.greenDomains] - Green domains to use instead of the Green Web Foundation API. Default: none.
+ * @param {string} [options.hostingCache] - Path to a JSON file to cache green hosting lookups in. Default: none.
+ * @param {object} [options.hosting] - Green hosting checker to use, from createGreenHostingChecker(). Default: one is created
+ *   from 'greenDomains' and 'hostingCache'.
+ * @param {object} [options.browser] - Puppeteer browser instance to use. Default: a headless browser is launched.
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @param {Function} [options.onStart] - Called with the run metadata before any journeys are run.
+ * @param {Function} [options.onResult] - Called with each journey result as it completes.
+ * @returns {Promise<object>} Assessment with 'tool', 'siteUrl', 'startedAt', 'finishedAt', 'model', 'settings', 'isGreen',
+ *   'journeys' (results from runJourney(), for each journey with each profile), 'failures' (each with 'journey', 'profile',
+ *   'step' and 'error') and 'hosting'.
+ * @throws {InvalidOptionError} If there are no journeys, or a journey or option is invalid.
+ * @throws {LoginError} If the login journey could not be completed.
+ */
+export async function assessJourneys(journeys, options = {}) {
+	const {
+		model = 'swd',
+		ratings = true,
+		gridIntensity = null,
+		segments = false,
+		event = 'idle',
+		mode = 'cdp',
+		profiles = ['desktop'],
+		timeout = null,
+		breakdown = false,
+		headers = {},
+		credentials = null,
+		cookies = [],
+		login = null,
+		consent = 'none',
+		greenDomains = null,
+		hostingCache = null,
+		logger = silentLogger,
+		onStart = null,
+		onResult = null
+	} = options;
+
+	if (!Array.isArray(journeys) || journeys.length === 0) {
+		throw new InvalidOptionError("No journeys to assess");
+	}
+	const validJourneys = journeys.map((journey, index) => validateJourney(journey, index));
+	const measureProfiles = resolveProfiles(profiles);
+	validateMeasureOptions({ event, mode });
+	if (timeout !== null && (!Number.isFinite(timeout) || timeout <= 0)) {
+		throw new InvalidOptionError(`Invalid timeout: ${timeout}`);
+	}
+	let session = validateSession({ headers, credentials, cookies, consent });
+	const loginJourney = (login !== null) ? validateJourney(login) : null;
+
+	const carbon = createCarbonModel({ model, ratings, gridIntensity, segments });
+	const startedAt = new Date().toISOString();
+
+	// Use the origin where the first journey starts as the siteUrl for green hosting check
+	const siteUrl = options.siteUrl || new URL(validJourneys[0].steps[0].url).origin;
+
+	const hosting = options.hosting || createGreenHostingChecker({ greenDomains, cacheFile: hostingCache, logger });
+	const isGreen = await hosting.check(new URL(siteUrl).hostname);
+	if (isGreen) {
+		logger.info(`🌿 Hosting for '${new URL(siteUrl).hostname}' is green!`);
+	}
+
+	const profilesStr = (measureProfiles.length > 1) ? ` with ${measureProfiles.length} profiles` : '';
+	logger.info(`\n🧭 Running ${validJourneys.length} ${validJourneys.length === 1 ? 'journey' : 'journeys'}${profilesStr}...`);
+
+	const run = runMetadata({
+		siteUrl,
+		startedAt,
+		carbon,
+		settings: {
+			event,
+			mode,
+			profiles: measureProfiles.map(profileRecord),
+			breakdown,
+			session: sessionRecord(session, loginJourney)
+		},
+		isGreen
+	});
+
+	if (typeof onStart === 'function') {
+		onStart(run);
+	}
+
+	const browser = options.browser || await puppeteer.launch({ headless: "new" });
+
+	// Journeys run one at a time, so that steps are not slowed down by other journeys
+	const runs = measureProfiles.flatMap(profile => validJourneys.map(journey => ({ journey, profile })));
+	const results = [];
+	const failures = [];
+	try {
+		if (loginJourney !== null) {
+			const sessionCookies = await logIn(browser, loginJourney, { session, event, profile: measureProfiles[0], timeout, logger });
+			session = { ...session, cookies: sessionCookies };
+		}
+
+		for (const [i, { journey, profile }] of runs.entries()) {
+			logger.progress(`> Running journey ${i + 1}/${runs.length}...\r`);
+			try {
+				const result = await runJourney(browser, journey, { isGreen, hosting, event, mode, profile, timeout, session, carbon, logger });
+				if (breakdown) {
+					for (const step of result.steps) {
+						step.breakdown = pageBreakdown(step.resources, { siteUrl, carbon, isGreen });
+					}
+				}
+				if (typeof onResult === 'function') {
+					onResult(result);
+				}
+				results.push(result);
+			} catch (e) {
+				logger.warn(`⚠️  ${e.message}${(measureProfiles.length > 1) ? ` (${profile.label})` : ''}`);
+				failures.push({ journey: journey.name, profile: profile.name, step: e.step || null, error: e });
+			}
+		}
+	} finally {
+		if (!options.browser) {
+			await browser.close();
+		}
+		hosting.save();
+	}
+
+	return {
+		...run,
+		finishedAt: new Date().toISOString(),
+		journeys: results,
+		failures,
+		hosting: {
+			source: hosting.source,
+			domains: hosting.results()
+		}
+	};
+}
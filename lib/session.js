@@ -0,0 +1,390 @@
+/**
+ * session.js
+ *
+ * Measuring pages as a signed-in or consenting visitor: extra request headers, HTTP basic auth, cookies and consent
+ * banners.
+ *
+ * Pages behind a login (e.g. account areas, checkout or an intranet) can be measured with cookies from a cookie jar
+ * file, or from a login journey run once before measuring (see logIn() in journeys.js). Cookies are set before each
+ * page is loaded, so the session carries over when the browser is relaunched.
+ *
+ * Consent banners can be accepted or rejected after each page loads, so that pages can be measured with and without
+ * the third-party tags that consent allows.
+ */
+
+import fs from "fs";
+import { URL } from "url";
+import { isFirstParty } from "./breakdown.js";
+import { InputFileError, InvalidOptionError } from "./errors.js";
+import { silentLogger } from "./logger.js";
+
+// What to do with consent banners: leave them, or accept or reject all cookies
+export const CONSENT_MODES = ['none', 'accept', 'reject'];
+
+// Buttons of common consent management platforms
+const CONSENT_BUTTONS = {
+	accept: [
+		'#onetrust-accept-btn-handler', // OneTrust
+		'#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', // Cookiebot
+		'#didomi-notice-agree-button', // Didomi
+		'#truste-consent-button', // TrustArc
+		'.qc-cmp2-summary-buttons button[mode="primary"]', // Quantcast
+		'.cky-btn-accept', // CookieYes
+		'.cmplz-accept', // Complianz
+		'.osano-cm-accept-all', // Osano
+		'#ccc-notify-accept', // Civic Cookie Control
+		'[data-cookiefirst-action="accept"]' // CookieFirst
+	],
+	reject: [
+		'#onetrust-reject-all-handler',
+		'#CybotCookiebotDialogBodyButtonDecline',
+		'#didomi-notice-disagree-button',
+		'#truste-consent-required',
+		'.qc-cmp2-summary-buttons button[mode="secondary"]',
+		'.cky-btn-reject',
+		'.cmplz-deny',
+		'.osano-cm-denyAll',
+		'#ccc-notify-reject',
+		'[data-cookiefirst-action="reject"]'
+	]
+};
+
+// Labels of buttons that accept or reject all cookies, for banners of other platforms
+const CONSENT_LABELS = {
+	accept: "^(ok|okay|got it|i agree|agree|accept|allow|accept all|allow all|(accept|allow)( all)? cookies|accept and (close|continue))$",
+	reject: "^(reject|decline|deny|refuse|(reject|decline|deny|refuse) all|(reject|decline|refuse)( all)? cookies|((use|accept|allow) )?(only )?(strictly )?(necessary|essential)( cookies)?( only)?|continue without accepting)$"
+};
+
+// Elements that contain consent banners, whose buttons are matched by label
+const CONSENT_CONTAINERS = [
+	'cookie', 'consent', 'gdpr', 'cmp', 'privacy'
+].flatMap(word => [`[id*="${word}" i]`, `[class*="${word}" i]`, `[aria-label*="${word}" i]`]).join(', ');
+
+// Frames that show consent banners (e.g. Sourcepoint), where any button is matched by label
+const CONSENT_FRAMES = /consent|cookie|gdpr|cmp|privacy|sp_message/i;
+
+// How long to look for a consent banner after the page loads, in milliseconds, as banners are often added by scripts
+const CONSENT_WAIT = 1000;
+const CONSENT_POLL = 250;
+
+// Valid HTTP header names
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// Values of the SameSite attribute of cookies, as exported by browsers and browser extensions
+const SAME_SITE = {
+	'strict': 'Strict',
+	'lax': 'Lax',
+	'none': 'None',
+	'no_restriction': 'None'
+};
+
+/**
+ * Parses extra request headers.
+ *
+ * @param {string[]} headers - Headers, each as 'Name: value'.
+ * @returns {object} Header values by name.
+ * @throws {InvalidOptionError} If a header is invalid.
+ */
+export function parseHeaders(headers) {
+	const parsed = {};
+	for (const header of headers) {
+		const separator = header.indexOf(':');
+		const name = header.slice(0, separator).trim();
+		if (separator < 1 || !HEADER_NAME.test(name)) {
+			throw new InvalidOptionError(`Invalid header: ${header} (use 'Name: value')`);
+		}
+		parsed[name] = header.slice(separator + 1).trim();
+	}
+	return parsed;
+}
+
+/**
+ * Parses credentials for HTTP basic auth.
+ *
+ * @param {string} value - Credentials, as 'username:password'.
+ * @returns {object} Credentials with 'username' and 'password'.
+ * @throws {InvalidOptionError} If the credentials have no username.
+ */
+export function parseCredentials(value) {
+	const separator = value.indexOf(':');
+	const username = (separator === -1) ? value : value.slice(0, separator);
+	if (!username) {
+		throw new InvalidOptionError("Invalid credentials for basic auth (use 'username:password')");
+	}
+	return { username, password: (separator === -1) ? '' : value.slice(separator + 1) };
+}
+
+/**
+ * Normalises a cookie to the parameters Chrome sets cookies with.
+ */
+function normaliseCookie(cookie) {
+	if (!cookie || typeof cookie !== 'object' || !cookie.name || cookie.value === undefined) {
+		throw new Error("every cookie needs a 'name' and 'value'");
+	}
+	if (!cookie.domain && !cookie.url) {
+		throw new Error(`cookie '${cookie.name}' needs a 'domain' or 'url'`);
+	}
+
+	const normalised = { name: String(cookie.name), value: String(cookie.value) };
+	for (const property of ['url', 'domain', 'path']) {
+		if (cookie[property]) {
+			normalised[property] = String(cookie[property]);
+		}
+	}
+	if (cookie.secure) {
+		normalised.secure = true;
+	}
+	if (cookie.httpOnly) {
+		normalised.httpOnly = true;
+	}
+	const sameSite = SAME_SITE[String(cookie.sameSite || '').toLowerCase()];
+	if (sameSite) {
+		normalised.sameSite = sameSite;
+	}
+	// Session cookies have no expiry, or an expiry of 0 or -1
+	const expires = Number(cookie.expires ?? cookie.expirationDate);
+	if (expires > 0) {
+		normalised.expires = expires;
+	}
+
+	return normalised;
+}
+
+/**
+ * Parses cookies in the Netscape cookies.txt format, as exported by curl and browser extensions.
+ */
+function parseCookiesTxt(contents) {
+	const cookies = [];
+	for (let line of contents.split(/\r?\n/)) {
+		let httpOnly = false;
+		if (line.startsWith('#HttpOnly_')) {
+			httpOnly = true;
+			line = line.slice('#HttpOnly_'.length);
+		} else if (line.startsWith('#') || line.trim() === '') {
+			continue;
+		}
+
+		const fields = line.split("\t");
+		if (fields.length < 7) {
+			throw new Error(`not a line of a cookies.txt file: ${line}`);
+		}
+		const [domain, , path, secure, expires, name, ...value] = fields;
+		cookies.push({ domain, path, secure: secure.toUpperCase() === 'TRUE', expires: Number(expires), name, value: value.join("\t"), httpOnly });
+	}
+	return cookies;
+}
+
+/**
+ * Reads cookies from a cookie jar file.
+ *
+ * The file can be JSON (a list of cookies, as exported by Puppeteer and browser extensions, or an object with a list of
+ * 'cookies', as saved by Playwright) or the Netscape cookies.txt format (as exported by curl and browser extensions).
+ *
+ * @param {string} filePath - The path to the cookie jar file.
+ * @returns {Promise<object[]>} Cookies, each with 'name', 'value' and 'domain' or 'url', and optionally 'path',
+ *   'secure', 'httpOnly', 'sameSite' and 'expires'.
+ * @throws {InputFileError} If the file cannot be read or parsed, or a cookie is invalid.
+ */
+export async function readCookiesFile(filePath) {
+	try {
+		const contents = fs.readFileSync(filePath, 'utf8');
+		let cookies;
+		if (/^\s*[[{]/.test(contents)) {
+			const data = JSON.parse(contents);
+			cookies = Array.isArray(data) ? data : (data && data.cookies);
+			if (!Array.isArray(cookies)) {
+				throw new Error("expected a list of cookies");
+			}
+		} else {
+			cookies = parseCookiesTxt(contents);
+		}
+		return cookies.map(normaliseCookie);
+	} catch (e) {
+		throw new InputFileError(filePath, { cause: e });
+	}
+}
+
+/**
+ * Validates the session pages are measured with, filling in defaults.
+ *
+ * @param {object} [session] - Session options.
+ * @param {object} [session.headers] - Extra request headers, by name. Default: none.
+ * @param {object} [session.credentials] - Credentials for HTTP basic auth, with 'username' and 'password'. Default: none.
+ * @param {object[]} [session.cookies] - Cookies to set (see readCookiesFile()). Default: none.
+ * @param {string} [session.consent='none'] - What to do with consent banners: 'none' (leave them), 'accept' or 'reject'. Default: 'none'.
+ * @returns {object} Session with 'headers', 'credentials', 'cookies' and 'consent'.
+ * @throws {InvalidOptionError} If an option is invalid.
+ */
+export function validateSession(session = {}) {
+	const {
+		headers = {},
+		credentials = null,
+		cookies = [],
+		consent = 'none'
+	} = session;
+
+	if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+		throw new InvalidOptionError("Extra headers must be an object of header values by name");
+	}
+	for (const name of Object.keys(headers)) {
+		if (!HEADER_NAME.test(name)) {
+			throw new InvalidOptionError(`Invalid header name: ${name}`);
+		}
+	}
+	if (credentials !== null && (typeof credentials !== 'object' || !credentials.username)) {
+		throw new InvalidOptionError("Credentials for basic auth need a 'username'");
+	}
+	if (!Array.isArray(cookies)) {
+		throw new InvalidOptionError("Cookies must be a list");
+	}
+	if (!CONSENT_MODES.includes(consent)) {
+		throw new InvalidOptionError(`Unsupported consent mode: ${consent}`);
+	}
+
+	let normalisedCookies;
+	try {
+		normalisedCookies = cookies.map(normaliseCookie);
+	} catch (e) {
+		throw new InvalidOptionError(`Invalid cookies: ${e.message}`, { cause: e });
+	}
+
+	return {
+		headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, String(value)])),
+		credentials: (credentials !== null) ? { username: String(credentials.username), password: String(credentials.password || '') } : null,
+		cookies: normalisedCookies,
+		consent
+	};
+}
+
+/**
+ * Describes a session for reports, without any header values, passwords or cookie values.
+ *
+ * @param {object} session - Session from validateSession().
+ * @param {object} [login] - Login journey, if one was run. Default: none.
+ * @returns {object} Session record with 'headers' (the names of extra headers), 'basicAuth' (whether credentials were
+ *   given), 'cookies' (the number of cookies set), 'login' (the name of the login journey) and 'consent'.
+ */
+export function sessionRecord(session, login = null) {
+	return {
+		headers: Object.keys(session.headers),
+		basicAuth: session.credentials !== null,
+		cookies: session.cookies.length,
+		login: login ? login.name : null,
+		consent: session.consent
+	};
+}
+
+/**
+ * Applies a session to a page before it is loaded: extra headers, credentials for basic auth and cookies.
+ *
+ * Extra headers (e.g. an API token) are only sent with requests to the site's own domain and its subdomains, not to
+ * third parties. Credentials are only sent in answer to a basic auth challenge.
+ *
+ * @param {object} page - Puppeteer page.
+ * @param {object} client - CDP session of the page, with the Network domain enabled.
+ * @param {object} session - Session from validateSession().
+ * @param {string} siteUrl - URL of the page or site being measured, whose domain extra headers are sent to.
+ */
+export async function applySession(page, client, session, siteUrl) {
+	if (Object.keys(session.headers).length > 0) {
+		const headers = Object.fromEntries(Object.entries(session.headers).map(([name, value]) => [name.toLowerCase(), value]));
+		await page.setRequestInterception(true);
+		page.on('request', (request) => {
+			if (request.isInterceptResolutionHandled()) {
+				return;
+			}
+			let domain = null;
+			try {
+				domain = new URL(request.url()).hostname;
+			} catch (e) {
+				// Not a URL with a host (e.g. a data: URL)
+			}
+			request.continue(isFirstParty(domain, siteUrl) ? { headers: { ...request.headers(), ...headers } } : {}, 0);
+		});
+	}
+	if (session.credentials !== null) {
+		await page.authenticate(session.credentials);
+	}
+	if (session.cookies.length > 0) {
+		await client.send('Network.setCookies', { cookies: session.cookies });
+	}
+}
+
+/**
+ * Gets the cookies of the browser, e.g. after logging in, so they can be set again in a relaunched browser.
+ *
+ * @param {object} client - CDP session of a page, with the Network domain enabled.
+ * @returns {Promise<object[]>} Cookies, as for readCookiesFile().
+ */
+export async function browserCookies(client) {
+	const { cookies } = await client.send('Network.getAllCookies');
+	return cookies.map(normaliseCookie);
+}
+
+/**
+ * Clicks the button of a consent banner in a frame, if there is one.
+ */
+async function clickConsentButton(frame, selectors, label, anywhere) {
+	return frame.evaluate((selectors, label, containers, anywhere) => {
+		const visible = (element) => element.getClientRects().length > 0;
+
+		let button = selectors.map(selector => document.querySelector(selector)).find(element => element && visible(element));
+		if (!button) {
+			const pattern = new RegExp(label, 'i');
+			const candidates = document.querySelectorAll('button, [role="button"], a, input[type="button"], input[type="submit"]');
+			button = Array.from(candidates).find(element => {
+				const text = (element.innerText || element.value || '').replace(/\s+/g, ' ').trim();
+				return pattern.test(text) && visible(element) && (anywhere || element.closest(containers) !== null);
+			});
+		}
+		if (!button) {
+			return null;
+		}
+
+		button.click();
+		return (button.innerText || button.value || button.id || button.tagName).replace(/\s+/g, ' ').trim();
+	}, selectors, label, CONSENT_CONTAINERS, anywhere);
+}
+
+/**
+ * Accepts or rejects all cookies in a consent banner on a page, looking for the buttons of common consent management
+ * platforms and, failing that, buttons in cookie or consent banners with labels such as 'Accept all' or 'Reject all'.
+ *
+ * Once cookies have been accepted or rejected, banners are usually not shown on other pages of the same website.
+ *
+ * @param {object} page - Puppeteer page, after it has loaded.
+ * @param {string} consent - 'accept' or 'reject' ('none' does nothing).
+ * @param {object} [options] - Options object.
+ * @param {object} [options.logger] - Logger for diagnostics. Default: silent.
+ * @returns {Promise<boolean>} Whether a consent button was clicked.
+ */
+export async function handleConsent(page, consent, options = {}) {
+	const { logger = silentLogger } = options;
+
+	if (consent === 'none') {
+		return false;
+	}
+
+	const startTime = Date.now();
+	for (;;) {
+		for (const frame of page.frames()) {
+			const anywhere = frame !== page.mainFrame() && CONSENT_FRAMES.test(frame.url());
+			try {
+				const clicked = await clickConsentButton(frame, CONSENT_BUTTONS[consent], CONSENT_LABELS[consent], anywhere);
+				if (clicked !== null) {
+					logger.debug(`Clicked '${clicked}' to ${consent} cookies on ${page.url()}.`);
+					return true;
+				}
+			} catch (e) {
+				// Frames can be detached or navigated while looking
+				logger.debug(`Could not look for a consent banner in ${frame.url()}: ${e.message}`);
+			}
+		}
+
+		if (Date.now() - startTime >= CONSENT_WAIT) {
+			logger.debug(`No consent banner found on ${page.url()}.`);
+			return false;
+		}
+		await new Promise(resolve => setTimeout(resolve, CONSENT_POLL));
+	}
+}
@@ -0,0 +1,291 @@
+/**
+ * spreadsheet.js
+ *
+ * Exports results in the layout of the Website Carbon Scorecard spreadsheet template, so that they can be
+ * imported without pasting and splitting CSV by hand.
+ *
+ * Data sheets in the template have first visits in columns A-D and return visits in columns E-H (URL path,
+ * size in KB, grams of CO2e and rating), and are named with the date of the measurement in YYYY-MM-DD format.
+ */
+
+import { URL } from "url";
+import zlib from "zlib";
+import { InvalidOptionError } from "./errors.js";
+
+// Headings of the data sheets in the scorecard template, for first visits (columns A-D) and return visits (columns E-H)
+export const SPREADSHEET_HEADINGS = [
+	'First visit URL', 'First visit size (KB)', 'First visit CO₂e (g)', 'First visit rating',
+	'Return visit URL', 'Return visit size (KB)', 'Return visit CO₂e (g)', 'Return visit rating'
+];
+
+// Supported spreadsheet formats
+export const SPREADSHEET_FORMATS = ['xlsx', 'csv'];
+
+/**
+ * Gets the name of the data sheet for a report: the date of the measurement in YYYY-MM-DD format, in local time.
+ *
+ * @param {object} report - Report from createReport().
+ * @returns {string} Sheet name.
+ */
+export function sheetName(report) {
+	const date = new Date(report.run.startedAt);
+	const pad = (number) => String(number).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Creates the rows of a data sheet, with first and return visits to each page side by side.
+ *
+ * Sizes are in kilobytes, rounded to 2 decimal places, and CO2e is in grams, rounded to 3 decimal places, as in CSV
+ * output. Pages measured on only one visit have empty cells for the other.
+ *
+ * @param {object} report - Report from createReport().
+ * @returns {Array<Array<string|number|null>>} Rows, starting with the headings.
+ */
+export function spreadsheetRows(report) {
+	const visitCells = (url, visit) => visit
+		? [new URL(url).pathname, Math.round((visit.bytes / 1024) * 100) / 100, Math.round(visit.co2 * 1000) / 1000, visit.rating]
+		: [null, null, null, null];
+
+	return [
+		SPREADSHEET_HEADINGS,
+		...report.pages.map(({ url, firstVisit, returnVisit }) => [...visitCells(url, firstVisit), ...visitCells(url, returnVisit)])
+	];
+}
+
+/**
+ * Quotes a field for CSV, if needed.
+ */
+function csvField(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes text for XML.
+ */
+function escapeXml(str) {
+	return String(str)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * Gets the column letter of a cell (e.g. 0 is 'A').
+ */
+function columnName(index) {
+	let name = '';
+	for (let i = index + 1; i > 0; i = Math.floor((i - 1) / 26)) {
+		name = String.fromCharCode(65 + ((i - 1) % 26)) + name;
+	}
+	return name;
+}
+
+/**
+ * Creates the XML of a worksheet, with numbers as numeric cells and text as inline strings.
+ */
+function worksheetXml(rows) {
+	const cell = (value, rowIndex, columnIndex) => {
+		const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+		if (value === null || value === undefined) {
+			return '';
+		}
+		if (typeof value === 'number') {
+			return `<c r="${ref}"><v>${value}</v></c>`;
+		}
+		return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+	};
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+		'<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+		'<sheetData>',
+		...rows.map((row, rowIndex) => `<row r="${rowIndex + 1}">${row.map((value, columnIndex) => cell(value, rowIndex, columnIndex)).join('')}</row>`),
+		'</sheetData>',
+		'</worksheet>'
+	].join('');
+}
+
+// CRC-32 lookup table, for ZIP archives
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+	}
+	return c >>> 0;
+});
+
+/**
+ * Calculates the CRC-32 checksum of data.
+ */
+function crc32(data) {
+	let crc = 0xFFFFFFFF;
+	for (const byte of data) {
+		crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Creates a ZIP archive of files, compressed with DEFLATE.
+ *
+ * @param {Array<object>} files - Files, each with 'name' and 'content' (string or Buffer).
+ * @param {Date} [date=new Date()] - Modification date of the files. Default: now.
+ * @returns {Buffer} ZIP archive.
+ */
+function createZip(files, date = new Date()) {
+	// MS-DOS date and time, as used by ZIP archives
+	const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+	const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+	const localParts = [];
+	const centralParts = [];
+	let offset = 0;
+
+	for (const file of files) {
+		const name = Buffer.from(file.name, 'utf8');
+		const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+		const compressed = zlib.deflateRawSync(content);
+		const crc = crc32(content);
+
+		const local = Buffer.alloc(30);
+		local.writeUInt32LE(0x04034B50, 0);
+		local.writeUInt16LE(20, 4);
+		local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+		local.writeUInt16LE(8, 8); // DEFLATE
+		local.writeUInt16LE(dosTime, 10);
+		local.writeUInt16LE(dosDate, 12);
+		local.writeUInt32LE(crc, 14);
+		local.writeUInt32LE(compressed.length, 18);
+		local.writeUInt32LE(content.length, 22);
+		local.writeUInt16LE(name.length, 26);
+		local.writeUInt16LE(0, 28);
+
+		const central = Buffer.alloc(46);
+		central.writeUInt32LE(0x02014B50, 0);
+		central.writeUInt16LE(20, 4);
+		central.writeUInt16LE(20, 6);
+		central.writeUInt16LE(0x0800, 8);
+		central.writeUInt16LE(8, 10);
+		central.writeUInt16LE(dosTime, 12);
+		central.writeUInt16LE(dosDate, 14);
+		central.writeUInt32LE(crc, 16);
+		central.writeUInt32LE(compressed.length, 20);
+		central.writeUInt32LE(content.length, 24);
+		central.writeUInt16LE(name.length, 28);
+		central.writeUInt32LE(offset, 42);
+
+		localParts.push(local, name, compressed);
+		centralParts.push(central, name);
+		offset += local.length + name.length + compressed.length;
+	}
+
+	const centralDirectory = Buffer.concat(centralParts);
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054B50, 0);
+	end.writeUInt16LE(files.length, 8);
+	end.writeUInt16LE(files.length, 10);
+	end.writeUInt32LE(centralDirectory.length, 12);
+	end.writeUInt32LE(offset, 16);
+
+	return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Creates an Excel workbook (.xlsx) with a single sheet.
+ *
+ * @param {string} name - Name of the sheet.
+ * @param {Array<Array<string|number|null>>} rows - Rows of cells.
+ * @param {Date} [date] - Modification date of the workbook. Default: now.
+ * @returns {Buffer} Workbook.
+ */
+function createWorkbook(name, rows, date) {
+	const files = [
+		{
+			name: '[Content_Types].xml',
+			content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+				'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+				'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+				'<Default Extension="xml" ContentType="application/xml"/>' +
+				'<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+				'<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+				'</Types>'
+		},
+		{
+			name: '_rels/.rels',
+			content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+				'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+				'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+				'</Relationships>'
+		},
+		{
+			name: 'xl/workbook.xml',
+			content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+				'<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+				`<sheets><sheet name="${escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets>` +
+				'</workbook>'
+		},
+		{
+			name: 'xl/_rels/workbook.xml.rels',
+			content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+				'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+				'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+				'</Relationships>'
+		},
+		{
+			name: 'xl/worksheets/sheet1.xml',
+			content: worksheetXml(rows)
+		}
+	];
+
+	return createZip(files, date);
+}
+
+/**
+ * Determines the spreadsheet format of a file from its extension.
+ *
+ * @param {string} filePath - Path of the file.
+ * @returns {string} Format: 'xlsx' or 'csv'.
+ * @throws {InvalidOptionError} If the file does not have a supported extension.
+ */
+export function spreadsheetFormat(filePath) {
+	const extension = filePath.split('.').pop().toLowerCase();
+	if (!SPREADSHEET_FORMATS.includes(extension)) {
+		throw new InvalidOptionError(`Unsupported spreadsheet format for ${filePath} (use a .xlsx or .csv file)`);
+	}
+	return extension;
+}
+
+/**
+ * Creates a data sheet for the scorecard template, with first and return visits side by side.
+ *
+ * An Excel workbook has a single sheet named with the date of the measurement (see sheetName()), which Google Sheets
+ * keeps when the file is imported with 'Insert new sheet(s)'. CSV has the same columns, but no sheet name.
+ *
+ * @param {object} report - Report from createReport().
+ * @param {object} [options] - Options object.
+ * @param {string} [options.format='xlsx'] - Format: 'xlsx' (Excel workbook) or 'csv'. Default: 'xlsx'.
+ * @returns {Buffer|string} The workbook (as a Buffer) or CSV (as a string).
+ * @throws {InvalidOptionError} If the format is not supported.
+ */
+export function createSpreadsheet(report, options = {}) {
+	const { format = 'xlsx' } = options;
+
+	if (!SPREADSHEET_FORMATS.includes(format)) {
+		throw new InvalidOptionError(`Unsupported spreadsheet format: ${format}`);
+	}
+
+	const rows = spreadsheetRows(report);
+
+	if (format === 'csv') {
+		return rows.map(row => row.map(csvField).join(',')).join("\n") + "\n";
+	}
+
+	return createWorkbook(sheetName(report), rows, new Date(report.run.startedAt));
+}
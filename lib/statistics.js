@@ -0,0 +1,111 @@
+/**
+ * statistics.js
+ *
+ * Repeated measurements of a page, aggregated into statistics.
+ *
+ * Ad rotation, A/B tests and CDN variance can change the bytes a page transfers from one load to the next, so
+ * each page can be measured several times. Ratings and budgets are based on the median of the runs, and pages
+ * whose size varies more than a threshold between runs are flagged as unstable.
+ */
+
+import { InvalidOptionError } from "./errors.js";
+
+// Default coefficient of variation of bytes, as a percentage, above which a page is flagged as unstable
+export const DEFAULT_UNSTABLE_THRESHOLD = 10;
+
+/**
+ * Validates the number of runs and the threshold for flagging unstable pages.
+ *
+ * @param {object} options - Options object.
+ * @param {number} options.runs - Number of times to measure each page per visit type.
+ * @param {number} options.unstableThreshold - Coefficient of variation (percentage) above which a page is unstable.
+ * @throws {InvalidOptionError} If the number of runs or the threshold is invalid.
+ */
+export function validateRunOptions({ runs, unstableThreshold }) {
+	if (!Number.isInteger(runs) || runs < 1) {
+		throw new InvalidOptionError(`Invalid number of runs: ${runs}`);
+	}
+	if (typeof unstableThreshold !== 'number' || Number.isNaN(unstableThreshold) || unstableThreshold < 0) {
+		throw new InvalidOptionError(`Invalid threshold for unstable pages: ${unstableThreshold}`);
+	}
+}
+
+/**
+ * Describes a set of values.
+ *
+ * @param {number[]} values - The values (at least one).
+ * @returns {object} Statistics with 'min', 'median', 'mean', 'max' and 'stdDev' (the sample standard deviation, or 0
+ *   for a single value).
+ */
+export function describeValues(values) {
+	const sorted = [...values].sort((a, b) => a - b);
+	const count = sorted.length;
+	const middle = Math.floor(count / 2);
+	const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+	const variance = (count > 1)
+		? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1)
+		: 0;
+
+	return {
+		min: sorted[0],
+		median: (count % 2 === 1) ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+		mean,
+		max: sorted[count - 1],
+		stdDev: Math.sqrt(variance)
+	};
+}
+
+/**
+ * Aggregates repeated measurements of a page into a single result, based on the median.
+ *
+ * The result takes its resources, status and other details from the run closest to the median CO2e (so that
+ * breakdowns describe a typical load), with 'bytes' and 'co2' set to the medians and the rating based on the median
+ * CO2e. Segments are scaled in proportion to the median CO2e.
+ *
+ * @param {object[]} results - Measurement results from measurePage(), for the same page and visit type (at least one).
+ * @param {object} options - Options object.
+ * @param {object} options.carbon - Carbon model from createCarbonModel(), used to rate the median.
+ * @param {number} [options.unstableThreshold=10] - Coefficient of variation of bytes (percentage) above which the page
+ *   is flagged as unstable. Default: 10.
+ * @param {number} [options.failed=0] - Number of runs that failed, for the record. Default: 0.
+ * @returns {object} Measurement result, with 'runs' ('count', 'failed', 'bytes' and 'co2' (each from describeValues())
+ *   and 'variation' (coefficient of variation of bytes, as a percentage)) and 'unstable'.
+ */
+export function aggregateRuns(results, options) {
+	const {
+		carbon,
+		unstableThreshold = DEFAULT_UNSTABLE_THRESHOLD,
+		failed = 0
+	} = options;
+
+	const bytes = describeValues(results.map(result => result.bytes));
+	const co2 = describeValues(results.map(result => result.co2));
+	const variation = (bytes.mean > 0) ? (bytes.stdDev / bytes.mean) * 100 : 0;
+
+	// Use the details of the run closest to the median
+	const representative = results.reduce((closest, result) =>
+		(Math.abs(result.co2 - co2.median) < Math.abs(closest.co2 - co2.median)) ? result : closest);
+
+	const aggregate = {
+		...representative,
+		bytes: bytes.median,
+		co2: co2.median,
+		rating: carbon.carbonRating(co2.median),
+		runs: {
+			count: results.length,
+			failed,
+			bytes,
+			co2,
+			variation
+		},
+		unstable: variation > unstableThreshold
+	};
+
+	if (representative.segments) {
+		const scale = (representative.co2 > 0) ? co2.median / representative.co2 : 0;
+		aggregate.segments = Object.fromEntries(
+			Object.entries(representative.segments).map(([segment, value]) => [segment, value * scale]));
+	}
+
+	return aggregate;
+}
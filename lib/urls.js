@@ -0,0 +1,538 @@
+/**
+ * urls.js
+ *
+ * Discovering the URLs of a website to assess: from its site map, by crawling, or from a source file.
+ */
+
+import fs from "fs";
+import Crawler from "simplecrawler";
+import Sitemapper from "sitemapper";
+import { URL } from "url";
+import { InputFileError, InvalidOptionError } from "./errors.js";
+import { silentLogger } from "./logger.js";
+import { matchesAnyPattern } from "./patterns.js";
+import { TOOL_NAME, TOOL_VERSION } from "./version.js";
+
+// Site map locations to try when robots.txt does not list any, in order
+const SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml', '/sitemap-index.xml', '/wp-sitemap.xml', '/sitemap.xml.gz'];
+
+// Query string parameters used for tracking, which do not change the page
+const TRACKING_PARAMS = [/^utm_/i, /^(gclid|dclid|fbclid|msclkid|twclid|yclid|mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi)$/i];
+
+// File extensions of resources that are not pages, which are not crawled
+const NON_PAGE_EXTENSIONS = /\.(css|js|mjs|json|xml|txt|pdf|zip|gz|jpe?g|png|gif|webp|avif|svg|ico|mp3|mp4|webm|woff2?|ttf|otf)$/i;
+
+const SITEMAP_USER_AGENT = 'Mozilla/5.0 (compatible; SitemapperBot/1.0)';
+const CRAWLER_USER_AGENT = `Mozilla/5.0 (compatible; ${TOOL_NAME}/${TOOL_VERSION})`;
+
+/**
+ * Normalises a URL: removes the fragment and tracking query string parameters (e.g. 'utm_source').
+ *
+ * @param {string} url - The URL to normalise.
+ * @returns {string} The normalised URL.
+ */
+export function normaliseUrl(url) {
+	const parsed = new URL(url);
+	parsed.hash = '';
+
+	for (const name of [...parsed.searchParams.keys()]) {
+		if (TRACKING_PARAMS.some(pattern => pattern.test(name))) {
+			parsed.searchParams.delete(name);
+		}
+	}
+
+	return parsed.href;
+}
+
+/**
+ * Creates a key for comparing URLs, ignoring the trailing slash of the path.
+ */
+function urlKey(url) {
+	const parsed = new URL(normaliseUrl(url));
+	if (parsed.pathname.length > 1) {
+		parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+	}
+	return parsed.href;
+}
+
+/**
+ * Removes duplicate URLs, treating URLs as the same if they only differ by a fragment, tracking query string
+ * parameters or a trailing slash. The first occurrence of each URL is kept, normalised (see normaliseUrl()).
+ *
+ * @param {string[]} urls - The URLs.
+ * @returns {string[]} The URLs without duplicates.
+ */
+export function dedupeUrls(urls) {
+	const seen = new Set();
+	const unique = [];
+
+	for (const url of urls) {
+		const key = urlKey(url);
+		if (!seen.has(key)) {
+			seen.add(key);
+			unique.push(normaliseUrl(url));
+		}
+	}
+
+	return unique;
+}
+
+/**
+ * Filters URLs by their path, using glob-style patterns (see patterns.js).
+ *
+ * @param {string[]} urls - The URLs to filter.
+ * @param {object} [options] - Options object.
+ * @param {string[]} [options.include=[]] - Only keep URLs whose path matches one of these patterns (e.g. '/blog/**'). Default: all URLs.
+ * @param {string[]} [options.exclude=[]] - Remove URLs whose path matches one of these patterns. Default: none.
+ * @returns {string[]} The URLs that match.
+ */
+export function filterUrls(urls, options = {}) {
+	const {
+		include = [],
+		exclude = []
+	} = options;
+
+	return urls.filter((url) => {
+		const path = new URL(url).pathname;
+		if (include.length > 0 && !matchesAnyPattern(path, include)) {
+			return false;
+		}
+		return !matchesAnyPattern(path, exclude);
+	});
+}
+
+/**
+ * Finds the site maps listed in the robots.txt file of a website ('Sitemap:' directives).
+ *
+ * @param {string} siteUrl - The root URL of the site.
+ * @param {object} [options] - Options object.
+ * @param {string} [options.userAgent] - User agent to fetch robots.txt with. Default: identifies as a site map bot.
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @returns {Promise<string[]>} The URLs of the site maps (empty if robots.txt could not be fetched or lists none).
+ */
+export async function fetchRobotsSitemaps(siteUrl, options = {}) {
+	const {
+		userAgent = SITEMAP_USER_AGENT,
+		logger = silentLogger
+	} = options;
+	const robotsUrl = new URL("/robots.txt", siteUrl).href;
+
+	try {
+		const response = await fetch(robotsUrl, {
+			headers: { 'User-Agent': userAgent },
+			signal: AbortSignal.timeout(15000)
+		});
+		if (!response.ok) {
+			logger.debug(`No robots.txt found (HTTP ${response.status})`);
+			return [];
+		}
+
+		const sitemaps = (await response.text()).split(/\r?\n/)
+			.map(line => line.match(/^\s*sitemap\s*:\s*(\S+)/i))
+			.filter(Boolean)
+			.map(match => new URL(match[1], robotsUrl).href);
+
+		if (sitemaps.length > 0) {
+			logger.info(`🤖 Found ${sitemaps.length} site map(s) in ${robotsUrl}`);
+		}
+		return [...new Set(sitemaps)];
+	} catch (e) {
+		logger.debug(`Could not fetch robots.txt: ${e.message}`);
+		return [];
+	}
+}
+
+/**
+ * Fetches the entries of a site map, following site map index files.
+ *
+ * @returns {Promise<object[]>} Entries with 'loc' and 'lastmod' (if any).
+ */
+async function fetchSitemapEntries(sitemapUrl, { userAgent = SITEMAP_USER_AGENT, logger, retries = 2 }) {
+	const sitemap = new Sitemapper({
+		url: sitemapUrl,
+		timeout: 15000, // 15 seconds
+		concurrency: 5,
+		retries,
+		debug: false,
+		requestHeaders: {
+			'User-Agent': userAgent,
+		},
+		fields: {
+			loc: true,
+			lastmod: true
+		},
+	});
+
+	logger.info(`🔍 Checking for site map: ${sitemapUrl}`);
+
+	const { sites, errors } = await sitemap.fetch();
+	for (const error of errors) {
+		logger.debug(`Site map error for ${error.url}: ${error.message}`);
+	}
+
+	return sites.filter(site => site && site.loc);
+}
+
+/**
+ * Fetches the URLs listed in the site maps of a website.
+ *
+ * Site maps are found from 'Sitemap:' directives in robots.txt, or else at common locations (e.g. /sitemap.xml,
+ * /sitemap_index.xml), and site map index files are followed.
+ *
+ * @param {string} siteUrl - The root URL of the site.
+ * @param {object} [options] - Options object.
+ * @param {Date|string} [options.since] - Only include pages modified on or after this date (using 'lastmod'); pages
+ *   without a 'lastmod' date are skipped. Default: all pages.
+ * @param {string[]} [options.include=[]] - Only include URLs whose path matches one of these patterns. Default: all URLs.
+ * @param {string[]} [options.exclude=[]] - Exclude URLs whose path matches one of these patterns. Default: none.
+ * @param {string} [options.userAgent] - User agent to fetch site maps with. Default: identifies as a site map bot.
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @returns {Promise<string[]>} A promise that resolves to an array of unique URLs (empty if no site map was found).
+ * @throws {InvalidOptionError} If the 'since' date is invalid.
+ */
+export async function fetchSitemapUrls(siteUrl, options = {}) {
+	const { urls } = await findSitemapUrls(siteUrl, options);
+	return urls;
+}
+
+/**
+ * Finds the URLs listed in the site maps of a website. See fetchSitemapUrls().
+ *
+ * @returns {Promise<object>} Result with 'found' (the number of URLs in the site maps, before filtering) and 'urls'.
+ */
+async function findSitemapUrls(siteUrl, options = {}) {
+	const {
+		since = null,
+		userAgent = SITEMAP_USER_AGENT,
+		logger = silentLogger
+	} = options;
+
+	const sinceTime = (since !== null) ? new Date(since).getTime() : null;
+	if (Number.isNaN(sinceTime)) {
+		throw new InvalidOptionError(`Invalid date for 'since': ${since}`);
+	}
+
+	let entries = [];
+	try {
+		const robotsSitemaps = await fetchRobotsSitemaps(siteUrl, { userAgent, logger });
+		if (robotsSitemaps.length > 0) {
+			for (const sitemapUrl of robotsSitemaps) {
+				entries.push(...await fetchSitemapEntries(sitemapUrl, { userAgent, logger }));
+			}
+		} else {
+			// Try common locations until a site map is found, only retrying the most common
+			for (const sitemapPath of SITEMAP_PATHS) {
+				const retries = (sitemapPath === SITEMAP_PATHS[0]) ? 2 : 0;
+				entries = await fetchSitemapEntries(new URL(sitemapPath, siteUrl).href, { userAgent, logger, retries });
+				if (entries.length > 0) {
+					break;
+				}
+			}
+		}
+	} catch (e) {
+		logger.warn("⚠️  Could not fetch or parse site map:", e.message);
+		return { found: 0, urls: [] };
+	}
+
+	// Skip invalid URLs
+	entries = entries.filter((entry) => {
+		try {
+			new URL(entry.loc);
+			return true;
+		} catch {
+			logger.debug(`Invalid URL skipped in site map: ${entry.loc}`);
+			return false;
+		}
+	});
+	const found = entries.length;
+	logger.info(`📄 Found ${found} URLs in the site map`);
+
+	// Only include pages modified since the given date
+	if (sinceTime !== null) {
+		const undated = entries.filter(entry => !entry.lastmod).length;
+		entries = entries.filter(entry => entry.lastmod && new Date(entry.lastmod).getTime() >= sinceTime);
+		logger.info(`📅 ${entries.length} URLs modified since ${new Date(sinceTime).toISOString().slice(0, 10)}` +
+			(undated > 0 ? ` (${undated} without a modified date skipped)` : ''));
+	}
+
+	return {
+		found,
+		urls: prepareUrls(entries.map(entry => entry.loc), { ...options, logger })
+	};
+}
+
+/**
+ * Removes duplicate URLs and filters them by path, logging how many were removed.
+ *
+ * @param {string[]} urls - The URLs.
+ * @param {object} [options] - Options object with 'include', 'exclude' and 'logger' (see filterUrls()).
+ * @returns {string[]} The unique URLs that match.
+ */
+function prepareUrls(urls, options = {}) {
+	const {
+		include = [],
+		exclude = [],
+		logger = silentLogger
+	} = options;
+
+	const unique = dedupeUrls(urls);
+	if (unique.length < urls.length) {
+		logger.debug(`${urls.length - unique.length} duplicate URLs removed`);
+	}
+
+	if (include.length === 0 && exclude.length === 0) {
+		return unique;
+	}
+
+	const filtered = filterUrls(unique, { include, exclude });
+	logger.info(`🔎 ${filtered.length} of ${unique.length} URLs match the include/exclude patterns`);
+	return filtered;
+}
+
+/**
+ * Reads URLs from a specified file path.
+ *
+ * @param {string} filePath - The path to the file containing URLs.
+ * @param {object} [options] - Options object.
+ * @param {string[]} [options.include=[]] - Only include URLs whose path matches one of these patterns. Default: all URLs.
+ * @param {string[]} [options.exclude=[]] - Exclude URLs whose path matches one of these patterns. Default: none.
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @returns {Promise<string[]>} An array of valid, unique URLs.
+ * @throws {InputFileError} If the file cannot be read.
+ */
+export async function readUrlsFromFile(filePath, options = {}) {
+	const { logger = silentLogger } = options;
+
+	let fileContents;
+	try {
+		fileContents = fs.readFileSync(filePath, 'utf8');
+	} catch (e) {
+		throw new InputFileError(filePath, { cause: e });
+	}
+
+	// Split by new line, filter out empty lines, and trim whitespace
+	let urls = fileContents.split("\n")
+		.map(line => line.trim())
+		.filter(line => line.length > 0)
+		.filter(line => !line.startsWith('#'))
+		.filter(line => !line.startsWith('//'));
+
+	// Basic validation for URL format
+	urls = urls.filter(url => {
+		try {
+			new URL(url);
+			return true;
+		} catch (e) {
+			logger.warn(`⚠️  Invalid URL skipped in file: ${url}`);
+			return false;
+		}
+	});
+
+	urls = prepareUrls(urls, { ...options, logger });
+
+	logger.info(`📄 Using ${urls.length} URLs in '${filePath}'`);
+	return urls;
+}
+
+/**
+ * Finds the canonical URL of a page from its HTML (<link rel="canonical">), if it has one.
+ *
+ * @param {string} html - The HTML of the page.
+ * @param {string} pageUrl - The URL of the page, used to resolve relative URLs.
+ * @returns {string|null} The canonical URL, or null if the page has none.
+ */
+export function canonicalUrl(html, pageUrl) {
+	for (const [link] of html.matchAll(/<link\b[^>]*>/gi)) {
+		if (!/\brel\s*=\s*["']?canonical\b/i.test(link)) {
+			continue;
+		}
+		const href = link.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+		if (href) {
+			try {
+				return new URL((href[1] || href[2] || href[3]).trim(), pageUrl).href;
+			} catch {
+				return null;
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Validates crawler options, so that problems are found before discovering URLs.
+ *
+ * @throws {InvalidOptionError} If an option has an invalid value.
+ */
+function validateCrawlOptions({ crawlDepth = 3, crawlConcurrency = 3, crawlDelay = 250, subpath = null }) {
+	for (const [name, value] of Object.entries({ crawlDepth, crawlConcurrency, crawlDelay })) {
+		if (!Number.isInteger(value) || value < 0 || (name === 'crawlConcurrency' && value === 0)) {
+			throw new InvalidOptionError(`Invalid crawler option '${name}': ${value}`);
+		}
+	}
+	if (subpath !== null && !subpath.startsWith('/')) {
+		throw new InvalidOptionError(`Invalid subpath: ${subpath} (must start with '/')`);
+	}
+}
+
+/**
+ * Crawls a website to discover the URLs of its pages, up to a maximum number of pages.
+ *
+ * Only successful HTML documents are included, using their canonical URL (if on the same host). The crawler
+ * respects robots.txt by default.
+ *
+ * @param {string} siteUrl - The root URL of the site to crawl.
+ * @param {object} [options] - Options object.
+ * @param {number} [options.maxPages=100] - Maximum number of URLs to discover. Default: 100.
+ * @param {number} [options.crawlDepth=3] - Maximum depth of links to follow from the root URL (0 for no limit). Default: 3.
+ * @param {number} [options.crawlConcurrency=3] - Maximum number of requests to make at once. Default: 3.
+ * @param {number} [options.crawlDelay=250] - Delay between requests, in milliseconds. Default: 250.
+ * @param {string} [options.userAgent] - User agent to crawl with. Default: identifies the scorecard.
+ * @param {boolean} [options.respectRobotsTxt=true] - Whether to respect robots.txt rules. Default: true.
+ * @param {string} [options.subpath] - Only crawl URLs whose path starts with this (e.g. '/docs/'). Default: the whole site.
+ * @param {string[]} [options.include=[]] - Only include URLs whose path matches one of these patterns (other pages are
+ *   still crawled to find links). Default: all URLs.
+ * @param {string[]} [options.exclude=[]] - Do not crawl URLs whose path matches one of these patterns. Default: none.
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @returns {Promise<string[]>} A promise that resolves to an array of unique URLs.
+ * @throws {InvalidOptionError} If an option has an invalid value.
+ */
+export async function crawlSiteForUrls(siteUrl, options = {}) {
+	const {
+		maxPages = 100,
+		crawlDepth = 3,
+		crawlConcurrency = 3,
+		crawlDelay = 250,
+		userAgent = CRAWLER_USER_AGENT,
+		respectRobotsTxt = true,
+		subpath = null,
+		include = [],
+		exclude = [],
+		logger = silentLogger
+	} = options;
+
+	validateCrawlOptions({ crawlDepth, crawlConcurrency, crawlDelay, subpath });
+
+	const siteHost = new URL(siteUrl).hostname;
+
+	// Whether a path is in scope for crawling
+	const inScope = (path) => (subpath === null || path.startsWith(subpath)) && !matchesAnyPattern(path, exclude);
+
+	return new Promise((resolve) => {
+		// Start from the subpath, if there is one
+		const crawler = new Crawler((subpath !== null) ? new URL(subpath, siteUrl).href : siteUrl);
+		const crawledUrls = [];
+		const seen = new Set();
+
+		crawler.maxDepth = crawlDepth;
+		crawler.maxConcurrency = crawlConcurrency;
+		crawler.interval = crawlDelay;
+		crawler.userAgent = userAgent;
+		crawler.respectRobotsTxt = respectRobotsTxt;
+		crawler.decodeResponses = true;
+		crawler.downloadUnsupported = false;
+
+		// Exclude certain file types, such as CSS, JS, images, videos, archives, and paths that are out of scope
+		crawler.addFetchCondition(function(queueItem) {
+			const path = queueItem.path.split('?')[0];
+			return !NON_PAGE_EXTENSIONS.test(path) && inScope(path);
+		});
+
+		let finished = false;
+		const finish = () => {
+			if (!finished) {
+				finished = true;
+				logger.info(`🕸️  Found ${crawledUrls.length} URLs by crawling the site`);
+				resolve(crawledUrls);
+			}
+		};
+
+		crawler.on("fetchcomplete", (queueItem, responseBody) => {
+			// Only keep successful HTML documents (redirects are followed, and their targets fetched separately)
+			const contentType = queueItem.stateData.contentType || '';
+			if (queueItem.stateData.code !== 200 || !/^(text\/html|application\/xhtml\+xml)/i.test(contentType)) {
+				logger.debug(`Skipped ${queueItem.url} (HTTP ${queueItem.stateData.code}, ${contentType || 'no content type'})`);
+				return;
+			}
+
+			// Use the canonical URL of the page, if it is on the same site
+			let url = queueItem.url;
+			const canonical = canonicalUrl(String(responseBody), url);
+			if (canonical !== null && canonical !== url) {
+				if (new URL(canonical).hostname !== siteHost) {
+					logger.debug(`Skipped ${url} (canonical URL is on another site: ${canonical})`);
+					return;
+				}
+				logger.debug(`Using canonical URL ${canonical} for ${url}`);
+				url = canonical;
+			}
+
+			const path = new URL(url).pathname;
+			if (!inScope(path) || (include.length > 0 && !matchesAnyPattern(path, include))) {
+				return;
+			}
+
+			const key = urlKey(url);
+			if (seen.has(key)) {
+				return;
+			}
+			seen.add(key);
+			crawledUrls.push(normaliseUrl(url));
+			logger.debug(`Found ${url}`);
+
+			if (crawledUrls.length >= maxPages) {
+				crawler.stop(true);
+				finish();
+			}
+		});
+
+		crawler.on("fetchdisallowed", (queueItem) => {
+			logger.debug(`Skipped ${queueItem.url} (disallowed by robots.txt)`);
+		});
+
+		crawler.on("complete", finish);
+
+		crawler.start();
+	});
+}
+
+/**
+ * Discovers the URLs of a website using its site map, falling back to crawling the site.
+ *
+ * @param {string} siteUrl - The root URL of the site.
+ * @param {object} [options] - Options object. See fetchSitemapUrls() for site map options ('since', 'include' and 'exclude'),
+ *   and crawlSiteForUrls() for crawler options.
+ * @param {boolean} [options.forceCrawler=false] - Whether to skip the site map and crawl the site. Default: false.
+ * @param {number} [options.maxPages=100] - Maximum number of URLs to discover by crawling. Default: 100.
+ * @param {object} [options.logger] - Logger for progress and diagnostics. Default: silent.
+ * @returns {Promise<string[]>} A promise that resolves to an array of unique URLs.
+ */
+export async function discoverUrls(siteUrl, options = {}) {
+	const {
+		forceCrawler = false,
+		logger = silentLogger
+	} = options;
+
+	validateCrawlOptions(options);
+
+	let urls = [];
+	let found = 0;
+
+	// Try to get sitemap URLs
+	if (forceCrawler) {
+		logger.info("ℹ️  Crawler forced - skipping site map check.");
+	} else {
+		({ found, urls } = await findSitemapUrls(siteUrl, options));
+	}
+
+	// If no site map found, try crawling instead
+	// Note: crawling does not use 'since', as there are no modified dates to filter on
+	if (found === 0) {
+		if (options.since) {
+			logger.warn("⚠️  Pages found by crawling have no modified dates, so all pages are included.");
+		}
+		logger.info("🕷️  Crawling site to discover pages...");
+		urls = prepareUrls(await crawlSiteForUrls(siteUrl, options), { ...options, logger });
+	}
+
+	return urls;
+}
@@ -0,0 +1,12 @@
+/**
+ * version.js
+ * 
+ * The name and version of the tool, as recorded in package.json.
+ */
+
+import fs from "fs";
+
+const packageJson = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), 'utf8'));
+
+export const TOOL_NAME = packageJson.name;
+export const TOOL_VERSION = packageJson.version;
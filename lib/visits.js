@@ -0,0 +1,208 @@
+/**
+ * visits.js
+ *
+ * Per-visit estimates that combine first visits (cold loads) and return visits (warm loads), and projections
+ * of site emissions weighted by page views.
+ *
+ * This follows the semantics of perVisit() in the Sustainable Web Design Model, where a proportion of visitors
+ * are returning visitors who only load part of the page again. Rather than assuming how much data is reloaded,
+ * we use the bytes measured for return visits.
+ */
+
+import fs from "fs";
+import { URL } from "url";
+import { parseCsv } from "./csv.js";
+import { InputFileError, InvalidOptionError } from "./errors.js";
+
+// Periods that page views can be counted over, as a number per year
+export const PAGE_VIEW_PERIODS = {
+	'day': 365,
+	'week': 52,
+	'month': 12,
+	'year': 1
+};
+
+/**
+ * Validates the ratio of returning visitors.
+ *
+ * @param {number} returnRatio - Proportion of visits that are return visits, from 0 to 1.
+ * @throws {InvalidOptionError} If the ratio is not between 0 and 1.
+ */
+export function validateReturnRatio(returnRatio) {
+	if (typeof returnRatio !== 'number' || Number.isNaN(returnRatio) || returnRatio < 0 || returnRatio > 1) {
+		throw new InvalidOptionError(`Invalid returning visitor ratio: ${returnRatio} (must be between 0 and 1)`);
+	}
+}
+
+/**
+ * Estimates the bytes and CO2 emissions of an average visit to each page, combining first and return visits.
+ *
+ * @param {object[]} firstVisits - Measurement results for first visits (cold loads).
+ * @param {object[]} returnVisits - Measurement results for return visits (warm loads).
+ * @param {object} options - Options object.
+ * @param {object} options.carbon - Carbon model from createCarbonModel().
+ * @param {number} [options.returnRatio=0.25] - Proportion of visits that are return visits, from 0 to 1. Default: 0.25.
+ * @param {boolean} [options.isGreen=false] - Whether the hosting is green, for results without a 'greenShare'. Default: false.
+ * @returns {object[]} Per-visit estimates with 'url', 'bytes', 'co2' and 'rating', for pages measured on both visits.
+ */
+export function perVisitResults(firstVisits, returnVisits, options) {
+	const {
+		carbon,
+		returnRatio = 0.25,
+		isGreen = false
+	} = options;
+
+	validateReturnRatio(returnRatio);
+
+	const returnVisitsByUrl = new Map(returnVisits.map(result => [result.url, result]));
+
+	const results = [];
+	for (const firstVisit of firstVisits) {
+		const returnVisit = returnVisitsByUrl.get(firstVisit.url);
+		if (!returnVisit) {
+			continue;
+		}
+
+		// Emissions are proportional to bytes, so weighting bytes (and green bytes) weights emissions
+		const bytes = firstVisit.bytes * (1 - returnRatio) + returnVisit.bytes * returnRatio;
+		const greenShare = (result) => (typeof result.greenShare === 'number') ? result.greenShare : (isGreen ? 1 : 0);
+		const greenBytes = firstVisit.bytes * greenShare(firstVisit) * (1 - returnRatio) + returnVisit.bytes * greenShare(returnVisit) * returnRatio;
+		const { co2, rating } = carbon.bytesToCO2(bytes, (bytes > 0) ? greenBytes / bytes : 0);
+
+		results.push({ url: firstVisit.url, bytes, co2, rating });
+	}
+
+	return results;
+}
+
+/**
+ * Normalises a URL or path for matching page views to measured pages: the path, without a trailing slash.
+ *
+ * @param {string} urlOrPath - A URL or a path (e.g. '/about/').
+ * @returns {string} The normalised path.
+ */
+export function pageViewKey(urlOrPath) {
+	let path = urlOrPath;
+	try {
+		path = new URL(urlOrPath).pathname;
+	} catch {
+		path = urlOrPath.split(/[?#]/)[0];
+	}
+
+	if (!path.startsWith('/')) {
+		path = `/${path}`;
+	}
+
+	return (path.length > 1) ? path.replace(/\/+$/, '') : path;
+}
+
+/**
+ * Reads page views per URL from a CSV file (e.g. exported from analytics).
+ *
+ * The file should have a column of URLs or paths and a column of page views. If the first row is a header,
+ * the columns are found by name (e.g. 'Page path' and 'Views'); otherwise, the first two columns are used.
+ *
+ * @param {string} filePath - The path to the CSV file.
+ * @returns {Promise<Map<string, number>>} Page views, keyed by normalised path (see pageViewKey()).
+ * @throws {InputFileError} If the file cannot be read or contains no page views.
+ */
+export async function readPageViewsFile(filePath) {
+	let fileContents;
+	try {
+		fileContents = fs.readFileSync(filePath, 'utf8');
+	} catch (e) {
+		throw new InputFileError(filePath, { cause: e });
+	}
+
+	const rows = parseCsv(fileContents);
+
+	const parseViews = (value) => parseFloat(String(value).replace(/[,\s]/g, ''));
+
+	// Find the columns from a header row, if there is one
+	let urlColumn = 0;
+	let viewsColumn = 1;
+	if (rows.length > 0 && Number.isNaN(parseViews(rows[0][1]))) {
+		const header = rows.shift().map(name => name.toLowerCase());
+		const foundUrl = header.findIndex(name => /url|path|page/.test(name));
+		const foundViews = header.findIndex(name => /view|hits|visits|sessions/.test(name));
+		urlColumn = (foundUrl !== -1) ? foundUrl : 0;
+		viewsColumn = (foundViews !== -1) ? foundViews : 1;
+	}
+
+	const pageViews = new Map();
+	for (const row of rows) {
+		const views = parseViews(row[viewsColumn]);
+		if (!row[urlColumn] || Number.isNaN(views)) {
+			continue;
+		}
+
+		// Combine rows for the same page (e.g. with different query strings)
+		const key = pageViewKey(row[urlColumn]);
+		pageViews.set(key, (pageViews.get(key) || 0) + views);
+	}
+
+	if (pageViews.size === 0) {
+		throw new InputFileError(filePath, { cause: new Error("no page views found") });
+	}
+
+	return pageViews;
+}
+
+/**
+ * Projects the emissions of a website over a month and a year, weighted by page views.
+ *
+ * Pages with page views that were not measured are estimated using the traffic-weighted average of measured pages.
+ *
+ * @param {object[]} perVisit - Per-visit estimates from perVisitResults().
+ * @param {Map<string, number>|object} pageViews - Page views, keyed by URL or path.
+ * @param {object} [options] - Options object.
+ * @param {string} [options.period='month'] - The period the page views were counted over: 'day', 'week', 'month' or 'year'. Default: 'month'.
+ * @returns {object} Projection with 'period', 'totalViews', 'measuredViews', 'unmeasuredViews', 'avgCO2ePerView'
+ *   (weighted by page views), 'monthlyCO2e' and 'annualCO2e' (grams), and 'pages' (each with 'url', 'views' and 'co2e').
+ * @throws {InvalidOptionError} If the period is not supported.
+ */
+export function projectEmissions(perVisit, pageViews, options = {}) {
+	const { period = 'month' } = options;
+
+	if (!PAGE_VIEW_PERIODS[period]) {
+		throw new InvalidOptionError(`Unsupported page views period: ${period}`);
+	}
+
+	// Normalise page views, which may be keyed by URL or path
+	const views = new Map();
+	const entries = (pageViews instanceof Map) ? pageViews.entries() : Object.entries(pageViews);
+	for (const [urlOrPath, count] of entries) {
+		const key = pageViewKey(urlOrPath);
+		views.set(key, (views.get(key) || 0) + count);
+	}
+
+	const totalViews = [...views.values()].reduce((sum, count) => sum + count, 0);
+
+	const pages = [];
+	let measuredViews = 0;
+	let measuredCO2e = 0;
+	for (const { url, co2 } of perVisit) {
+		const pageViewCount = views.get(pageViewKey(url)) || 0;
+		measuredViews += pageViewCount;
+		measuredCO2e += co2 * pageViewCount;
+		pages.push({ url, views: pageViewCount, co2e: co2 * pageViewCount });
+	}
+	pages.sort((a, b) => b.co2e - a.co2e);
+
+	const avgCO2ePerView = (measuredViews > 0) ? measuredCO2e / measuredViews : null;
+
+	// Emissions over the period of the page views, extrapolated to pages that were not measured
+	const periodCO2e = (avgCO2ePerView !== null) ? avgCO2ePerView * totalViews : null;
+	const annualCO2e = (periodCO2e !== null) ? periodCO2e * PAGE_VIEW_PERIODS[period] : null;
+
+	return {
+		period,
+		totalViews,
+		measuredViews,
+		unmeasuredViews: totalViews - measuredViews,
+		avgCO2ePerView,
+		monthlyCO2e: (annualCO2e !== null) ? annualCO2e / 12 : null,
+		annualCO2e,
+		pages
+	};
+}
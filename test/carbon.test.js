@@ -0,0 +1,61 @@
+/**
+ * carbon.test.js
+ *
+ * Checks of the carbon estimates: totals, green hosting and segmented results.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createCarbonModel } from "../lib/carbon.js";
+
+const BYTES = 1000000;
+const GREEN_SHARES = [0, 0.5, 1];
+
+/**
+ * Asserts that two estimates in grams are equal, allowing for rounding.
+ */
+function assertGrams(actual, expected, message) {
+	assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} is not ${expected}`);
+}
+
+describe("createCarbonModel()", () => {
+	it("estimates 1 MB with the Sustainable Web Design Model v4", () => {
+		const carbon = createCarbonModel({ model: 'swd4' });
+		assertGrams(carbon.bytesToCO2(BYTES, false).co2, 0.1482, "grey hosting");
+		assertGrams(carbon.bytesToCO2(BYTES, true).co2, 0.12103, "green hosting");
+		assert.equal(carbon.bytesToCO2(BYTES, false).rating, "C");
+	});
+
+	it("estimates nothing for no bytes", () => {
+		const result = createCarbonModel({ segments: true }).bytesToCO2(0);
+		assert.equal(result.co2, 0);
+		assert.equal(result.rating, "A+");
+		assert.deepEqual(Object.values(result.segments), [0, 0, 0, 0, 0]);
+	});
+
+	for (const model of ['swd3', 'swd4', '1byte']) {
+		it(`takes the share of green bytes into account (${model})`, () => {
+			const carbon = createCarbonModel({ model });
+			const grey = carbon.bytesToCO2(BYTES, 0).co2;
+			const green = carbon.bytesToCO2(BYTES, 1).co2;
+			assert.ok(green < grey, "green hosting is estimated lower than grey hosting");
+			assertGrams(carbon.bytesToCO2(BYTES, true).co2, green, "green hosting as a boolean");
+			assertGrams(carbon.bytesToCO2(BYTES, 0.5).co2, (grey + green) / 2, "half the bytes from green hosting");
+		});
+	}
+
+	for (const model of ['swd3', 'swd4']) {
+		for (const greenShare of GREEN_SHARES) {
+			it(`has segments that add up to the total (${model}, green share ${greenShare})`, () => {
+				const { co2, segments } = createCarbonModel({ model, segments: true }).bytesToCO2(BYTES, greenShare);
+				assertGrams(segments.operational + segments.embodied, co2, "operational and embodied");
+				assertGrams(segments.dataCenter + segments.network + segments.device + (segments.production || 0), co2, "data centre, network and device");
+			});
+		}
+	}
+
+	it("rejects unsupported models", () => {
+		assert.throws(() => createCarbonModel({ model: 'swd5' }), { name: 'InvalidOptionError' });
+		assert.throws(() => createCarbonModel({ model: '1byte', segments: true }), { name: 'InvalidOptionError' });
+	});
+});
@@ -0,0 +1,57 @@
+/**
+ * har.test.js
+ *
+ * Checks of measuring pages from a HAR file with fixed data: bytes counted, redirects and the carbon estimates.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "url";
+import { createCarbonModel } from "../lib/carbon.js";
+import { readHarFile } from "../lib/har.js";
+import { createGreenHostingChecker } from "../lib/hosting.js";
+import { measureHar } from "../lib/measure.js";
+
+const FIXTURE = fileURLToPath(new URL("./fixtures/example.har", import.meta.url));
+
+// Bytes of the page in the fixture, without the redirect: the document, a script and an image with no '_transferSize'
+const DOCUMENT_BYTES = 12000;
+const PAGE_BYTES = DOCUMENT_BYTES + 30000 + 8200;
+
+describe("measureHar()", () => {
+	it("counts the bytes of the page, but not redirects", async () => {
+		const pages = await measureHar(await readHarFile(FIXTURE));
+
+		assert.equal(pages.length, 1);
+		const { visit, result } = pages[0];
+		assert.equal(visit, 'first');
+		assert.equal(result.bytes, PAGE_BYTES);
+		assert.equal(result.status, 200);
+		assert.equal(result.finalUrl, "https://example.org/");
+		assert.deepEqual(result.redirects, [{ url: "http://example.org/", status: 301 }]);
+		assert.equal(result.resources.length, 3);
+	});
+
+	it("estimates emissions from the bytes counted", async () => {
+		const carbon = createCarbonModel();
+		const [{ result }] = await measureHar(await readHarFile(FIXTURE), { carbon });
+
+		assert.equal(result.greenShare, 0);
+		assert.equal(result.co2, carbon.bytesToCO2(PAGE_BYTES, false).co2);
+		assert.equal(result.rating, carbon.bytesToCO2(PAGE_BYTES, false).rating);
+	});
+
+	it("weights emissions by the share of bytes from green hosting", async () => {
+		const carbon = createCarbonModel({ segments: true });
+		const hosting = createGreenHostingChecker({ greenDomains: ['example.org'] });
+		const [{ result }] = await measureHar(await readHarFile(FIXTURE), { carbon, hosting });
+
+		const greenShare = DOCUMENT_BYTES / PAGE_BYTES;
+		assert.equal(result.greenShare, greenShare);
+		assert.equal(result.co2, carbon.bytesToCO2(PAGE_BYTES, greenShare).co2);
+		assert.ok(result.co2 < carbon.bytesToCO2(PAGE_BYTES, false).co2);
+
+		const { operational, embodied } = result.segments;
+		assert.ok(Math.abs(operational + embodied - result.co2) < 1e-9, "segments add up to the total");
+	});
+});
@@ -6,23 +6,68 @@
  * A command-line tool for estimating the carbon emissions of a website.
  */
 
+// The assessment itself is done by the programmatic API (see index.js); this script 
+// parses command-line arguments and outputs the results.
+
 // TODO: 
-// - Extend to allow more granular selection of measurement events: idle0, idle2, load, domcontentloaded
-// - Consider region/gridIntensity options for more accurate CO2 estimates
 // - Consider other ways the transfer size calculations can be improved
 
 // Imports
 import fs from "fs";
 import { parseArgs } from 'node:util';
-import { co2, hosting } from "@tgwf/co2";
-import puppeteer from "puppeteer";
-import Crawler from "simplecrawler";
-import Sitemapper from "sitemapper";
+import path from "path";
 import { URL } from "url";
+import {
+	assessHar,
+	assessJourneys,
+	assessSite,
+	assessUrls,
+	CONSENT_MODES,
+	createCarbonModel,
+	createConsoleLogger,
+	describeStrategy,
+	formatBytes,
+	InputFileError,
+	MEASURE_EVENTS,
+	parseCredentials,
+	parseHeaders,
+	readCookiesFile,
+	readHarFile,
+	readJourneyFile,
+	readUrlsFromFile,
+	ScorecardError
+} from "./index.js";
+import {
+	budgetsToJUnit,
+	describeViolation,
+	readBudgetsFile
+} from "./lib/budgets.js";
+import { DEFAULT_CHECKPOINT_DIR, defaultCheckpointFile } from "./lib/checkpoint.js";
+import { compareReports, readReportFile } from "./lib/compare.js";
+import { DEFAULT_HOSTING_CACHE, readGreenDomainsFile } from "./lib/hosting.js";
+import { DEFAULT_HISTORY_FILE, historyTrend, readHistory, saveToHistory } from "./lib/history.js";
+import { createHtmlReport } from "./lib/html.js";
+import { createSpreadsheet, sheetName, spreadsheetFormat, SPREADSHEET_FORMATS } from "./lib/spreadsheet.js";
+import { PROFILES } from "./lib/profiles.js";
+import { readPageViewsFile } from "./lib/visits.js";
+import {
+	createJourneyReport,
+	createReport,
+	exclusionRecords,
+	failureRecords,
+	journeyFailureRecords,
+	journeyRecord,
+	measurementRecord,
+	ndjsonRecord,
+	profileSummaryRecord,
+	runRecord,
+	summaryRecord
+} from "./lib/report.js";
 
 // Configuration
-const DEBUG = false;
-const FORCE_CRAWLER = false;
+const EXIT_BUDGET_EXCEEDED = 2;
+const EXIT_INTERRUPTED = 130;
+const SEGMENT_COLUMNS = ['operational', 'embodied', 'dataCenter', 'network', 'device'];
 
 // Set up arguments and default values
 const argOptions = {
@@ -37,13 +82,40 @@ const argOptions = {
 		description: 'Path to a text file that lists the URLs to assess (one per line)',
 		valueName: 'FILEPATH'
 	},
+	'journey': {
+		type: 'string',
+		short: 'j',
+		description: "Path to a JSON or YAML file of user journeys to run (steps such as goto, click and type), instead of assessing pages",
+		valueName: 'FILEPATH'
+	},
+	'har': {
+		type: 'string',
+		multiple: true,
+		description: "Path to a HAR file, or a directory of HAR files, of pages to assess as recorded instead of loading them; can be used more than once",
+		valueName: 'PATH'
+	},
 	'output': {
 		type: 'string',
 		default: 'cli',
 		short: 'o',
-		description: "Output format: 'cli' (text-based table, default) or 'csv' (for spreadsheets, etc.)",
+		description: "Output format: 'cli' (text-based table, default), 'csv' (for spreadsheets, etc.), 'json', 'ndjson' (streamed as each page is measured) or 'html' (a self-contained report to share)",
 		valueName: 'STRING'
 	},
+	'out': {
+		type: 'string',
+		description: "Path to a file to write results to, instead of the command-line environment",
+		valueName: 'FILEPATH'
+	},
+	'spreadsheet': {
+		type: 'string',
+		description: "Path to write a data sheet for the scorecard spreadsheet template to, with first and return visits side by side (.xlsx or .csv, or a directory to name the file with the date)",
+		valueName: 'FILEPATH'
+	},
+	'har-dir': {
+		type: 'string',
+		description: "Path to a directory to export a HAR file of each page measurement to, to inspect or assess again with --har",
+		valueName: 'DIRPATH'
+	},
 	'max-pages': {
 		type: 'string',
 		default: '100',
@@ -51,16 +123,169 @@ const argOptions = {
 		description: "Maximum number of pages to assess",
 		valueName: 'NUMBER'
 	},
+	'sample': {
+		type: 'boolean',
+		description: "Sample pages by template (e.g. '/products/:slug'), weighting averages by the number of URLs of each template"
+	},
+	'per-template': {
+		type: 'string',
+		default: '3',
+		description: "Number of pages to sample from each template",
+		valueName: 'NUMBER'
+	},
+	'template': {
+		type: 'string',
+		multiple: true,
+		description: "Template to group URLs by when sampling (e.g. '/blog/:year/:slug'); can be used more than once",
+		valueName: 'PATTERN'
+	},
+	'since': {
+		type: 'string',
+		description: "Only assess pages modified on or after this date, using the site map (e.g. '2025-11-01')",
+		valueName: 'DATE'
+	},
+	'include': {
+		type: 'string',
+		multiple: true,
+		description: "Only assess URLs whose path matches this pattern (e.g. '/blog/**'); can be used more than once",
+		valueName: 'PATTERN'
+	},
+	'exclude': {
+		type: 'string',
+		multiple: true,
+		description: "Skip URLs whose path matches this pattern (e.g. '/tags/*'); can be used more than once",
+		valueName: 'PATTERN'
+	},
+	'force-crawler': {
+		type: 'boolean',
+		description: "Crawl the website to find pages, instead of using its site map"
+	},
+	'crawl-depth': {
+		type: 'string',
+		default: '3',
+		description: "Maximum depth of links to follow when crawling (0 for no limit)",
+		valueName: 'NUMBER'
+	},
+	'crawl-concurrency': {
+		type: 'string',
+		default: '3',
+		description: "Maximum number of requests to make at once when crawling",
+		valueName: 'NUMBER'
+	},
+	'crawl-delay': {
+		type: 'string',
+		default: '250',
+		description: "Delay between requests when crawling, in milliseconds",
+		valueName: 'NUMBER'
+	},
+	'subpath': {
+		type: 'string',
+		description: "Only crawl pages whose path starts with this (e.g. '/docs/')",
+		valueName: 'PATH'
+	},
+	'user-agent': {
+		type: 'string',
+		description: "User agent to use when crawling and fetching site maps",
+		valueName: 'STRING'
+	},
+	'ignore-robots': {
+		type: 'boolean',
+		description: "Ignore robots.txt rules when crawling (only for sites you own or have permission to crawl)"
+	},
 	'measure-event': {
 		type: 'string',
 		default: 'idle',
-		description: "Measurement event: 'idle' (default) or 'load'"
+		description: "Measurement event: 'idle' (no more than 2 network connections, default), 'idle0' (no network connections), 'idle2' (as 'idle'), 'load' or 'domcontentloaded'"
+	},
+	'wait-for': {
+		type: 'string',
+		description: "Wait for an element matching this CSS selector after the measurement event",
+		valueName: 'SELECTOR'
+	},
+	'scroll': {
+		type: 'boolean',
+		description: "Scroll to the bottom of each page after the measurement event, so lazy-loaded images and iframes are counted"
+	},
+	'observe': {
+		type: 'string',
+		default: '0',
+		description: "Keep measuring for this long after the measurement event, in milliseconds, so late requests (e.g. beacons) are counted",
+		valueName: 'NUMBER'
 	},
 	'measure-mode': {
 		type: 'string',
 		default: 'cdp',
 		description: "Measurement mode: 'cdp' (Chrome DevTools Protocol, default) or 'buffer' (experimental and not recommended)"
 	},
+	'profile': {
+		type: 'string',
+		multiple: true,
+		default: ['desktop'],
+		description: `Measurement profile: ${Object.keys(PROFILES).map(name => `'${name}'`).join(', ')}; can be used more than once to compare profiles side by side`,
+		valueName: 'NAME'
+	},
+	'runs': {
+		type: 'string',
+		default: '1',
+		description: "Number of times to measure each page per visit type; results are based on the median, with statistics for each page",
+		valueName: 'NUMBER'
+	},
+	'unstable-threshold': {
+		type: 'string',
+		default: '10',
+		description: "Percentage variation in size between runs (coefficient of variation) beyond which a page is flagged as unstable",
+		valueName: 'NUMBER'
+	},
+	'concurrency': {
+		type: 'string',
+		default: '3',
+		description: "Number of pages to measure in parallel; the next page starts as soon as any finishes",
+		valueName: 'NUMBER'
+	},
+	'timeout': {
+		type: 'string',
+		description: "Maximum time to load each page, in milliseconds (default: 45000, or longer for throttled profiles)",
+		valueName: 'NUMBER'
+	},
+	'retries': {
+		type: 'string',
+		default: '1',
+		description: "Number of times to retry a page that fails with a transient error (e.g. a timeout), waiting longer each time",
+		valueName: 'NUMBER'
+	},
+	'recycle-after': {
+		type: 'string',
+		default: '0',
+		description: "Relaunch the browser after this many measurements, to keep its memory in check (0 for never)",
+		valueName: 'NUMBER'
+	},
+	'header': {
+		type: 'string',
+		multiple: true,
+		description: "Extra request header to load pages with (e.g. 'Authorization: Bearer TOKEN'); sent to the site's own domain and subdomains only; can be used more than once",
+		valueName: 'HEADER'
+	},
+	'basic-auth': {
+		type: 'string',
+		description: "Credentials for HTTP basic auth, as 'username:password'",
+		valueName: 'CREDENTIALS'
+	},
+	'cookies': {
+		type: 'string',
+		description: "Path to a cookie jar file (JSON, or cookies.txt) of cookies to set before loading each page",
+		valueName: 'FILEPATH'
+	},
+	'login': {
+		type: 'string',
+		description: "Path to a JSON or YAML file of a journey to run once before measuring, to log in; '${NAME}' is replaced with the environment variable NAME",
+		valueName: 'FILEPATH'
+	},
+	'consent': {
+		type: 'string',
+		default: 'none',
+		description: "What to do with cookie consent banners once each page has loaded: 'none' (leave them, default), 'accept' or 'reject' all cookies",
+		valueName: 'STRING'
+	},
 	'model': {
 		type: 'string',
 		default: 'swd', // swd (latest, default), swd3, swd4, 1byte
@@ -68,9 +293,147 @@ const argOptions = {
 		description: "Carbon model: 'swd' (latest version of Sustainable Web Design Model, default), 'swd3', 'swd4', or '1byte'",
 		valueName: 'STRING'
 	},
+	'grid-intensity': {
+		type: 'string',
+		description: "Grid intensity for all segments: grams of CO₂e per kWh, or a country code (e.g. 'GBR') or region (e.g. 'EUROPE')",
+		valueName: 'VALUE'
+	},
+	'device-intensity': {
+		type: 'string',
+		description: "Grid intensity for consumer devices (overrides --grid-intensity)",
+		valueName: 'VALUE'
+	},
+	'network-intensity': {
+		type: 'string',
+		description: "Grid intensity for networks (overrides --grid-intensity)",
+		valueName: 'VALUE'
+	},
+	'datacenter-intensity': {
+		type: 'string',
+		description: "Grid intensity for data centres (overrides --grid-intensity)",
+		valueName: 'VALUE'
+	},
+	'segments': {
+		type: 'boolean',
+		description: "Report operational vs embodied emissions and emissions per segment (data centre, network, device)"
+	},
 	'no-ratings': {
 		type: 'boolean',
 		description: "Disable carbon ratings - enabled by default when supported (e.g. Sustainable Web Design Model)"
+	},
+	'exclude-errors': {
+		type: 'boolean',
+		description: "Leave pages with an HTTP status other than 2xx out of the results, averages and ratings"
+	},
+	'exclude-non-html': {
+		type: 'boolean',
+		description: "Leave pages that are not HTML (e.g. PDFs) out of the results, averages and ratings"
+	},
+	'exclude-off-site': {
+		type: 'boolean',
+		description: "Leave pages that redirect to another website out of the results, averages and ratings"
+	},
+	'breakdown': {
+		type: 'boolean',
+		short: 'b',
+		description: "Break down each page by content type and first/third party, and list the heaviest resources shared across pages"
+	},
+	'recommendations': {
+		type: 'boolean',
+		description: "Find ways to reduce the weight of each page (e.g. compression, image formats and sizes, caching, unused fonts), ranked by CO₂e saving"
+	},
+	'green-domains': {
+		type: 'string',
+		description: "Path to a JSON or CSV list of green domains to use instead of the Green Web Foundation API (for offline, repeatable runs)",
+		valueName: 'FILEPATH'
+	},
+	'hosting-cache': {
+		type: 'string',
+		description: `Path to a file to cache green hosting lookups in (default: ${DEFAULT_HOSTING_CACHE})`,
+		valueName: 'FILEPATH'
+	},
+	'no-hosting-cache': {
+		type: 'boolean',
+		description: "Disable the green hosting cache, looking up every domain again"
+	},
+	'return-ratio': {
+		type: 'string',
+		default: '0.25',
+		description: "Proportion of visits that are return visits, used to estimate emissions per visit (0 to 1)",
+		valueName: 'NUMBER'
+	},
+	'page-views': {
+		type: 'string',
+		description: "Path to a CSV file of page views per URL or path (e.g. from analytics), to project monthly and annual emissions",
+		valueName: 'FILEPATH'
+	},
+	'page-views-period': {
+		type: 'string',
+		default: 'month',
+		description: "Period the page views were counted over: 'day', 'week', 'month' or 'year'",
+		valueName: 'STRING'
+	},
+	'checkpoint': {
+		type: 'string',
+		description: `Path to a file to write each measurement to as it completes, so an interrupted run can be resumed (default: a file per website in ${DEFAULT_CHECKPOINT_DIR})`,
+		valueName: 'FILEPATH'
+	},
+	'no-checkpoint': {
+		type: 'boolean',
+		description: "Disable the checkpoint file"
+	},
+	'resume': {
+		type: 'boolean',
+		description: "Resume an interrupted run, skipping pages already measured with the same settings in the checkpoint file"
+	},
+	'save-history': {
+		type: 'boolean',
+		description: "Save the results of the run to the history file, for reporting trends over time with the 'trend' command"
+	},
+	'history-file': {
+		type: 'string',
+		description: `Path to the history file to save runs to and read them from (default: ${DEFAULT_HISTORY_FILE})`,
+		valueName: 'FILEPATH'
+	},
+	'last': {
+		type: 'string',
+		description: "Only list or report trends for this many of the most recent runs ('history' and 'trend' commands)",
+		valueName: 'NUMBER'
+	},
+	'allow-mixed-settings': {
+		type: 'boolean',
+		description: "Report trends across runs made with different carbon models or measurement settings ('trend' command)"
+	},
+	'compare': {
+		type: 'string',
+		description: "Path to a JSON report of a previous run (from --output=json) to compare results against",
+		valueName: 'FILEPATH'
+	},
+	'compare-threshold': {
+		type: 'string',
+		default: '10',
+		description: "Percentage change in CO₂e beyond which a page counts as a regression or improvement",
+		valueName: 'NUMBER'
+	},
+	'budget': {
+		type: 'string',
+		description: "Path to a JSON file of carbon budgets; exits with code 2 if any budget is exceeded",
+		valueName: 'FILEPATH'
+	},
+	'junit': {
+		type: 'string',
+		description: "Path to write a JUnit XML report of budget checks to (for CI systems)",
+		valueName: 'FILEPATH'
+	},
+	'quiet': {
+		type: 'boolean',
+		short: 'q',
+		description: "Only output results and errors"
+	},
+	'verbose': {
+		type: 'boolean',
+		short: 'v',
+		description: "Output debugging information"
 	}
 };
 
@@ -87,15 +450,19 @@ try {
 	positionals = args.positionals;
 } catch (e) {
     console.error(`❌ Argument error: ${e.message}`);
-	console.log("Run with --help for usage information.");
+	console.error("Run with --help for usage information.");
     process.exit(1);
 }
 
-// Show help with --help argument or when input is missing (no URL or --input)
-if (values.help || (positionals.length === 0 && !values.input)) {
+// Show help with --help argument or when input is missing (no URL, --input, --journey or --har)
+if (values.help || (positionals.length === 0 && !values.input && !values.journey && !values.har)) {
     printHelp();
 }
 
+// Commands that report on the history of past runs, instead of assessing a website
+const HISTORY_COMMANDS = ['history', 'trend'];
+const command = HISTORY_COMMANDS.includes(positionals[0]) ? positionals.shift() : null;
+
 // Accept a site root as the last argument, or a list of URLs from a source file (--input=FILEPATH)
 // The last argument is usually the website URL to assess, unless --input is used to specify a source file with URLs.
 // When --input is provided, the website URL argument is ignored if present.
@@ -116,60 +483,181 @@ if (positionals.length > 0) {
 
 // Map arg values (see argOptions for options and defaults)
 const sourceFile = values.input || null;
+const journeyFile = values.journey || null;
+const harPaths = values.har || [];
+const harDir = values["har-dir"] || null;
 const outputFormat = values.output;
+const outputFile = values.out || null;
+const spreadsheetFile = values.spreadsheet || null;
 const maxPages = parseInt(values["max-pages"], 10);
+const forceCrawler = values["force-crawler"] || false;
+const crawlOptions = {
+	crawlDepth: parseInt(values["crawl-depth"], 10),
+	crawlConcurrency: parseInt(values["crawl-concurrency"], 10),
+	crawlDelay: parseInt(values["crawl-delay"], 10),
+	respectRobotsTxt: !values["ignore-robots"]
+};
+if (values.subpath) {
+	crawlOptions.subpath = values.subpath;
+}
+if (values["user-agent"]) {
+	crawlOptions.userAgent = values["user-agent"];
+}
+const templates = values.template || [];
+const sample = values.sample || templates.length > 0;
+const perTemplate = parseInt(values["per-template"], 10);
+const since = values.since || null;
+const includePatterns = values.include || [];
+const excludePatterns = values.exclude || [];
 const measureEvent = values["measure-event"];
 const measureMode = values["measure-mode"];
+const waitForSelector = values["wait-for"] || null;
+const scroll = values.scroll || false;
+const observe = parseInt(values.observe, 10);
+const profiles = [...new Set(values.profile)];
+const runs = parseInt(values.runs, 10);
+const unstableThreshold = parseFloat(values["unstable-threshold"]);
+const concurrency = parseInt(values.concurrency, 10);
+const timeout = (values.timeout !== undefined) ? parseInt(values.timeout, 10) : null;
+const retries = parseInt(values.retries, 10);
+const recycleAfter = parseInt(values["recycle-after"], 10);
+const headerValues = values.header || [];
+const basicAuth = values["basic-auth"] || null;
+const cookiesFile = values.cookies || null;
+const loginFile = values.login || null;
+const consent = values.consent;
 const carbonModel = values.model;
 const carbonRatings = values["no-ratings"] ? false : true;
+const breakdown = values.breakdown || false;
+const recommendations = values.recommendations || false;
+const excludeErrors = values["exclude-errors"] || false;
+const excludeNonHtml = values["exclude-non-html"] || false;
+const excludeOffSite = values["exclude-off-site"] || false;
+const segments = values.segments || false;
+const gridIntensity = parseGridIntensity(values);
+const budgetFile = values.budget || null;
+const junitFile = values.junit || null;
+const compareFile = values.compare || null;
+const compareThreshold = parseFloat(values["compare-threshold"]);
+const greenDomainsFile = values["green-domains"] || null;
+const hostingCache = values["no-hosting-cache"] ? null : (values["hosting-cache"] || DEFAULT_HOSTING_CACHE);
+const returnRatio = parseFloat(values["return-ratio"]);
+const pageViewsFile = values["page-views"] || null;
+const pageViewsPeriod = values["page-views-period"];
+const useCheckpoint = !values["no-checkpoint"];
+const checkpointFile = values.checkpoint || null;
+const resume = values.resume || false;
+const saveHistory = values["save-history"] || false;
+const historyFile = values["history-file"] || DEFAULT_HISTORY_FILE;
+const lastRuns = (values.last !== undefined) ? parseInt(values.last, 10) : null;
+const allowMixedSettings = values["allow-mixed-settings"] || false;
+
+const OUTPUT_FORMATS = ['cli', 'csv', 'json', 'ndjson', 'html'];
+if (!OUTPUT_FORMATS.includes(outputFormat)) {
+	console.error(`❌ Unsupported output format: ${outputFormat}`);
+	console.error("Run with --help for usage information.");
+	process.exit(1);
+}
 
-// Constants
-const SWDM3_RATINGS = {
-	fifthPercentile: 0.095,
-	tenthPercentile: 0.186,
-	twentiethPercentile: 0.341,
-	thirtiethPercentile: 0.493,
-	fortiethPercentile: 0.656,
-	fiftiethPercentile: 0.846,
-};
-const SWDM4_RATINGS = {
-	fifthPercentile: 0.04,
-	tenthPercentile: 0.079,
-	twentiethPercentile: 0.145,
-	thirtiethPercentile: 0.209,
-	fortiethPercentile: 0.278,
-	fiftiethPercentile: 0.359,
-};
+if (values.last !== undefined && !/^[1-9]\d*$/.test(values.last)) {
+	console.error(`❌ Invalid value for --last: ${values.last}`);
+	process.exit(1);
+}
+
+if (command !== null && !['cli', 'json'].includes(outputFormat)) {
+	console.error(`❌ The ${command} command only supports 'cli' and 'json' output.`);
+	process.exit(1);
+}
+
+if (command === 'trend' && siteUrl === null) {
+	console.error("❌ The trend command needs the URL of the website to report trends for.");
+	process.exit(1);
+}
+
+if (spreadsheetFile !== null && !isDirectory(spreadsheetFile) && !SPREADSHEET_FORMATS.includes(spreadsheetFile.split('.').pop().toLowerCase())) {
+	console.error(`❌ Unsupported spreadsheet format for ${spreadsheetFile} (use a .xlsx or .csv file, or a directory)`);
+	process.exit(1);
+}
+
+if (resume && values["no-checkpoint"]) {
+	console.error("❌ --resume needs the checkpoint file, so cannot be used with --no-checkpoint.");
+	process.exit(1);
+}
+
+if (journeyFile !== null && harPaths.length > 0) {
+	console.error("❌ --journey and --har cannot be used together.");
+	process.exit(1);
+}
+
+if (outputFormat === 'html' && journeyFile !== null) {
+	console.error("❌ HTML reports are not available for journeys. Use 'cli', 'csv', 'json' or 'ndjson' output.");
+	process.exit(1);
+}
+
+for (const profile of profiles) {
+	if (!PROFILES[profile]) {
+		console.error(`❌ Unknown measurement profile: ${profile}`);
+		console.error(`Available profiles: ${Object.keys(PROFILES).join(', ')}`);
+		process.exit(1);
+	}
+}
+
+if (!MEASURE_EVENTS.includes(measureEvent)) {
+	console.error(`❌ Unsupported measurement event: ${measureEvent}`);
+	process.exit(1);
+}
+
+if (!CONSENT_MODES.includes(consent)) {
+	console.error(`❌ Unsupported consent mode: ${consent} (use ${CONSENT_MODES.map(mode => `'${mode}'`).join(', ')})`);
+	process.exit(1);
+}
+
+for (const name of ['per-template', 'crawl-depth', 'crawl-concurrency', 'crawl-delay', 'observe', 'runs', 'concurrency', 'retries', 'recycle-after']) {
+	if (!/^\d+$/.test(values[name])) {
+		console.error(`❌ Invalid value for --${name}: ${values[name]}`);
+		process.exit(1);
+	}
+}
+
+if (since !== null && Number.isNaN(new Date(since).getTime())) {
+	console.error(`❌ Invalid date for --since: ${since}`);
+	process.exit(1);
+}
+
+if (Number.isNaN(returnRatio) || returnRatio < 0 || returnRatio > 1) {
+	console.error(`❌ Invalid returning visitor ratio: ${values["return-ratio"]} (must be between 0 and 1)`);
+	process.exit(1);
+}
+
+if (concurrency < 1) {
+	console.error(`❌ Invalid value for --concurrency: ${values.concurrency} (must be at least 1)`);
+	process.exit(1);
+}
+
+if (values.timeout !== undefined && !/^[1-9]\d*$/.test(values.timeout)) {
+	console.error(`❌ Invalid value for --timeout: ${values.timeout}`);
+	process.exit(1);
+}
+
+if (runs < 1) {
+	console.error(`❌ Invalid number of runs: ${values.runs} (must be at least 1)`);
+	process.exit(1);
+}
+
+if (Number.isNaN(unstableThreshold) || unstableThreshold < 0) {
+	console.error(`❌ Invalid threshold for unstable pages: ${values["unstable-threshold"]}`);
+	process.exit(1);
+}
 
-// Using @tgwf/co2 library to estimate CO2 emissions
-var co2Data = {};
-var model;
-var modelSupportsCarbonRating = false;
-
-// Inform as to which model is being used
-switch (carbonModel) {
-	case '1byte':
-		console.log("ℹ️  Carbon model: 1byte");
-		model = new co2({ model: "1byte" });
-		break;
-	case 'swd3':
-		console.log("ℹ️  Carbon model: Sustainable Web Design Model v3");
-		model = new co2({ model: "swd", version: 3, rating: carbonRatings });
-		modelSupportsCarbonRating = true;
-		break;
-	case 'swd':
-	case 'swd4':
-	default:
-		console.log("ℹ️  Carbon model: Sustainable Web Design Model v4 (latest)");
-		model = new co2({ model: "swd", version: 4, rating: carbonRatings });
-		modelSupportsCarbonRating = true;
-		break;
-}
-
-if (!modelSupportsCarbonRating && carbonRatings === true) {
-	console.log("⚠️  Warning: Carbon ratings are only available with the Sustainable Web Design Model. Carbon ratings will not display.");
+if (Number.isNaN(compareThreshold) || compareThreshold < 0) {
+	console.error(`❌ Invalid comparison threshold: ${values["compare-threshold"]}`);
+	process.exit(1);
 }
 
+// Progress and diagnostics go to stderr, keeping stdout (or --out) for results
+const logLevel = values.quiet ? 'quiet' : (values.verbose ? 'verbose' : 'normal');
+const logger = createConsoleLogger({ level: logLevel });
+
 /**
  * Dynamically generates a help message based on the defined argument options.
  */
@@ -177,12 +665,18 @@ function printHelp() {
 	console.log("\n🌱 Website Carbon Scorecard");
 	console.log("Usage: node website-carbon-scorecard.js [options] <url>");
 	console.log("   Or: node website-carbon-scorecard.js [options] --input=path/to/urls.txt");
+	console.log("   Or: node website-carbon-scorecard.js [options] --journey=path/to/journeys.yaml");
+	console.log("   Or: node website-carbon-scorecard.js [options] --har=path/to/hars");
+	console.log("   Or: node website-carbon-scorecard.js [options] history [url]");
+	console.log("   Or: node website-carbon-scorecard.js [options] trend <url>");
 	console.log("\nOptions: ");
 
+	const labelFor = (name, config) => `--${name}${config.valueName ? `=${config.valueName}` : ""}`;
+	const labelWidth = Math.max(...Object.entries(argOptions).map(([name, config]) => labelFor(name, config).length)) + 1;
+
     for (const [name, config] of Object.entries(argOptions)) {
         const short = config.short ? `-${config.short}, ` : "    ";
-		const valueName = config.valueName ? `=${config.valueName}` : "";
-        const label = `--${name}${valueName}`.padEnd(19);
+        const label = labelFor(name, config).padEnd(labelWidth);
         const defaultValue = (config.default !== undefined) ? ` (default: ${config.default})` : "";
         console.log(`  ${short}${label} ${config.description}${defaultValue}`);
     }
@@ -192,532 +686,1097 @@ function printHelp() {
 }
 
 /**
- * Converts bytes transferred to estimated CO2 emissions using the selected carbon model.
- * 
- * @param {number} bytes - The number of bytes transferred.
- * @param {boolean} [isGreen=false] - Whether the hosting is green (affects calculation). Default: false.
- * @returns {number} Estimated CO2 emissions in grams.
+ * Checks whether a path is an existing directory.
+ *
+ * @param {string} dirPath - The path.
+ * @returns {boolean} Whether the path is a directory.
  */
-function bytesToCO2(bytes, isGreen = false) {
-	if (bytes === 0) {
-		co2Data = {
-			total: 0,
-			rating: modelSupportsCarbonRating ? "A+" : null
-		};
-		return 0;
+function isDirectory(dirPath) {
+	try {
+		return fs.statSync(dirPath).isDirectory();
+	} catch (e) {
+		return false;
 	}
-
-	// If hosting is green, green hosting factor = 1 (handled in CO2.js)
-	// https://sustainablewebdesign.org/estimating-digital-emissions/#faq-question-1713777503222
-	var data;
-	if (carbonModel === 'swd3') {
-		// SWD v3
-		// perByte(
-		// 	bytes,
-		// 	carbonIntensity = false,
-		// 	segmentResults = false,
-		// 	ratingResults = false,
-		// 	options = {}
-		// )
-		data = model.perByte(bytes);
-	} else {
-		// SWD v4
-		// perByte(
-		// 	bytes,
-		// 	green = false,
-		// 	segmented = false,
-		// 	ratingResults = false,
-		// 	options = {}
-		// )
-		data = model.perByte(bytes, isGreen);
-	}
-	
-	co2Data = {
-		total: data.total,
-		rating: modelSupportsCarbonRating ? data.rating : null
-	};
-
-	return (modelSupportsCarbonRating && carbonRatings) ? data.total : data; // in grams of CO2e
 }
 
 /**
- * Determines the Digital Carbon Rating based on estimated CO2 emissions.
+ * Reads HAR files, finding the .har files in any directories given.
  *
- * @param {number} co2e - The estimated CO2 emissions of a website in grams.
- * @returns {string} The Digital Carbon Rating, ranging from "A+" (best) to "F" (worst).
+ * @param {string[]} paths - Paths to HAR files or directories of HAR files.
+ * @returns {Promise<object[]>} HARs, in the order of the paths and then by file name.
+ * @throws {InputFileError} If a file cannot be read or is not a HAR file, or a directory has no HAR files.
  */
-// https://sustainablewebdesign.org/digital-carbon-ratings/
-// https://github.com/thegreenwebfoundation/co2.js/blob/7adac52a77c886d281286f2a8926c61e6faba4fb/src/sustainable-web-design-v4.js#L337
-// https://github.com/thegreenwebfoundation/developer-docs/issues/64
-// Note: We emulate the ratingScale() function here to allow us to estimate an overall 
-// carbon rating for a website based on average CO2e. The carbon rating of individual pages
-// is returned by the CO2.js library when using the SWD model with ratings enabled.
-function carbonRating(co2e = null) {
-	if (co2e !== null) {
-		const {
-			fifthPercentile,
-			tenthPercentile,
-			twentiethPercentile,
-			thirtiethPercentile,
-			fortiethPercentile,
-			fiftiethPercentile,
-		} = (carbonModel === 'swd3') ? SWDM3_RATINGS : SWDM4_RATINGS;
-
-		const lessThanEqualTo = (num, limit) => num <= limit;
-
-		if (lessThanEqualTo(co2e, fifthPercentile)) {
-			return "A+";
-		} else if (lessThanEqualTo(co2e, tenthPercentile)) {
-			return "A";
-		} else if (lessThanEqualTo(co2e, twentiethPercentile)) {
-			return "B";
-		} else if (lessThanEqualTo(co2e, thirtiethPercentile)) {
-			return "C";
-		} else if (lessThanEqualTo(co2e, fortiethPercentile)) {
-			return "D";
-		} else if (lessThanEqualTo(co2e, fiftiethPercentile)) {
-			return "E";
-		} else {
-			return "F";
+async function readHarFiles(paths) {
+	const files = paths.flatMap((harPath) => {
+		if (!isDirectory(harPath)) {
+			return [harPath];
 		}
-	}
+		const names = fs.readdirSync(harPath).filter(name => name.toLowerCase().endsWith('.har')).sort();
+		if (names.length === 0) {
+			throw new InputFileError(harPath, { cause: new Error("no .har files in the directory") });
+		}
+		return names.map(name => path.join(harPath, name));
+	});
 
-	return (modelSupportsCarbonRating) ? co2Data.rating : null;
+	const hars = [];
+	for (const file of files) {
+		hars.push(await readHarFile(file));
+	}
+	return hars;
 }
 
 /**
- * Formats bytes as a human-readable string.
+ * Reads the login journey, replacing '${NAME}' in its steps with the environment variable NAME, so that passwords
+ * need not be saved in the file.
  *
- * @param {number} bytes - Number of bytes to format.
- * @param {object} [options] - Options object.
- * @param {number} [options.decimals=2] - Number of decimals to display. Default: 2.
- * @param {boolean} [options.outputUnit=true] - Whether to include the unit in the output. Default: true.
- * @param {string} [options.unit] - Force output in a specific unit (e.g., 'KB', 'MB').
- * @returns {string} Bytes as a formatted string.
+ * @param {string} filePath - Path to a JSON or YAML file of a single journey.
+ * @returns {Promise<object>} The login journey.
+ * @throws {InputFileError} If the file cannot be read, has more than one journey, or uses an environment variable that is not set.
  */
-// Based on: https://stackoverflow.com/a/18650828
-// Retrieved 2025-11-14, License - CC BY-SA 4.0
-function formatBytes(bytes, options = {}) {
-	if (!+bytes) return '0 Bytes';
-
-	const decimals = options.decimals || 2;
-	let unit = options.unit || null;
-	const outputUnit = (options.outputUnit === false) ? false : true;
+async function readLoginFile(filePath) {
+	const journeys = await readJourneyFile(filePath);
+	if (journeys.length > 1) {
+		throw new InputFileError(filePath, { cause: new Error("expected a single login journey") });
+	}
 
-	const k = 1024;
-	const dm = decimals < 0 ? 0 : decimals;
-	const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+	const expand = (value) => value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+		if (process.env[name] === undefined) {
+			throw new InputFileError(filePath, { cause: new Error(`environment variable ${name} is not set`) });
+		}
+		return process.env[name];
+	});
 
-	let i = 0;
+	const [{ name, steps }] = journeys;
+	return {
+		name,
+		steps: steps.map(step => Object.fromEntries(
+			Object.entries(step).map(([key, value]) => [key, (typeof value === 'string') ? expand(value) : value])
+		))
+	};
+}
 
-	if (unit !== null) {
-		const unitIndex = sizes.indexOf(unit);
+/**
+ * Writes a data sheet for the scorecard spreadsheet template.
+ *
+ * @param {object} assessment - Assessment from assessUrls() or assessSite().
+ * @param {string} filePath - Path to an .xlsx or .csv file, or a directory to write an .xlsx file named with the date to.
+ */
+function writeSpreadsheet(assessment, filePath) {
+	const report = createReport(assessment);
+	const targetPath = isDirectory(filePath) ? path.join(filePath, `${sheetName(report)}.xlsx`) : filePath;
 
-		if (unitIndex === -1) {
-			 console.warn(`Unsupported unit: ${options.unit}. Using defaults.`);
-			 unit = null;
-		} else {
-			i = unitIndex;
+	try {
+		fs.writeFileSync(targetPath, createSpreadsheet(report, { format: spreadsheetFormat(targetPath) }));
+	} catch (e) {
+		if (e instanceof ScorecardError) {
+			throw e;
 		}
+		throw new ScorecardError(`Could not write spreadsheet ${targetPath}: ${e.message}`, { cause: e });
 	}
-
-	if (unit === null) {
-		i = Math.floor(Math.log(bytes) / Math.log(k));
-	}
-
-	let unitString = '';
-	if (outputUnit === true) {
-		unitString = ` ${sizes[i]}`;
-	}
-
-	return `${parseFloat((bytes / Math.pow(k, i)).toFixed(dm))}${unitString}`;
+	logger.info(`📝 Spreadsheet for the scorecard template written to ${targetPath} (sheet ${sheetName(report)})`);
 }
 
-async function fetchSitemapUrls(siteUrl) {
-	const sitemapUrl = new URL("/sitemap.xml", siteUrl).href;
-
-	const sitemap = new Sitemapper({
-		url: sitemapUrl,
-		timeout: 15000, // 10 seconds
-		concurrency: 5,
-		retries: 2,
-		debug: DEBUG,
-		requestHeaders: {
-			'User-Agent': 'Mozilla/5.0 (compatible; SitemapperBot/1.0)',
-		},
-		fields: {
-			loc: true,
-			lastmod: true
-		},
-	});
-
-	console.log(`🔍 Checking for site map: ${sitemapUrl}`);
+/**
+ * Parses the grid intensity options into the form accepted by the API.
+ *
+ * @param {object} values - Parsed argument values.
+ * @returns {object|null} Grid intensity per segment, or null to use the global average.
+ */
+function parseGridIntensity(values) {
+	const parseValue = (value) => /^\d+(\.\d+)?$/.test(value) ? parseFloat(value) : value;
+	const all = values["grid-intensity"];
+	const perSegment = {
+		device: values["device-intensity"],
+		network: values["network-intensity"],
+		dataCenter: values["datacenter-intensity"]
+	};
 
-	try {
-		const { sites } = await sitemap.fetch();
-		const urls = sites.map(site => site.loc);
-		console.log(`📄 Found ${urls.length} URLs in the site map`);
+	if (all === undefined && Object.values(perSegment).every(value => value === undefined)) {
+		return null;
+	}
 
-		return urls; // Return all URLs; we'll limit later
-	} catch (e) {
-		console.warn("⚠️  Could not fetch or parse site map:", e.message);
-		return [];
+	const intensity = {};
+	for (const [segment, value] of Object.entries(perSegment)) {
+		const segmentValue = (value !== undefined) ? value : all;
+		if (segmentValue !== undefined) {
+			intensity[segment] = parseValue(segmentValue);
+		}
 	}
+	return intensity;
 }
 
 /**
- * Reads URLs from a specified file path.
+ * Opens the destination for results: the file given by --out, or stdout.
  *
- * @param {string} filePath - The path to the file containing URLs.
- * @returns {string[]} An array of valid URLs.
+ * @param {string|null} filePath - Path to the file to write results to, or null for stdout.
+ * @returns {object} Output with 'write(line)' and 'close()' methods.
  */
-async function readUrlsFromFile(filePath) {
-	try {
-		const fileContents = fs.readFileSync(filePath, 'utf8');
-		// Split by new line, filter out empty lines, and trim whitespace
-		let urls = fileContents.split("\n")
-			.map(line => line.trim())
-			.filter(line => line.length > 0)
-			.filter(line => !line.startsWith('#'))
-			.filter(line => !line.startsWith('//'));
-
-		// Basic validation for URL format
-		urls = urls.filter(url => {
-			try {
-				new URL(url);
-				return true;
-			} catch (e) {
-				console.warn(`⚠️  Invalid URL skipped in file: ${url}`);
-				return false;
-			}
-		});
+function openOutput(filePath) {
+	if (filePath === null) {
+		return {
+			write: (line = '') => process.stdout.write(`${line}\n`),
+			close: () => {}
+		};
+	}
 
-		console.log(`📄 Using ${urls.length} URLs in '${filePath}'`);
-		return urls;
+	let fd;
+	try {
+		fd = fs.openSync(filePath, 'w');
 	} catch (e) {
-		console.error(`🚨 Error reading source file ${filePath}: ${e.message}`);
+		console.error(`❌ Could not open output file ${filePath}: ${e.message}`);
 		process.exit(1);
 	}
+
+	return {
+		write: (line = '') => fs.writeSync(fd, `${line}\n`),
+		close: () => fs.closeSync(fd)
+	};
 }
 
-/** 
- * Crawls a website to discover URLs up to a maximum number of pages.
- * 
- * @param {string} siteUrl - The root URL of the site to crawl.
- * @returns {Promise<string[]>} A promise that resolves to an array of URLs.
+const output = openOutput(outputFile);
+
+/**
+ * Outputs results in the specified format.
+ *
+ * @param {Array} results - The results to output, where each item is an object with 'url', 'bytes', and 'co2' properties.
  */
-async function crawlSiteForUrls(siteUrl) {
-	return new Promise((resolve) => {
-		const crawler = new Crawler(siteUrl);
-		const crawledUrls = [];
-
-		crawler.maxDepth = 3;
-		crawler.maxConcurrency = 3;
-		crawler.maxResources = maxPages;
-		crawler.downloadUnsupported = false;
-
-		// Exclude certain file types, such as CSS, JS, images, videos, archives
-		crawler.addFetchCondition(function(queueItem) {
-			return !queueItem.path.match(/\.(css|js|xml|zip|jpe?g|png|mp4|gif)$/i);
-		});
-
-		crawler.on("fetchcomplete", (queueItem) => {
-			crawledUrls.push(queueItem.url);
-			if (crawledUrls.length >= maxPages) {
-				crawler.stop();
+function outputResults(results) {
+	for (const { url, bytes, co2, rating, segments: segmentResults, runs: runStats, unstable } of results) {
+		const urlPath = new URL(url).pathname;
+		if (outputFormat === 'csv') {
+			// Segments and run statistics are added as extra columns, after those used by the scorecard spreadsheet
+			const segmentColumns = segmentResults
+				? ', ' + SEGMENT_COLUMNS.map(segment => segmentResults[segment].toFixed(3)).join(', ')
+				: '';
+			const runColumns = runStats ? ', ' + runsColumns(runStats, unstable).join(', ') : '';
+			if (carbonRatings && rating !== null) {
+				output.write(`${urlPath}, ${formatBytes(bytes, { unit: 'KB', 'outputUnit': false })}, ${co2.toFixed(3)}, ${rating}${segmentColumns}${runColumns}`);
+			} else {
+				output.write(`${urlPath}, ${formatBytes(bytes, { unit: 'KB', 'outputUnit': false })}, ${co2.toFixed(3)}${segmentColumns}${runColumns}`);
 			}
-		});
+		} else {
+			const unstableStr = unstable ? ' – ⚠️  unstable' : '';
+			if (carbonRatings && rating !== null) {
+				output.write(`${urlPath} – ${formatBytes(bytes)} – ${co2.toFixed(3)}g CO₂e – ${rating} rating${unstableStr}`);
+			} else {
+				output.write(`${urlPath} – ${formatBytes(bytes)} – ${co2.toFixed(3)}g CO₂e${unstableStr}`);
+			}
+			if (segmentResults) {
+				output.write(`   ${formatSegments(segmentResults)}`);
+			}
+			if (runStats) {
+				output.write(`   ${formatRuns(runStats)}`);
+			}
+		}
+	}
+}
 
-		crawler.on("complete", () => {
-			console.log(`🕸️  Found ${crawledUrls.length} URLs by crawling the site`);
-			resolve(crawledUrls);
-		});
+/**
+ * Formats the statistics of repeated runs as text, where the main values of a result are the medians.
+ *
+ * @param {object} runStats - Run statistics with 'count', 'failed', 'bytes', 'co2' and 'variation' (see aggregateRuns()).
+ * @returns {string} Run statistics as a formatted string.
+ */
+function formatRuns({ count, failed, bytes, co2, variation }) {
+	const failedStr = (failed > 0) ? ` – ${failed} failed` : '';
+	return `${count} runs – size ${formatBytes(bytes.min)} to ${formatBytes(bytes.max)} (mean ${formatBytes(bytes.mean)}, ` +
+		`SD ${formatBytes(bytes.stdDev)}, ±${variation.toFixed(1)}%) – CO₂e ${co2.min.toFixed(3)}g to ${co2.max.toFixed(3)}g ` +
+		`(mean ${co2.mean.toFixed(3)}g, SD ${co2.stdDev.toFixed(3)}g)${failedStr}`;
+}
 
-		crawler.start();
-	});
+/**
+ * Creates the CSV columns for the statistics of repeated runs.
+ *
+ * @param {object} runStats - Run statistics with 'count', 'bytes', 'co2' and 'variation' (see aggregateRuns()).
+ * @param {boolean} unstable - Whether the page is unstable.
+ * @returns {string[]} Columns: runs, then the minimum, mean, maximum and standard deviation of size (in KB) and CO₂e,
+ *   the variation (percentage) and whether the page is unstable.
+ */
+function runsColumns({ count, bytes, co2, variation }, unstable) {
+	const kilobytes = (value) => (value > 0) ? formatBytes(value, { unit: 'KB', 'outputUnit': false }) : '0';
+	return [
+		count,
+		...['min', 'mean', 'max', 'stdDev'].map(stat => kilobytes(bytes[stat])),
+		...['min', 'mean', 'max', 'stdDev'].map(stat => co2[stat].toFixed(3)),
+		variation.toFixed(1),
+		unstable ? 'unstable' : 'stable'
+	];
 }
 
-// https://developers.thegreenwebfoundation.org/co2js/tutorials/check-hosting/
-async function greenHosting(siteUrl, verbose = false) {
-	// Must send a host domain to the hosting.check() method
-	const hostDomain = new URL(siteUrl).hostname;
+/**
+ * Formats segmented results as text.
+ *
+ * @param {object} segmentResults - Segments with 'operational', 'embodied', 'dataCenter', 'network' and 'device'.
+ * @returns {string} Segments as a formatted string.
+ */
+function formatSegments({ operational, embodied, dataCenter, network, device }) {
+	return `operational ${operational.toFixed(3)}g + embodied ${embodied.toFixed(3)}g – ` +
+		`data centre ${dataCenter.toFixed(3)}g, network ${network.toFixed(3)}g, device ${device.toFixed(3)}g`;
+}
 
-	// Note: hosting.check() isn't a thing in ESM version; use hosting()
-	// FIXME: Update when @tgwf/co2 library is fixed (https://github.com/thegreenwebfoundation/co2.js/issues/266)
-	const response = await hosting(hostDomain, {
-		verbose: verbose,
-		userAgentIdentifier: 'sustainability-auditor-cli'
-	});
+/**
+ * Outputs the breakdown of each page by content type and by first/third party.
+ *
+ * @param {Array} results - The results to output, where each item has a 'breakdown' property.
+ */
+function outputBreakdowns(results) {
+	const formatGroup = (name, { bytes, requests, co2 }) =>
+		`   ${name.padEnd(14)} ${formatBytes(bytes).padStart(10)} – ${co2.toFixed(3)}g CO₂e – ${requests} requests`;
+
+	output.write(`\n📦 Breakdown of first visits...`);
+	for (const { url, breakdown } of results) {
+		output.write(`${new URL(url).pathname}`);
+		for (const [type, group] of Object.entries(breakdown.byType)) {
+			output.write(formatGroup(type, group));
+		}
+		output.write(formatGroup('first party', breakdown.byParty.firstParty));
+		for (const [domain, group] of Object.entries(breakdown.byParty.thirdParties)) {
+			output.write(formatGroup(domain, group));
+		}
+	}
+}
 
-	if (DEBUG) {
-		console.log("\n-----------------------------------");
-		console.log(`🌿 Green hosting lookup result:`);
-		console.log(response);
-		console.log("-----------------------------------\n");
+/**
+ * Outputs the heaviest resources shared across pages.
+ *
+ * @param {Array} resources - Shared resources, each with 'url', 'type', 'pages', 'transferSize', 'totalBytes' and 'co2'.
+ */
+function outputSharedResources(resources) {
+	output.write(`\n🔗 Heaviest resources shared across pages...`);
+	if (resources.length === 0) {
+		output.write("No resources are shared across pages.");
+	}
+	for (const { url, type, pages, transferSize, totalBytes, co2 } of resources) {
+		output.write(`${url} – ${type} – ${formatBytes(transferSize)} on ${pages} pages (${formatBytes(totalBytes)}, ${co2.toFixed(3)}g CO₂e in total)`);
 	}
-	
-	return verbose ? response.green : response;
 }
 
 /**
- * Measures the total transfer size (in bytes) and estimated CO2 for a single page load.
- * 
- * @param {object} browser - Puppeteer browser instance.
- * @param {string} url - The URL of the page to measure.
- * @param {object} [options] - Options object.
- * @param {boolean} [options.clearCache=false] - Whether to clear the browser cache before loading the page. Default: false.
- * @param {boolean} [options.isGreen=false] - Whether the hosting is green (affects calculation). Default: false.
- * @param {string} [options.event='idle'] - When to measure page size: 'idle' or 'load'. Default: 'idle'.
- * @param {string} [options.mode='cdp'] - How to measure page size: 'cdp' (Chrome DevTools Protocol) or 'buffer'. Default: 'cdp'.
- * @return {object|null} Measurement result with 'url', 'bytes', 'co2'. Failure: null.
+ * Outputs the recommendations ranked across pages, with the total that all recommendations would save.
+ *
+ * @param {Array} recommendations - Recommendations, each with 'label', 'url', 'detail', 'visit', 'pages', 'bytes' and 'co2'.
+ * @param {object} savings - Savings from recommendationSavings(), with 'recommendations', 'first' and 'return'.
  */
-// TODO - Extend to allow other measurement events: idle0, idle2, domcontentloaded
-// https://www.ashjohns.dev/blog/measuring-page-weight
-async function measurePage(browser, url, options = {}) {
-	const {
-		clearCache = false,
-		isGreen = false,
-		event = 'idle',
-		mode = 'cdp'
-	} = options;
-
-	let client = null;
-	let page = null;
-	let totalBytes = 0;
-	let co2 = null;
+function outputRecommendations(recommendations, savings) {
+	output.write(`\n💡 Recommendations, by CO₂e saving...`);
+	if (recommendations.length === 0) {
+		output.write("No savings were found.");
+		return;
+	}
+	for (const { label, url, detail, visit, pages, bytes, co2 } of recommendations) {
+		const visitStr = (visit === 'return') ? ' per return visit' : '';
+		output.write(`${label} – ${url} (${detail}) – saves ${formatBytes(bytes)}, ${co2.toFixed(3)}g CO₂e${visitStr} on ${pages} ${pages === 1 ? 'page' : 'pages'}`);
+	}
+	if (savings.recommendations > recommendations.length) {
+		output.write(`…and ${savings.recommendations - recommendations.length} more`);
+	}
+	// Caching saves bytes on return visits only, so savings on first and return visits are not added together
+	output.write(`Potential saving across pages, from ${savings.recommendations === 1 ? 'the recommendation' : `all ${savings.recommendations} recommendations`}:`);
+	for (const visit of ['first', 'return']) {
+		if (savings[visit].bytes > 0) {
+			output.write(`  On ${visit} visits: ${formatBytes(savings[visit].bytes)}, ${savings[visit].co2.toFixed(3)}g CO₂e`);
+		}
+	}
+}
 
-	try {
-		// Set up session
-		page = await browser.newPage();
-		await page.setViewport({ width: 1900, height: 1000 });
-
-		// Enable network tracking to capture transfer sizes
-		client = await page.target().createCDPSession();
-		await client.send('Network.enable');
-
-		// Handle cache clearing
-		if (clearCache) {
-			// CDP command to clear all browser caches (disk and memory)
-			await client.send('Network.clearBrowserCache');
-			if (DEBUG) {
-				console.log(`Cache cleared for ${url}.`);
+/**
+ * Outputs the summary of an assessment as a text-based table.
+ *
+ * @param {object} summary - Summary with 'pages', 'avgBytes', 'avgCO2e' and 'rating'.
+ * @param {Function} write - Function used to write each line.
+ */
+function outputSummary(summary, write) {
+	write("\n=== 🌱 Website carbon summary ===");
+	write(`Pages assessed: ${summary.pages}${summary.weighted ? ` (sampled from ${summary.urls} URLs, weighted by template)` : ''}`);
+	if (summary.pages > 0) {
+		write(`Average size:   ${formatBytes(summary.avgBytes)}`);
+		write(`Average CO₂e:   ${(summary.avgCO2e).toFixed(2)} g per page`);
+		if (summary.avgSegments) {
+			write(`Average split:  ${formatSegments(summary.avgSegments)}`);
+		}
+		if (summary.rating !== null) {
+			write(`Overall Rating: ${summary.rating}`);
+		}
+		if (summary.unstable !== undefined) {
+			write(`Unstable pages: ${summary.unstable} (size varied by more than ${unstableThreshold}% between ${runs} runs)`);
+		}
+	}
+	write(  "=================================");
+}
+
+/**
+ * Outputs the averages of each template, when sampling pages by template.
+ *
+ * @param {object[]} templates - Template summaries, each with 'template', 'urls', 'pages', 'avgBytes', 'avgCO2e' and 'rating'.
+ * @param {Function} write - Function used to write each line.
+ */
+function outputTemplates(templates, write) {
+	write(`\n🧩 Templates...`);
+	for (const { template, urls, pages, avgBytes, avgCO2e, rating } of templates) {
+		if (pages === 0) {
+			write(`${template} – ${urls} URLs – not measured`);
+			continue;
+		}
+		const ratingStr = (rating !== null) ? ` – ${rating} rating` : '';
+		write(`${template} – ${urls} URLs – ${pages} measured – ${formatBytes(avgBytes)} – ${avgCO2e.toFixed(3)}g CO₂e${ratingStr}`);
+	}
+}
+
+/**
+ * Outputs which domains serving resources are hosted green.
+ *
+ * @param {object} hosting - Green hosting results, with 'source' and 'domains'.
+ * @param {Function} write - Function used to write each line.
+ */
+function outputHosting(hosting, write) {
+	const domains = Object.entries(hosting.domains);
+	const green = domains.filter(([, isGreen]) => isGreen).map(([domain]) => domain);
+	const source = (hosting.source === 'list') ? 'list of green domains' : 'Green Web Foundation';
+
+	write(`\n🌿 Green hosting (${source}): ${green.length} of ${domains.length} domains are green`);
+	if (green.length > 0) {
+		write(`   ${green.join(', ')}`);
+	}
+}
+
+/**
+ * Outputs the pages left out of the results, because they could not be measured or were excluded, with the reason
+ * for each. Visits to a page that were left out for the same reason are listed together.
+ *
+ * @param {object} assessment - Assessment from assessUrls() or assessSite().
+ * @param {Function} write - Function used to write each line.
+ */
+function outputFailuresAndExclusions(assessment, write) {
+	const entries = new Map();
+	const add = (url, visit, profile, reason) => {
+		const key = JSON.stringify([url, profile, reason]);
+		const entry = entries.get(key) || { url, profile, reason, visits: [] };
+		entry.visits.push(visit);
+		entries.set(key, entry);
+	};
+	for (const { url, visit, profile, error } of assessment.failures) {
+		add(url, visit, profile, error.message);
+	}
+	for (const { url, visit, profile, reason } of assessment.exclusions) {
+		add(url, visit, profile, `Excluded: ${reason}`);
+	}
+
+	write(`\n🚫 Failures and exclusions...`);
+	if (entries.size === 0) {
+		write("None: every page was measured and included.");
+		return;
+	}
+	// Label profiles as assessed, as not all are built in (e.g. pages recorded in HAR files)
+	const labels = new Map(assessment.profiles.map(({ profile }) => [profile.name, profile.label]));
+	for (const { url, profile, reason, visits } of entries.values()) {
+		const visitsStr = (visits.length > 1) ? 'first and return visits' : `${visits[0]} visit`;
+		const profileStr = (assessment.profiles.length > 1 && profile) ? `, ${labels.get(profile) || profile}` : '';
+		write(`${url} (${visitsStr}${profileStr}) – ${reason}`);
+	}
+}
+
+/**
+ * Outputs the per-visit estimates of an assessment and, when page views are given, projected emissions.
+ *
+ * @param {object} assessment - Assessment from assessUrls() or assessSite().
+ * @param {Function} write - Function used to write each line.
+ */
+function outputPerVisit(assessment, write) {
+	const { perVisitSummary, projection, settings } = assessment;
+
+	const formatGrams = (grams) => (grams >= 1000) ? `${(grams / 1000).toFixed(2)} kg` : `${grams.toFixed(2)} g`;
+
+	write(`\n👥 Per visit (${Math.round(settings.returnRatio * 100)}% returning visitors)...`);
+	if (perVisitSummary.pages > 0) {
+		write(`Average size:   ${formatBytes(perVisitSummary.avgBytes)}`);
+		write(`Average CO₂e:   ${(perVisitSummary.avgCO2e).toFixed(2)} g per visit`);
+		if (perVisitSummary.rating !== null) {
+			write(`Overall Rating: ${perVisitSummary.rating}`);
+		}
+	} else {
+		write("No pages were measured on both first and return visits.");
+	}
+
+	if (projection === null) {
+		return;
+	}
+
+	write(`\n📅 Projected emissions (${projection.totalViews} page views per ${projection.period})...`);
+	if (projection.avgCO2ePerView === null) {
+		write("None of the pages with page views were measured.");
+		return;
+	}
+	write(`Average CO₂e:   ${projection.avgCO2ePerView.toFixed(2)} g per page view (weighted by page views)`);
+	write(`Monthly CO₂e:   ${formatGrams(projection.monthlyCO2e)}`);
+	write(`Annual CO₂e:    ${formatGrams(projection.annualCO2e)}`);
+	if (projection.unmeasuredViews > 0) {
+		write(`ℹ️  ${projection.unmeasuredViews} page views are for pages that were not measured, and are estimated from the average.`);
+	}
+}
+
+/**
+ * Outputs the first visits of each page with each measurement profile, side by side.
+ *
+ * @param {object[]} profileResults - Results of each profile, from assessUrls().
+ * @param {Function} write - Function used to write each line.
+ */
+function outputProfiles(profileResults, write) {
+	const labelWidth = Math.max(...profileResults.map(({ profile }) => profile.label.length)) + 1;
+	const formatResult = (result) => {
+		if (!result) {
+			return 'not measured';
+		}
+		const ratingStr = (carbonRatings && result.rating !== null) ? ` – ${result.rating} rating` : '';
+		return `${formatBytes(result.bytes).padStart(10)} – ${result.co2.toFixed(3)}g CO₂e${ratingStr}`;
+	};
+
+	write(`\n📱 First visits by profile...`);
+	const urls = [...new Set(profileResults.flatMap(({ firstVisits }) => firstVisits.map(result => result.url)))].sort();
+	for (const url of urls) {
+		write(`${new URL(url).pathname}`);
+		for (const { profile, firstVisits } of profileResults) {
+			write(`   ${profile.label.padEnd(labelWidth)} ${formatResult(firstVisits.find(result => result.url === url))}`);
+		}
+	}
+
+	write(`Average`);
+	for (const { profile, summary } of profileResults) {
+		const average = (summary.pages > 0) ? { bytes: summary.avgBytes, co2: summary.avgCO2e, rating: summary.rating } : null;
+		write(`   ${profile.label.padEnd(labelWidth)} ${formatResult(average)}`);
+	}
+}
+
+/**
+ * Outputs the comparison of an assessment with a previous run.
+ *
+ * @param {object} comparison - Comparison from compareReports().
+ * @param {Function} write - Function used to write each line.
+ */
+function outputComparison(comparison, write) {
+	const { pages, summary, threshold } = comparison;
+
+	const formatPercent = (percent) => (percent === null) ? 'new' : `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+	const formatDelta = ({ previous, current, delta }) => {
+		const rating = (previous.rating && current.rating && delta.rating !== 0) ? ` – rating ${previous.rating} → ${current.rating}` : '';
+		return `${formatBytes(previous.bytes)} → ${formatBytes(current.bytes)} (${formatPercent(delta.bytesPercent)}) – ` +
+			`${previous.co2.toFixed(3)}g → ${current.co2.toFixed(3)}g CO₂e (${formatPercent(delta.co2Percent)})${rating}`;
+	};
+
+	write(`\n📈 Comparison with previous run${comparison.previousRun ? ` (${comparison.previousRun})` : ''}...`);
+	for (const warning of comparison.warnings) {
+		write(`⚠️  ${warning}`);
+	}
+
+	const sections = [
+		['🔺 Regressions', page => page.change === 'regression'],
+		['🔻 Improvements', page => page.change === 'improvement']
+	];
+	for (const [heading, predicate] of sections) {
+		const matching = pages.filter(predicate);
+		write(`${heading} (more than ${threshold}% change in CO₂e, or a change in rating): ${matching.length}`);
+		for (const page of matching) {
+			write(`   ${new URL(page.url).pathname} – ${formatDelta(page)}`);
+		}
+	}
+
+	for (const [heading, status] of [['➕ Added pages', 'added'], ['➖ Removed pages', 'removed']]) {
+		const matching = pages.filter(page => page.status === status);
+		write(`${heading}: ${matching.length}`);
+		for (const page of matching) {
+			write(`   ${new URL(page.url).pathname}`);
+		}
+	}
+
+	if (summary !== null) {
+		write(`Site-wide: ${formatDelta(summary)} – ${summary.change}`);
+	}
+}
+
+/**
+ * Outputs the results of an assessment in the specified format.
+ *
+ * @param {object} assessment - Assessment from assessUrls() or assessSite().
+ * @param {object|null} comparison - Comparison with a previous run, from compareReports().
+ */
+function outputAssessment(assessment, comparison = null) {
+	const { firstVisits, returnVisits, failures, summary } = assessment;
+
+	if (outputFormat === 'json') {
+		const report = createReport(assessment);
+		if (comparison !== null) {
+			report.comparison = comparison;
+		}
+		output.write(JSON.stringify(report, null, 2));
+		return;
+	}
+
+	if (outputFormat === 'html') {
+		output.write(createHtmlReport(createReport(assessment)));
+		if (outputFile !== null) {
+			logger.info(`\n📝 HTML report written to ${outputFile}`);
+		}
+		return;
+	}
+
+	if (outputFormat === 'ndjson') {
+		for (const record of failureRecords(failures)) {
+			output.write(ndjsonRecord('failure', record));
+		}
+		for (const record of exclusionRecords(assessment.exclusions)) {
+			output.write(ndjsonRecord('exclusion', record));
+		}
+		output.write(ndjsonRecord('summary', {
+			finishedAt: assessment.finishedAt,
+			...summaryRecord(summary),
+			perVisit: summaryRecord(assessment.perVisitSummary),
+			...(assessment.profiles.length > 1 ? { profiles: assessment.profiles.map(profileSummaryRecord) } : {}),
+			...(assessment.projection !== null ? { projection: assessment.projection } : {}),
+			hosting: assessment.hosting,
+			...(breakdown ? { sharedResources: assessment.sharedResources } : {}),
+			...(recommendations ? { recommendations: assessment.recommendations, recommendationSavings: assessment.recommendationSavings } : {}),
+			...(assessment.budgets !== null ? { budgets: assessment.budgets } : {}),
+			...(assessment.templates !== null ? { templates: assessment.templates } : {}),
+			...(comparison !== null ? { comparison } : {})
+		}));
+		return;
+	}
+
+	if (outputFormat === 'csv') {
+		// CSV only contains data: first visits, then return visits, separated by a blank line
+		outputResults(firstVisits);
+		output.write();
+		outputResults(returnVisits);
+
+		// Other profiles follow, each separated by a blank line
+		if (assessment.profiles.length > 1) {
+			for (const profileResult of assessment.profiles.slice(1)) {
+				output.write();
+				outputResults(profileResult.firstVisits);
+				output.write();
+				outputResults(profileResult.returnVisits);
 			}
-		} else if (DEBUG) {
-			console.log(`Cache not cleared.`);
-		}
-
-		// Handle different measurement modes
-		// TODO - Try using Network.dataReceived (https://stackoverflow.com/questions/48263345/how-can-i-get-the-raw-download-size-of-a-request-using-puppeteer)
-		// TODO - Try using 'content-length' header (https://github.com/puppeteer/puppeteer/issues/3372)
-		let onLoadingFinished = null;
-		if (mode === 'cdp') {
-			// Approach 1: Listen for CDP's 'Network.responseReceived' events and sum 'encodedDataLength'
-			// from the response body of each response. This gives us the total transfer size (compressed size).
-			// of the page.
-			// TODO - Extend this approach, which does not seem to capture all data transferred
-			// See:
-			// https://stackoverflow.com/questions/55429613/chrome-devtools-protocol-page-stats
-			// https://chromedevtools.github.io/devtools-protocol/tot/Network/
-			onLoadingFinished = (data) => {
-				if (data.encodedDataLength >= 0) {
-					totalBytes += data.encodedDataLength;
+			logger.info(`ℹ️  Rows are first and return visits for each profile in turn: ${assessment.profiles.map(({ profile }) => profile.name).join(', ')}`);
+			outputProfiles(assessment.profiles, logger.info);
+		}
+		if (runs > 1) {
+			logger.info("ℹ️  Sizes and CO₂e are medians of the runs, followed by columns for the number of runs, the minimum, mean, maximum and standard deviation of size (KB) and of CO₂e, the variation (%) and stability.");
+		}
+		outputSummary(summary, logger.info);
+		if (assessment.templates !== null) {
+			outputTemplates(assessment.templates, logger.info);
+		}
+		outputPerVisit(assessment, logger.info);
+		outputHosting(assessment.hosting, logger.info);
+		if (breakdown) {
+			logger.info("ℹ️  Breakdowns are only included in 'cli', 'json', 'ndjson' and 'html' output.");
+		}
+		if (recommendations) {
+			logger.info("ℹ️  Recommendations are only included in 'cli', 'json', 'ndjson' and 'html' output.");
+		}
+		if (comparison !== null) {
+			outputComparison(comparison, logger.info);
+		}
+		outputFailuresAndExclusions(assessment, logger.info);
+		return;
+	}
+
+	// With several profiles, the main results are those of the first profile
+	const profileLabel = (assessment.profiles.length > 1) ? ` (${assessment.profiles[0].profile.label})` : '';
+
+	// First visits (cold loads)
+	output.write(`\n🔄 First visits${profileLabel}...`);
+	outputResults(firstVisits);
+
+	// Return visits (warm loads)
+	output.write(`\n💾 Return visits${profileLabel}...`);
+	outputResults(returnVisits);
+
+	if (breakdown) {
+		outputBreakdowns(firstVisits);
+		outputSharedResources(assessment.sharedResources);
+	}
+
+	if (recommendations) {
+		outputRecommendations(assessment.recommendations, assessment.recommendationSavings);
+	}
+
+	if (assessment.profiles.length > 1) {
+		outputProfiles(assessment.profiles, output.write);
+	}
+
+	if (comparison !== null) {
+		outputComparison(comparison, output.write);
+	}
+
+	if (assessment.templates !== null) {
+		outputTemplates(assessment.templates, output.write);
+	}
+
+	outputHosting(assessment.hosting, output.write);
+	outputSummary(summary, output.write);
+	outputPerVisit(assessment, output.write);
+	outputFailuresAndExclusions(assessment, output.write);
+}
+
+/**
+ * Quotes a field for CSV output, if needed.
+ *
+ * @param {string} value - The field value.
+ * @returns {string} The field, quoted if it contains a comma, quote or line break.
+ */
+function csvField(value) {
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Outputs the results of user journeys, with each step and the total for each journey.
+ *
+ * @param {object[]} journeys - Journey results from assessJourneys().
+ */
+function outputJourneys(journeys) {
+	const formatValues = ({ bytes, co2, rating }) => {
+		const ratingStr = (carbonRatings && rating !== null) ? ` – ${rating} rating` : '';
+		return `${formatBytes(bytes)} – ${co2.toFixed(3)}g CO₂e${ratingStr}`;
+	};
+
+	for (const journey of journeys) {
+		if (outputFormat === 'csv') {
+			// One row per step, then the total, with a blank line between journeys
+			const row = (step, action, description, { bytes, co2, rating, segments: segmentResults }) => {
+				const columns = [csvField(journey.name), journey.profile, step, action, csvField(description), formatBytes(bytes, { unit: 'KB', 'outputUnit': false }), co2.toFixed(3)];
+				if (carbonRatings && rating !== null) {
+					columns.push(rating);
 				}
-			};
-			client.on('Network.loadingFinished', onLoadingFinished);
-		} else if (mode === 'buffer') {
-			// Approach 2: Listen for the page's 'response' events and sum the length of the response buffer.
-			// This gives us the total size of buffer (uncompressed size) and is generally not recommended.
-			page.on("response", async (response) => {
-				try {
-					const buffer = await response.buffer();
-					totalBytes += buffer.length;
-				} catch {} // Skip failed responses
-			});
-		} else {
-			console.error(`❌ Unsupported measurement mode: ${mode}. Exiting.`);
-			process.exit(1);
-		}
-
-		// Navigate to the page and wait for the specified event
-		try {
-			// Navigate to the page and wait for network activity to finish
-			// https://pptr.dev/api/puppeteer.puppeteerlifecycleevent
-			const waitUntil = (event === 'load') ? 'load' : 'networkidle2';
-			await page.goto(url, { waitUntil: waitUntil, timeout: 45000 });
-
-			// Estimate CO2 based on total bytes transferred
-			co2 = bytesToCO2(totalBytes, isGreen);
-		} catch (e) {
-			console.warn(`⚠️  measurePage: Failed to load page: ${e.message}`);
-		} finally {
-			if (client) {
-				// Remove event listener and close the CDP session
-				if (onLoadingFinished !== null) {
-					client.off('Network.loadingFinished', onLoadingFinished);
+				if (segmentResults) {
+					columns.push(...SEGMENT_COLUMNS.map(segment => segmentResults[segment].toFixed(3)));
 				}
-				await client.detach();
+				return columns.join(', ');
+			};
+			for (const step of journey.steps) {
+				output.write(row(step.index, step.action, step.name, step));
 			}
-			await page.close();
+			output.write(row('total', '', '', journey));
+			output.write();
+			continue;
 		}
 
-		return {
-			url,
-			bytes: totalBytes,
-			co2,
-			rating: (modelSupportsCarbonRating && carbonRatings) ? carbonRating() : null
-		};
-	} catch (e) {
-		console.warn(`⚠️  measurePage: Failed to load ${url}: ${e.message}`);
-		return null;
+		output.write(`\n🧭 ${journey.name}${(profiles.length > 1) ? ` – ${PROFILES[journey.profile].label}` : ''}...`);
+		for (const step of journey.steps) {
+			output.write(`${String(step.index).padStart(3)}. ${step.name} – ${formatValues(step)}`);
+		}
+		output.write(`     Total – ${formatValues(journey)}`);
+		if (journey.segments) {
+			output.write(`     ${formatSegments(journey.segments)}`);
+		}
 	}
 }
 
 /**
- * Outputs results to the console in the specified format.
+ * Outputs the results of a journey assessment in the specified format.
  *
- * @param {Array} results - The results to output, where each item is an object with 'url', 'bytes', and 'co2' properties.
+ * @param {object} assessment - Assessment from assessJourneys().
  */
-function outputResults(results, sortFn = null) {
-	if (typeof sortFn === 'function') {
-		results.sort(sortFn);
+function outputJourneyAssessment(assessment) {
+	const { journeys, failures } = assessment;
+
+	if (outputFormat === 'json') {
+		output.write(JSON.stringify(createJourneyReport(assessment), null, 2));
+		return;
 	}
 
-	for (const { url, bytes, co2, rating } of results) {
-		const urlPath = new URL(url).pathname;
-		if (outputFormat === 'csv') {
-			if (carbonRatings && rating !== null) {
-				console.log(`${urlPath}, ${formatBytes(bytes, { unit: 'KB', 'outputUnit': false })}, ${co2.toFixed(3)}, ${rating}`);
-			} else {
-				console.log(`${urlPath}, ${formatBytes(bytes, { unit: 'KB', 'outputUnit': false })}, ${co2.toFixed(3)}`);
-			}
-		} else {
-			if (carbonRatings && rating !== null) {
-				console.log(`${urlPath} – ${formatBytes(bytes)} – ${co2.toFixed(3)}g CO₂e – ${rating} rating`);
-			} else {
-				console.log(`${urlPath} – ${formatBytes(bytes)} – ${co2.toFixed(3)}g CO₂e`);
-			}
+	if (outputFormat === 'ndjson') {
+		for (const record of journeyFailureRecords(failures)) {
+			output.write(ndjsonRecord('failure', record));
 		}
+		output.write(ndjsonRecord('summary', {
+			finishedAt: assessment.finishedAt,
+			journeys: journeys.length,
+			failures: failures.length,
+			hosting: assessment.hosting
+		}));
+		return;
+	}
+
+	outputJourneys(journeys);
+
+	const write = (outputFormat === 'csv') ? logger.info : output.write;
+	if (breakdown) {
+		write("ℹ️  Breakdowns of journey steps are only included in 'json' and 'ndjson' output.");
+	}
+	outputHosting(assessment.hosting, write);
+	if (failures.length > 0) {
+		write(`\n⚠️  ${failures.length} of ${journeys.length + failures.length} journeys could not be completed.`);
 	}
 }
 
 /**
- * Sorts results by URL alphabetically for clean output.
+ * Outputs the past runs in the history file.
+ *
+ * @param {object[]} records - History records, from readHistory().
  */
-function outputSortAlphabetically(a, b) {
-	var textA = a.url.toLowerCase();
-	var textB = b.url.toLowerCase();
-	return (textA < textB) ? -1 : (textA > textB) ? 1 : 0;
+function outputHistory(records) {
+	if (outputFormat === 'json') {
+		output.write(JSON.stringify(records.map(({ pages, ...record }) => ({ ...record, pages: pages.length })), null, 2));
+		return;
+	}
+
+	output.write(`\n🗂️  ${records.length} ${records.length === 1 ? 'run' : 'runs'}${siteUrl !== null ? ` of ${new URL(siteUrl).origin}` : ''} in ${historyFile}...`);
+	for (const { site, startedAt, model, measure, summary } of records) {
+		const siteStr = (siteUrl === null) ? `${site} – ` : '';
+		const ratingStr = summary.carbonRating ? ` – ${summary.carbonRating} rating` : '';
+		const valuesStr = (summary.pages > 0) ? ` – ${formatBytes(summary.avgBytes)} – ${summary.avgCO2e.toFixed(3)}g CO₂e${ratingStr}` : '';
+		const runsStr = (measure.runs > 1) ? `, ${measure.runs} runs` : '';
+		output.write(`${startedAt} – ${siteStr}${summary.pages} pages${valuesStr} (${model.label || model.name}, ${describeStrategy(measure)}${runsStr})`);
+	}
 }
 
 /**
- * Processes an array of items in batches.
+ * Outputs the trends in the results of a website over its past runs.
  *
- * @param {Array} items - The items to process.
- * @param {number} batchSize - How many to process at once.
- * @param {Function} taskFn - The async function to run for each item.
- * @returns {Promise<Array>} The aggregated results.
+ * @param {object} trend - Trend from historyTrend().
  */
-async function processInBatches(items, batchSize, taskFn) {
-    const results = [];
-	const itemsTotal = items.length;
+function outputTrend(trend) {
+	if (outputFormat === 'json') {
+		output.write(JSON.stringify(trend, null, 2));
+		return;
+	}
 
-    for (let i = 0; i < itemsTotal; i += batchSize) {
-        const batch = items.slice(i, i + batchSize);
-		const currentBatch = Math.min(i + batchSize, itemsTotal);
+	const formatPercent = (percent) => (percent === null) ? 'new' : `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+	const formatChange = ({ first, last, bytesPercent, co2Percent }) => {
+		const rating = (first.rating && last.rating && first.rating !== last.rating) ? ` – rating ${first.rating} → ${last.rating}` : '';
+		return `${formatBytes(first.bytes)} → ${formatBytes(last.bytes)} (${formatPercent(bytesPercent)}) – ` +
+			`${first.co2.toFixed(3)}g → ${last.co2.toFixed(3)}g CO₂e (${formatPercent(co2Percent)})${rating}`;
+	};
 
-		process.stdout.write(`> Processing ${currentBatch}/${itemsTotal}...\r`);
+	const { runs } = trend;
+	output.write(`\n📈 Trend for ${trend.site} (${runs.length} ${runs.length === 1 ? 'run' : 'runs'}, ${runs[0].date} to ${runs[runs.length - 1].date})...`);
+	if (trend.mixedSettings) {
+		output.write("⚠️  Runs were made with different carbon models or measurement settings, so are not directly comparable.");
+	}
+	for (const run of runs) {
+		const ratingStr = run.rating ? ` – ${run.rating} rating` : '';
+		const valuesStr = (run.pages > 0) ? `${formatBytes(run.bytes)} – ${run.co2.toFixed(3)}g CO₂e${ratingStr}` : 'no pages measured';
+		output.write(`${run.startedAt} – ${run.pages} pages – ${valuesStr}${trend.mixedSettings ? ` (${run.settings})` : ''}`);
+	}
+	if (trend.summary !== null && runs.length > 1) {
+		output.write(`Site-wide: ${formatChange(trend.summary)}`);
+	}
 
-        const batchResults = await Promise.all(batch.map(item => taskFn(item)));
-        results.push(...batchResults.filter(r => r !== null));
-    }
+	const growing = trend.pages.filter(page => page.growing);
+	output.write(`\n📦 Pages that have steadily grown heavier: ${growing.length}`);
+	for (const page of growing) {
+		output.write(`   ${new URL(page.url).pathname} – ${formatChange(page.change)} over ${page.series.length} runs`);
+	}
+
+	output.write(`\n📄 Pages (first run → latest run measured)...`);
+	for (const page of trend.pages) {
+		const runsStr = (page.series.length === 1) ? ` – only measured on ${page.series[0].startedAt.slice(0, 10)}` : '';
+		output.write(`${new URL(page.url).pathname} – ${formatChange(page.change)}${runsStr}`);
+	}
+}
+
+/**
+ * Runs a command that reports on the history of past runs: 'history' lists them and 'trend' reports trends.
+ *
+ * @returns {Promise<number>} The exit code.
+ */
+async function historyCommand() {
+	const records = await readHistory(historyFile, { site: siteUrl, logger });
 
-    return results;
+	if (command === 'history') {
+		outputHistory((lastRuns !== null) ? records.slice(-lastRuns) : records);
+		return 0;
+	}
+
+	if (records.length === 0) {
+		throw new ScorecardError(`No runs of ${new URL(siteUrl).origin} in ${historyFile} (save runs with --save-history)`);
+	}
+	outputTrend(historyTrend(records, { last: lastRuns, allowMixedSettings }));
+	return 0;
+}
+
+/**
+ * Outputs budget violations.
+ *
+ * @param {object} evaluation - Evaluation from evaluateBudgets().
+ * @param {Function} write - Function used to write each line.
+ */
+function outputBudgets(evaluation, write) {
+	if (evaluation.passed) {
+		write("\n✅ All carbon budgets met");
+		return;
+	}
+
+	write("\n🚫 Carbon budgets exceeded...");
+	for (const { url, violations } of evaluation.pages) {
+		for (const violation of violations) {
+			write(`${new URL(url).pathname} – ${describeViolation(violation)}`);
+		}
+	}
+	for (const violation of evaluation.summary.violations) {
+		write(`Average – ${describeViolation(violation)}`);
+	}
 }
 
 /**
  * Main function for the website carbon assessment.
+ *
+ * @returns {Promise<number>} The exit code.
  */
 async function main() {
-	let isGreen = false;
-	let urls = [];
+	if (command !== null) {
+		return historyCommand();
+	}
 
-	if ((siteUrl === null) && (sourceFile !== null)) {
-		urls = await readUrlsFromFile(sourceFile);
+	// Inform as to which model is being used
+	const carbon = createCarbonModel({ model: carbonModel, ratings: carbonRatings, gridIntensity, segments });
+	logger.info(`ℹ️  Carbon model: ${carbon.label}`);
 
-		// Use the origin of the first URL as the siteUrl for green hosting check
-		siteUrl = new URL(urls[0]).origin;
-	} else {
-		// Try to get sitemap URLs
-		if (FORCE_CRAWLER) {
-			console.log("ℹ️  FORCE_CRAWLER is enabled - skipping site map check.");
-		} else {
-			urls = await fetchSitemapUrls(siteUrl);
+	if (gridIntensity !== null) {
+		const describeIntensity = ({ country, value }) => `${value} g/kWh${country ? ` (${country})` : ''}`;
+		const { device, network, dataCenter } = carbon.intensity;
+		logger.info(`ℹ️  Grid intensity: device ${describeIntensity(device)}, network ${describeIntensity(network)}, data centre ${describeIntensity(dataCenter)}`);
+	}
+
+	// Post-load behaviour only applies to pages, not journeys, and pages in HAR files were loaded already
+	let strategy = { event: measureEvent, waitForSelector, scroll, observe };
+	if (journeyFile !== null) {
+		strategy = { event: measureEvent };
+	} else if (harPaths.length > 0) {
+		strategy = { event: null };
+	}
+	logger.info(`ℹ️  Measuring at: ${describeStrategy(strategy)}`);
+
+	if (consent !== 'none') {
+		logger.info(`ℹ️  Consent banners: ${(consent === 'accept') ? 'accepting' : 'rejecting'} all cookies`);
+	}
+
+	if (!carbon.supportsRating && carbonRatings === true) {
+		logger.info("⚠️  Warning: Carbon ratings are only available with the Sustainable Web Design Model. Carbon ratings will not display.");
+	}
+
+	const options = {
+		maxPages,
+		model: carbonModel,
+		ratings: carbonRatings,
+		gridIntensity,
+		segments,
+		event: measureEvent,
+		waitForSelector,
+		scroll,
+		observe,
+		mode: measureMode,
+		profiles,
+		runs,
+		unstableThreshold,
+		concurrency,
+		timeout,
+		retries,
+		recycleAfter,
+		breakdown,
+		recommendations,
+		excludeErrors,
+		excludeNonHtml,
+		excludeOffSite,
+		headers: parseHeaders(headerValues),
+		credentials: (basicAuth !== null) ? parseCredentials(basicAuth) : null,
+		consent,
+		sample,
+		perTemplate,
+		templates,
+		returnRatio,
+		pageViewsPeriod,
+		hostingCache,
+		forceCrawler,
+		...crawlOptions,
+		since,
+		include: includePatterns,
+		exclude: excludePatterns,
+		harDir,
+		logger
+	};
+
+	// Stream NDJSON records as the assessment progresses
+	if (outputFormat === 'ndjson') {
+		options.onStart = (run) => output.write(ndjsonRecord('run', runRecord(run)));
+		options.onResult = (result, visit) => output.write(ndjsonRecord('page', measurementRecord(result, visit)));
+	}
+
+	if (greenDomainsFile !== null) {
+		options.greenDomains = await readGreenDomainsFile(greenDomainsFile);
+		logger.info(`ℹ️  Using ${options.greenDomains.size} green domains from ${greenDomainsFile} instead of the Green Web Foundation API`);
+	}
+
+	// Measure pages as a signed-in visitor
+	if (cookiesFile !== null) {
+		options.cookies = await readCookiesFile(cookiesFile);
+		logger.info(`🍪 ${options.cookies.length} cookies read from ${cookiesFile}`);
+	}
+
+	if (loginFile !== null) {
+		options.login = await readLoginFile(loginFile);
+	}
+
+	// Run user journeys instead of assessing pages
+	if (journeyFile !== null) {
+		const journeys = await readJourneyFile(journeyFile);
+
+		const ignored = ['input', 'sample', 'template', 'since', 'include', 'exclude', 'force-crawler', 'subpath', 'wait-for', 'scroll', 'page-views', 'compare', 'budget', 'junit', 'spreadsheet', 'save-history', 'checkpoint', 'resume', 'exclude-errors', 'exclude-non-html', 'exclude-off-site', 'har-dir', 'recommendations']
+			.filter(name => values[name] !== undefined)
+			.map(name => `--${name}`);
+		if (observe > 0) {
+			ignored.push('--observe');
+		}
+		if (runs > 1) {
+			ignored.push('--runs');
+		}
+		for (const name of ['concurrency', 'retries', 'recycle-after']) {
+			if (values[name] !== argOptions[name].default) {
+				ignored.push(`--${name}`);
+			}
+		}
+		if (siteUrl !== null) {
+			ignored.unshift(siteUrl);
+		}
+		if (ignored.length > 0) {
+			logger.warn(`⚠️  ${ignored.join(', ')} ${ignored.length === 1 ? 'is' : 'are'} not used when running journeys, so ${ignored.length === 1 ? 'is' : 'are'} ignored.`);
 		}
 
-		// If no site map found, try crawling instead
-		if (urls.length === 0) {
-			console.log("🕷️  Crawling site to discover pages...");
-			urls = await crawlSiteForUrls(siteUrl);
+		if (outputFormat === 'ndjson') {
+			options.onResult = (result) => output.write(ndjsonRecord('journey', journeyRecord(result)));
 		}
+
+		const assessment = await assessJourneys(journeys, options);
+		outputJourneyAssessment(assessment);
+		return 0;
 	}
 
-	// Exit if no URLs were found
-	if (urls.length === 0) {
-		console.error("❌ No valid URLs found to assess. Exiting.");
-		process.exit(1);
+	// Read the previous run before assessing, so that problems with the file are found early
+	let previousReport = null;
+	if (compareFile !== null) {
+		previousReport = await readReportFile(compareFile);
 	}
 
-	// Check if hosting is green
-	// Use greenHosting(siteUrl, true) for verbose output
-	isGreen = greenHosting(siteUrl);
-	if (isGreen) {
-		console.log(`🌿 Hosting for '${new URL(siteUrl).hostname}' is green!`);
+	if (pageViewsFile !== null) {
+		options.pageViews = await readPageViewsFile(pageViewsFile);
+		logger.info(`ℹ️  Page views for ${options.pageViews.size} pages read from ${pageViewsFile}`);
 	}
 
-	// Start looping through URLs
-	const maxPagesStr = (urls.length > maxPages) ? ` (limiting to ${maxPages} pages)` : '';
-	console.log(`\n🌍 Assessing ${siteUrl}${maxPagesStr}...`);
+	if (budgetFile !== null) {
+		options.budgets = await readBudgetsFile(budgetFile);
+	} else if (junitFile !== null) {
+		logger.warn("⚠️  A JUnit report is only written when budgets are set with --budget.");
+	}
 
-	// Launch headless browser
-	// const browser = await puppeteer.launch({ headless: "new", args: ['--incognito'] });
-	const browser = await puppeteer.launch({ headless: "new" });
+	// On Ctrl-C, finish the pages being measured and output the results so far; a second Ctrl-C stops at once
+	const controller = new AbortController();
+	options.signal = controller.signal;
+	options.resume = resume;
+	process.on('SIGINT', () => {
+		if (controller.signal.aborted) {
+			logger.error("\n⏹️  Stopped.");
+			process.exit(EXIT_INTERRUPTED);
+		}
+		logger.warn("\n⏹️  Stopping once the pages being measured are finished (press Ctrl-C again to stop now)...");
+		controller.abort();
+	});
 
-	// Limit to maxPages
-	urls = urls.slice(0, maxPages);
+	let assessment;
+	if (harPaths.length > 0) {
+		// Assess pages as recorded in HAR files, without loading them
+		const ignored = ['input', 'sample', 'template', 'since', 'include', 'exclude', 'force-crawler', 'subpath', 'wait-for', 'scroll', 'header', 'basic-auth', 'cookies', 'login', 'checkpoint', 'resume', 'har-dir']
+			.filter(name => values[name] !== undefined)
+			.map(name => `--${name}`);
+		for (const name of ['measure-event', 'measure-mode', 'observe', 'profile', 'runs', 'consent', 'concurrency', 'timeout', 'retries', 'recycle-after']) {
+			if (values[name] !== undefined && String(values[name]) !== String(argOptions[name].default)) {
+				ignored.push(`--${name}`);
+			}
+		}
+		if (siteUrl !== null) {
+			ignored.unshift(siteUrl);
+		}
+		if (ignored.length > 0) {
+			logger.warn(`⚠️  ${ignored.join(', ')} ${ignored.length === 1 ? 'is' : 'are'} not used when assessing HAR files, so ${ignored.length === 1 ? 'is' : 'are'} ignored.`);
+		}
 
-	// Batch processing pages to speed things up
-	const concurrency = 3; // Number of pages to process in parallel
+		const hars = await readHarFiles(harPaths);
+		assessment = await assessHar(hars, options);
+	} else if ((siteUrl === null) && (sourceFile !== null)) {
+		if (since !== null) {
+			logger.warn("⚠️  --since only applies to pages found in site maps, so is ignored with --input.");
+		}
+		const urls = await readUrlsFromFile(sourceFile, { include: includePatterns, exclude: excludePatterns, logger });
+		if (useCheckpoint && urls.length > 0) {
+			options.checkpoint = checkpointFile || defaultCheckpointFile(urls[0]);
+		}
+		assessment = await assessUrls(urls, options);
+	} else {
+		if (useCheckpoint) {
+			options.checkpoint = checkpointFile || defaultCheckpointFile(siteUrl);
+		}
+		assessment = await assessSite(siteUrl, options);
+	}
 
-	// First visits (cold loads)
-	console.log(`\n🔄 First visits...`);
-	const firstVisitResults = await processInBatches(urls, concurrency, (url) =>
-		measurePage(browser, url, { clearCache: true, isGreen, event: measureEvent, mode: measureMode })
-	);
-	outputResults(firstVisitResults, outputSortAlphabetically);
+	const comparison = (previousReport !== null)
+		? compareReports(previousReport, createReport(assessment), { threshold: compareThreshold })
+		: null;
 
-	// Return visits (warm loads)
-	console.log(`\n💾 Return visits...`);
-	const returnVisitResults = await processInBatches(urls, concurrency, (url) =>
-		measurePage(browser, url, { clearCache: false, isGreen, event: measureEvent, mode: measureMode })
-	);
-	outputResults(returnVisitResults, outputSortAlphabetically);
+	outputAssessment(assessment, comparison);
 
-	await browser.close();
+	if (spreadsheetFile !== null) {
+		writeSpreadsheet(assessment, spreadsheetFile);
+	}
+
+	// Point to the checkpoint when it was kept, so the pages not measured can be measured without starting again
+	if (options.checkpoint && (assessment.interrupted || assessment.failures.length > 0)) {
+		const remaining = assessment.interrupted ? 'the remaining pages' : 'the pages that failed';
+		logger.info(`\n💾 Measurements saved to ${options.checkpoint}. Run again with --resume to measure ${remaining}.`);
+	}
+
+	if (saveHistory) {
+		if (assessment.interrupted) {
+			logger.warn("⚠️  The run was interrupted, so is not saved to the history.");
+		} else {
+			saveToHistory(historyFile, createReport(assessment));
+			logger.info(`🗂️  Run saved to ${historyFile}`);
+		}
+	}
+
+	if (assessment.interrupted) {
+		return EXIT_INTERRUPTED;
+	}
 
-	// Compute averages of first visits (cold loads)
-	const numResults = firstVisitResults.length;
-	const avgBytes = firstVisitResults.reduce((sum, r) => sum + r.bytes, 0) / numResults;
-	const avgCO2e = firstVisitResults.reduce((sum, r) => sum + r.co2, 0) / numResults;
+	// Check budgets, writing a JUnit report for CI systems if requested
+	if (assessment.budgets !== null) {
+		outputBudgets(assessment.budgets, (outputFormat === 'cli') ? output.write : logger.error);
 
-	// Output summary as a text-based table
-	console.log("\n=== 🌱 Website carbon summary ===");
-	console.log(`Pages assessed: ${numResults}`);
-	console.log(`Average size:   ${formatBytes(avgBytes)}`);
-	console.log(`Average CO₂e:   ${(avgCO2e).toFixed(2)} g per page`);
-	if (modelSupportsCarbonRating && carbonRatings) {
-		console.log(`Overall Rating: ${carbonRating(avgCO2e)}`);
+		if (junitFile !== null) {
+			try {
+				fs.writeFileSync(junitFile, budgetsToJUnit(assessment.budgets));
+			} catch (e) {
+				throw new ScorecardError(`Could not write JUnit report ${junitFile}: ${e.message}`, { cause: e });
+			}
+			logger.info(`📝 JUnit report written to ${junitFile}`);
+		}
+
+		if (!assessment.budgets.passed) {
+			return EXIT_BUDGET_EXCEEDED;
+		}
 	}
-	console.log(  "=================================");
+
+	return 0;
 }
 
-main();
+main().then((exitCode) => {
+	output.close();
+	process.exitCode = exitCode;
+}).catch((e) => {
+	output.close();
+	if (e instanceof ScorecardError) {
+		console.error(`❌ ${e.message}. Exiting.`);
+	} else {
+		console.error(`🚨 Unexpected error: ${e.stack || e.message}`);
+	}
+	process.exit(1);
+});